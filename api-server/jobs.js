@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Background jobs for the local HTTP API server (see `./server.js`).
+ *
+ * Scans can take minutes to hours, far longer than an HTTP request should stay open, so each one runs as a job:
+ * the request that starts it gets the job's ID back at once, and the job is then polled for its progress and
+ * result, or cancelled.
+ *
+ * A job goes through these states:
+ * - 'queued': waiting for a free slot (at most `maxRunning` jobs run at once, so that dashboards cannot start
+ *   enough scans in parallel to get the beacon API endpoints to throttle or ban us).
+ * - 'running': started; `progress` is updated as it advances.
+ * - 'succeeded', 'failed' or 'cancelled': finished, with its `result` or `error`.
+ *
+ * Jobs double as the result cache: a job is identified by a key built from its kind and parameters, and
+ * submitting the same key again returns the existing job (still queued or running, or finished less than
+ * `ttlMs` ago) instead of starting another scan. Failed and cancelled jobs, and results known to be incomplete,
+ * are not reused. Finished jobs are dropped `ttlMs` after they finished.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { log } from '../shared/logger.js';
+
+// Job states
+export const JOB_STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+/**
+ * Creates a job manager.
+ * @param {Object} [options={}] - Options.
+ * @param {number} [options.maxRunning=1] - How many jobs may run at once; the others wait in a queue.
+ * @param {number} [options.ttlMs=600000] - How long finished jobs (and so their results) are kept, in ms.
+ * @returns {Object} The job manager:
+ *          - submit(kind, params, run): returns the job for these parameters, starting it (once a slot is free)
+ *            unless an equivalent one can be reused. `run({ signal, onProgress })` does the work and resolves
+ *            to the result; it should stop (rejecting) once `signal` is aborted, and may report progress.
+ *          - get(id): the job, or null if there is none (or it expired).
+ *          - list(): all jobs, newest first.
+ *          - cancel(id): cancels a queued or running job; returns it, or null if there is none.
+ *          - describe(job, { withResult }): the job as a plain object for JSON output.
+ */
+export function createJobManager({ maxRunning = 1, ttlMs = 10 * 60 * 1000 } = {}) {
+  // All jobs by ID, in submission order; and the job of each key (the latest one submitted)
+  const jobs = new Map();
+  const jobsByKey = new Map();
+  const queue = [];
+  let running = 0;
+
+  /**
+   * Builds the key of a job: its kind and its parameters with their keys sorted, so that the same query
+   * always gives the same key.
+   * @param {string} kind - The kind of job.
+   * @param {Object} params - The parameters.
+   * @returns {string} The key.
+   */
+  const keyOf = (kind, params) => JSON.stringify([kind, Object.keys(params).sort().map(name => [name, params[name]])]);
+
+  /**
+   * Drops finished jobs that have expired.
+   */
+  function prune() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt !== null && now - Date.parse(job.finishedAt) > ttlMs) {
+        jobs.delete(id);
+        if (jobsByKey.get(job.key) === job) {
+          jobsByKey.delete(job.key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Tells whether a job can stand in for a new submission of the same key.
+   * @param {Object} job - The job.
+   * @returns {boolean} True if it is queued, running, or succeeded with a complete result.
+   */
+  function reusable(job) {
+    if (job.state === 'queued' || job.state === 'running') {
+      return true;
+    }
+    return job.state === 'succeeded' && job.result?.integrity?.complete !== false;
+  }
+
+  /**
+   * Marks a job finished.
+   * @param {Object} job - The job.
+   * @param {string} state - 'succeeded', 'failed' or 'cancelled'.
+   * @param {Object} [fields={}] - `result` or `error`.
+   */
+  function finish(job, state, fields = {}) {
+    Object.assign(job, { state, finishedAt: new Date().toISOString() }, fields);
+    log.info(`Job ${job.id} (${job.kind}) ${state}${fields.error ? `: ${fields.error}` : ''}.`);
+  }
+
+  /**
+   * Starts queued jobs while there are free slots.
+   */
+  function pump() {
+    while (running < maxRunning && queue.length > 0) {
+      const job = queue.shift();
+      running++;
+      job.state = 'running';
+      job.startedAt = new Date().toISOString();
+      log.info(`Job ${job.id} (${job.kind}) started.`);
+      job.run({ signal: job.controller.signal, onProgress: progress => { job.progress = progress; } })
+        .then(result => finish(job, 'succeeded', { result }), error => {
+          if (job.controller.signal.aborted) {
+            finish(job, 'cancelled');
+          } else {
+            finish(job, 'failed', { error: error.message });
+          }
+        })
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  }
+
+  function submit(kind, params, run) {
+    prune();
+    const key = keyOf(kind, params);
+    const existing = jobsByKey.get(key);
+    if (existing && reusable(existing)) {
+      return existing;
+    }
+    const job = {
+      id: randomUUID(),
+      kind,
+      key,
+      params,
+      state: 'queued',
+      progress: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      result: null,
+      run,
+      controller: new AbortController()
+    };
+    jobs.set(job.id, job);
+    jobsByKey.set(key, job);
+    queue.push(job);
+    log.info(`Job ${job.id} (${kind}) queued.`);
+    pump();
+    return job;
+  }
+
+  function get(id) {
+    prune();
+    return jobs.get(id) || null;
+  }
+
+  function list() {
+    prune();
+    return [...jobs.values()].reverse();
+  }
+
+  function cancel(id) {
+    const job = get(id);
+    if (!job) {
+      return null;
+    }
+    if (job.state === 'queued') {
+      queue.splice(queue.indexOf(job), 1);
+      finish(job, 'cancelled');
+    } else if (job.state === 'running') {
+      // The job's requests in flight are aborted, so it stops at once; it is marked cancelled when it rejects
+      job.controller.abort();
+    }
+    return job;
+  }
+
+  function describe(job, { withResult = false } = {}) {
+    return {
+      id: job.id,
+      kind: job.kind,
+      params: job.params,
+      state: job.state,
+      cancelling: job.state === 'running' && job.controller.signal.aborted,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.finishedAt === null ? null : new Date(Date.parse(job.finishedAt) + ttlMs).toISOString(),
+      error: job.error,
+      ...(withResult ? { result: job.result } : {})
+    };
+  }
+
+  return { submit, get, list, cancel, describe };
+}
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Local HTTP API server for the PulseChain validator tools.
+ *
+ * Serves the payments calculator (`../get-validator-payments`), its status report and the execution address
+ * lookup (`../fetch-execution-address`) as JSON endpoints, for dashboards and scripts that would otherwise run
+ * the command-line tools and parse their output. Progress messages go to the server's console, never into the
+ * responses.
+ *
+ * Usage:
+ * - Run via: node server.js [--port=8080] [--host=127.0.0.1]
+ * - --port: Port to listen on (optional; 8080 by default).
+ * - --host: Interface to listen on (optional; 127.0.0.1 by default). The API has no authentication, so only
+ *   expose it beyond the local machine behind something that adds it.
+ * - --max-jobs: How many scans may run at once; the others are queued (optional; 1 by default).
+ * - --cache-ttl: How long results are kept and reused, in seconds (optional; 600 by default).
+ * - --config, --network and any other setting, as for the other tools (see `../shared/config.js`). Scans use
+ *   the on-disk slot cache of the working directory, as `../get-validator-payments` does.
+ *
+ * Endpoints (all GET unless noted, all answering JSON; errors as `{ error }` with a 4xx/5xx status):
+ * - /payments?ids=0xKey1,12345&start=YYYY-MM-DD&end=YYYY-MM-DD: starts a payments scan as a background job
+ *   (see `./jobs.js`). Optional: mode (full, fast or verify; full by default), bucket (day, week or month),
+ *   events (true to list every payment), feeRecipients (comma-separated addresses). Answers 202 with the job,
+ *   or 200 with the finished job and its `result` (as getValidatorPayments returns it) if the same query was
+ *   answered recently. The `Location` header points to the job.
+ * - /status?ids=...&start=...&end=...: likewise, for the status report (see
+ *   `../get-validator-payments/validator-status.js`). Optional: mode (fast or full; fast by default), state
+ *   (head, finalized or a slot number: the state the current status and balances are read at; head by default).
+ * - /jobs: all jobs, newest first (without results).
+ * - /jobs/:id: a job: `{ id, kind, params, state, progress, createdAt, startedAt, finishedAt, expiresAt, error }`
+ *   plus its `result` once it has succeeded. `progress` is `{ processedSlots, totalSlots, failedSlots, percent }`
+ *   once the slot scan has started.
+ * - DELETE /jobs/:id: cancels a queued or running job (a running job's requests in flight are aborted, so it
+ *   stops right away; it is marked cancelled once it has).
+ * - /validators/:id/execution-address: the validator's decoded withdrawal credentials (see
+ *   `../shared/credentials.js`) and, for BLS (0x00) credentials, the change to an execution address pending in
+ *   the pool, if any: `{ id, index, pubkey, credentials, pendingChange }`. Answered directly, and cached.
+ *
+ * Note: For simplicity, this uses node:http without a framework.
+ */
+
+import http from 'node:http';
+import { BUCKETS, MODES, getValidatorPayments } from '../get-validator-payments/fetch-validator-payments.js';
+import { getValidatorStatus } from '../get-validator-payments/validator-status.js';
+import { fetchValidatorExecutionAddress } from '../fetch-execution-address/execution-address.js';
+import { fetchPendingChanges } from '../fetch-execution-address/credential-history.js';
+import { loadConfig } from '../shared/config.js';
+import { createApiClient } from '../shared/api-client.js';
+import { createJobManager } from './jobs.js';
+import { createLoggerFromConfig, log, setLogger } from '../shared/logger.js';
+
+/**
+ * An error answered with a given HTTP status (rather than 500).
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @returns {Error} The error, with `status` set.
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Writes a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {Object} body - The body.
+ * @param {Object} [headers={}] - Extra headers.
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body, null, 2) + '\n');
+}
+
+/**
+ * Reads the validator IDs and date range shared by the scan endpoints.
+ * @param {URLSearchParams} query - The query parameters.
+ * @returns {{ids: string[], start: string, end: string}} The IDs (deduplicated and sorted, so that the same set
+ *          in another order is the same query) and dates.
+ * @throws {Error} 400 if any is missing or malformed.
+ */
+function scanParams(query) {
+  const ids = [...new Set((query.get('ids') || '').split(',').map(id => id.trim()).filter(Boolean))].sort();
+  const start = query.get('start');
+  const end = query.get('end');
+  if (ids.length === 0 || !start || !end) {
+    throw httpError(400, 'ids, start and end are required, e.g. ?ids=0xKey1,12345&start=2025-01-01&end=2025-02-01');
+  }
+  for (const [name, date] of [['start', start], ['end', end]]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      throw httpError(400, `Invalid ${name} date "${date}"; expected YYYY-MM-DD.`);
+    }
+  }
+  return { ids, start, end };
+}
+
+/**
+ * Checks an optional query parameter against its allowed values.
+ * @param {URLSearchParams} query - The query parameters.
+ * @param {string} name - The parameter.
+ * @param {string[]} allowed - Its allowed values.
+ * @param {string|null} [fallback=null] - The value if it is not given.
+ * @returns {string|null} The value.
+ * @throws {Error} 400 if the value is not allowed.
+ */
+function choiceParam(query, name, allowed, fallback = null) {
+  const value = query.get(name) ?? fallback;
+  if (value !== null && !allowed.includes(value)) {
+    throw httpError(400, `Invalid ${name} "${value}"; expected one of: ${allowed.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Reads the optional beacon state parameter of the status endpoint.
+ * @param {URLSearchParams} query - The query parameters.
+ * @returns {string} The state: 'head' (the default), 'finalized' or a slot number.
+ * @throws {Error} 400 if the state is anything else.
+ */
+function stateParam(query) {
+  const state = query.get('state') ?? 'head';
+  if (!/^(head|finalized|\d+)$/.test(state)) {
+    throw httpError(400, `Invalid state "${state}"; expected head, finalized or a slot number.`);
+  }
+  return state;
+}
+
+/**
+ * Wraps a job's progress callback, adding the percentage done.
+ * @param {Function} onProgress - The job's progress callback.
+ * @returns {Function} The callback to pass to getValidatorPayments.
+ */
+function withPercent(onProgress) {
+  return progress => onProgress({
+    ...progress,
+    percent: progress.totalSlots === 0 ? 100 : Number(((progress.processedSlots / progress.totalSlots) * 100).toFixed(2))
+  });
+}
+
+/**
+ * Creates the request handler.
+ * @param {Object} config - The resolved configuration.
+ * @param {Object} jobs - The job manager (see `./jobs.js`).
+ * @param {number} cacheTtlMs - How long execution address lookups are cached, in ms.
+ * @returns {Function} handle(req, res): answers a request.
+ */
+function createHandler(config, jobs, cacheTtlMs) {
+  // Node's built-in fetch (Node.js 18+), so the server needs no dependencies of its own
+  const api = createApiClient(config, { fetch: globalThis.fetch });
+  // Execution address lookups by validator ID: `{ expiresAt, value }`
+  const addressCache = new Map();
+
+  /**
+   * Answers a scan request with its job: 200 with the result if it is already done, else 202.
+   * @param {http.ServerResponse} res - The response.
+   * @param {Object} job - The job.
+   */
+  function sendJob(res, job) {
+    const done = job.state === 'succeeded';
+    sendJson(res, done ? 200 : 202, jobs.describe(job, { withResult: done }), { Location: `/jobs/${job.id}` });
+  }
+
+  /**
+   * Looks up a validator's execution address, through the cache.
+   * @param {string} id - The validator's public key or index.
+   * @returns {Promise<Object>} `{ id, index, pubkey, credentials, pendingChange }`.
+   * @throws {Error} 404 if the validator does not exist, 502 if the beacon API fails.
+   */
+  async function lookupExecutionAddress(id) {
+    const cached = addressCache.get(id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+    const { [id]: found } = await fetchValidatorExecutionAddress([id], api);
+    if (found.error) {
+      throw found.status === 404 || found.status === 400
+        ? httpError(404, `Validator ${id} not found.`)
+        : httpError(502, `Beacon API error looking up validator ${id}: ${found.error}`);
+    }
+    // Pending changes only matter while credentials are still BLS
+    const pending = found.credentials.type === 'bls' ? await fetchPendingChanges(api) : null;
+    const value = { id, ...found, pendingChange: pending?.get(found.index) ?? null };
+    addressCache.set(id, { expiresAt: Date.now() + cacheTtlMs, value });
+    return value;
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname: path, searchParams: query } = url;
+    let match;
+    try {
+      if (path === '/payments' || path === '/status') {
+        if (req.method !== 'GET') {
+          throw httpError(405, `Use GET for ${path}.`);
+        }
+        const { ids, start, end } = scanParams(query);
+        if (path === '/payments') {
+          const params = {
+            ids,
+            start,
+            end,
+            mode: choiceParam(query, 'mode', MODES, 'full'),
+            bucket: choiceParam(query, 'bucket', BUCKETS),
+            events: query.get('events') === 'true',
+            feeRecipients: query.get('feeRecipients') ? query.get('feeRecipients').toLowerCase().split(',').sort() : null
+          };
+          return sendJob(res, jobs.submit('payments', params, ({ signal, onProgress }) => getValidatorPayments(ids, start, end, {
+            config,
+            mode: params.mode,
+            bucket: params.bucket ?? undefined,
+            events: params.events,
+            feeRecipients: params.feeRecipients ?? undefined,
+            signal,
+            onProgress: withPercent(onProgress)
+          })));
+        }
+        const params = { ids, start, end, mode: choiceParam(query, 'mode', ['fast', 'full'], 'fast'), state: stateParam(query) };
+        return sendJob(res, jobs.submit('status', params, ({ signal, onProgress }) => getValidatorStatus(ids, start, end, {
+          config,
+          mode: params.mode,
+          state: params.state,
+          signal,
+          onProgress: withPercent(onProgress)
+        })));
+      }
+
+      if (path === '/jobs') {
+        if (req.method !== 'GET') {
+          throw httpError(405, `Use GET for ${path}.`);
+        }
+        return sendJson(res, 200, jobs.list().map(job => jobs.describe(job)));
+      }
+
+      if ((match = path.match(/^\/jobs\/([\w-]+)$/))) {
+        const job = jobs.get(match[1]);
+        if (!job) {
+          throw httpError(404, `No job ${match[1]} (jobs expire once their result has been kept for a while).`);
+        }
+        if (req.method === 'DELETE') {
+          if (job.state !== 'queued' && job.state !== 'running') {
+            throw httpError(409, `Job ${job.id} has already finished (${job.state}).`);
+          }
+          return sendJson(res, 202, jobs.describe(jobs.cancel(job.id)));
+        }
+        if (req.method !== 'GET') {
+          throw httpError(405, `Use GET or DELETE for ${path}.`);
+        }
+        return sendJson(res, 200, jobs.describe(job, { withResult: true }));
+      }
+
+      if ((match = path.match(/^\/validators\/([^/]+)\/execution-address$/))) {
+        if (req.method !== 'GET') {
+          throw httpError(405, `Use GET for ${path}.`);
+        }
+        const id = decodeURIComponent(match[1]);
+        if (!/^(\d+|0x[0-9a-fA-F]{96})$/.test(id)) {
+          throw httpError(400, `Invalid validator ID "${id}"; expected an index or a 48-byte public key.`);
+        }
+        return sendJson(res, 200, await lookupExecutionAddress(id));
+      }
+
+      throw httpError(404, `Unknown endpoint ${path}; see the file header of api-server/server.js.`);
+    } catch (error) {
+      if (!error.status) {
+        log.error(`Error answering ${req.method} ${req.url}: ${error.message}`);
+      }
+      sendJson(res, error.status || 500, { error: error.message });
+    }
+  };
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const params = {};
+  args.forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      params[key] = value ?? true;
+    }
+  });
+  return params;
+}
+
+async function main() {
+  const params = parseArgs();
+  const port = params.port === undefined ? 8080 : parseInt(params.port);
+  const host = params.host || '127.0.0.1';
+  const maxJobs = params['max-jobs'] === undefined ? 1 : parseInt(params['max-jobs']);
+  const cacheTtlSeconds = params['cache-ttl'] === undefined ? 600 : parseInt(params['cache-ttl']);
+  if (isNaN(port) || isNaN(maxJobs) || maxJobs < 1 || isNaN(cacheTtlSeconds) || cacheTtlSeconds < 0) {
+    console.error('Usage: node server.js [--port=8080] [--host=127.0.0.1] [--max-jobs=1] [--cache-ttl=600] [--config=config.json] [--network=pulsechain]');
+    process.exit(1);
+  }
+
+  try {
+    const config = loadConfig(params);
+    setLogger(createLoggerFromConfig(config));
+    const jobs = createJobManager({ maxRunning: maxJobs, ttlMs: cacheTtlSeconds * 1000 });
+    const handle = createHandler(config, jobs, cacheTtlSeconds * 1000);
+    const server = http.createServer((req, res) => {
+      res.on('finish', () => log.info(`${req.method} ${req.url} ${res.statusCode}`));
+      handle(req, res);
+    });
+    server.listen(port, host, () => log.info(`API server listening on http://${host}:${port} (network ${config.network}).`));
+  } catch (error) {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
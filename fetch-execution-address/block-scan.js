@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Scanning a slot range block by block, for the lookups of this tool that are not answered by the
+ * current beacon state (fee recipients, past withdrawal credential changes).
+ *
+ * Only blinded blocks are fetched: they carry everything in a beacon block body (proposer, BLS-to-execution
+ * changes, the execution payload header with the fee recipient) except the transactions, which keeps each
+ * request small. A slot range costs one request per slot, so keep it as narrow as the question allows.
+ */
+
+import { retry } from '../shared/api-client.js';
+import { log } from '../shared/logger.js';
+
+// How often (in slots) to log progress
+const PROGRESS_INTERVAL_SLOTS = 10000;
+
+/**
+ * Parses a slot range given on the command line.
+ * @param {string} value - The range as 'START-END', e.g. '5000000-5100000'.
+ * @param {string} flag - The flag name, for the error message.
+ * @returns {{startSlot: number, endSlot: number}} The inclusive range.
+ * @throws {Error} If the range is malformed or empty.
+ */
+export function parseSlotRange(value, flag) {
+  const match = /^(\d+)-(\d+)$/.exec(value);
+  if (!match || parseInt(match[1]) > parseInt(match[2])) {
+    throw new Error(`Invalid --${flag} "${value}"; expected START-END, e.g. 5000000-5100000.`);
+  }
+  return { startSlot: parseInt(match[1]), endSlot: parseInt(match[2]) };
+}
+
+/**
+ * Fetches every block in a slot range (as blinded blocks) and hands each to a callback.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @param {number} startSlot - First slot of the range (inclusive).
+ * @param {number} endSlot - Last slot of the range (inclusive).
+ * @param {number} concurrency - Maximum number of slots fetched at once.
+ * @param {Function} onBlock - Called as onBlock(slot, message) with the block message
+ *        (`{ slot, proposer_index, body: { execution_payload_header, bls_to_execution_changes, ... } }`) of every
+ *        slot that has a block.
+ * @returns {Promise<number[]>} The slots that could not be fetched, sorted (their blocks were not seen).
+ */
+export async function scanBlocks(api, startSlot, endSlot, concurrency, onBlock) {
+  const failedSlots = [];
+
+  /**
+   * Fetches a slot's blinded block and passes it on.
+   * @param {number} slot - The slot number.
+   */
+  async function scanSlot(slot) {
+    const res = await retry(async () => await api.fetchBeacon(`/eth/v1/beacon/blinded_blocks/${slot}`), 4, `fetching slot ${slot}`);
+    if (res.status === 404 || res.status === 400) {
+      return; // No block in this slot
+    }
+    if (!res.ok) {
+      throw new Error(`HTTP error! Status: ${res.status} for slot: ${slot}`);
+    }
+    onBlock(slot, (await res.json()).data.message);
+  }
+
+  for (let batchStart = startSlot; batchStart <= endSlot; batchStart += concurrency) {
+    const batch = [];
+    for (let slot = batchStart; slot <= Math.min(endSlot, batchStart + concurrency - 1); slot++) {
+      batch.push(scanSlot(slot).catch(error => {
+        log.warn(`Error scanning slot ${slot}: ${error.message}`);
+        failedSlots.push(slot);
+      }));
+    }
+    await Promise.all(batch);
+    const done = Math.min(endSlot, batchStart + concurrency - 1) - startSlot + 1;
+    if (Math.floor(done / PROGRESS_INTERVAL_SLOTS) > Math.floor((done - batch.length) / PROGRESS_INTERVAL_SLOTS)) {
+      log.info(`Progress: scanned ${done} / ${endSlot - startSlot + 1} slots`);
+    }
+  }
+
+  if (failedSlots.length > 0) {
+    log.warn(`WARNING: ${failedSlots.length} slot(s) could not be fetched; anything only in them is missing.`);
+  }
+  return failedSlots.sort((a, b) => a - b);
+}
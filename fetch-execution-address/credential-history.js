@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Status and history of BLS-to-execution changes, for validators with BLS (0x00) withdrawal
+ * credentials and those that migrated away from them.
+ *
+ * A validator with 0x00 credentials receives no withdrawals until its BLS withdrawal key signs a one-time
+ * `BLSToExecutionChange`, which sets 0x01 credentials pointing to an execution address. A signed change first
+ * sits in the beacon node's operation pool (`/eth/v1/beacon/pool/bls_to_execution_changes`) until a proposer
+ * includes it in a block (`bls_to_execution_changes` in the block body); from then on it is final.
+ *
+ * Note that a node's pool only holds the changes it has seen and not yet included, so "nothing pending" is as
+ * seen by the configured beacon node(s).
+ */
+
+import { retry } from '../shared/api-client.js';
+import { scanBlocks } from './block-scan.js';
+import { log } from '../shared/logger.js';
+
+/**
+ * Fetches the BLS-to-execution changes waiting in the beacon node's operation pool.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @returns {Promise<Map<number, Object>|null>} The pending changes by validator index, as
+ *          `{ toExecutionAddress, fromBlsPubkey }`; null if the beacon node does not serve its pool.
+ */
+export async function fetchPendingChanges(api) {
+  const res = await retry(async () => await api.fetchBeacon('/eth/v1/beacon/pool/bls_to_execution_changes'), 4, 'fetching pending BLS-to-execution changes');
+  if (!res.ok) {
+    log.warn(`Beacon node does not serve its BLS-to-execution change pool (HTTP ${res.status}); pending changes are unknown.`);
+    return null;
+  }
+  const data = await res.json();
+  return new Map(data.data.map(({ message }) => [parseInt(message.validator_index), {
+    toExecutionAddress: message.to_execution_address.toLowerCase(),
+    fromBlsPubkey: message.from_bls_pubkey
+  }]));
+}
+
+/**
+ * Finds the BLS-to-execution changes of the given validators that were included on chain in a slot range.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @param {Set<number>} indicesSet - The validator indices.
+ * @param {number} startSlot - First slot of the range (inclusive).
+ * @param {number} endSlot - Last slot of the range (inclusive).
+ * @param {number} concurrency - Maximum number of slots fetched at once.
+ * @returns {Promise<{byIndex: Map<number, Object[]>, failedSlots: number[]}>} The included changes by validator
+ *          index, as `{ slot, toExecutionAddress, fromBlsPubkey }` in slot order (normally at most one, as a change
+ *          can only be made once); and the slots that could not be fetched (a change in them is missing).
+ */
+export async function findIncludedChanges(api, indicesSet, startSlot, endSlot, concurrency) {
+  const byIndex = new Map();
+  log.info(`Scanning slots ${startSlot} to ${endSlot} for BLS-to-execution changes of ${indicesSet.size} validator(s)...`);
+
+  const failedSlots = await scanBlocks(api, startSlot, endSlot, concurrency, (slot, message) => {
+    for (const { message: change } of message.body.bls_to_execution_changes || []) {
+      const index = parseInt(change.validator_index);
+      if (!indicesSet.has(index)) {
+        continue;
+      }
+      if (!byIndex.has(index)) {
+        byIndex.set(index, []);
+      }
+      byIndex.get(index).push({
+        slot,
+        toExecutionAddress: change.to_execution_address.toLowerCase(),
+        fromBlsPubkey: change.from_bls_pubkey
+      });
+    }
+  });
+
+  for (const changes of byIndex.values()) {
+    changes.sort((a, b) => a.slot - b.slot);
+  }
+  return { byIndex, failedSlots };
+}
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Direct lookup of validators' execution (withdrawal) addresses by public key or index.
+ *
+ * Used by the command-line tool (`./fetch-execution-address.js --ids=...`) and the local HTTP API server
+ * (`../api-server`).
+ */
+
+import { decodeWithdrawalCredentials } from '../shared/credentials.js';
+import { log } from '../shared/logger.js';
+
+/**
+ * Looks up validators and decodes their withdrawal credentials.
+ * @param {string[]} ids - Validator public keys or indices.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @returns {Promise<Object.<string, Object>>} By ID: `{ index, pubkey, credentials }` with the decoded credentials
+ *          (see `../shared/credentials.js`), or `{ error, status }` if the lookup failed (`status` being the HTTP
+ *          status if the beacon API answered with an error, e.g. 404 for an unknown validator).
+ */
+export async function fetchValidatorExecutionAddress(ids, api) {
+  const results = {};
+
+  for (const id of ids) {
+    try {
+      const data = await api.fetchBeaconJson(`/eth/v1/beacon/states/finalized/validators/${id}`);
+      const valData = data.data;
+      results[id] = {
+        index: parseInt(valData.index),
+        pubkey: valData.validator.pubkey,
+        credentials: decodeWithdrawalCredentials(valData.validator.withdrawal_credentials)
+      };
+    } catch (error) {
+      log.error(`Error fetching execution address for validator ${id}: ${error.message}`);
+      results[id] = { error: error.message, status: error.status ?? null };
+    }
+  }
+
+  return results;
+}
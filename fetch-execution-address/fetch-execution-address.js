@@ -1,8 +1,10 @@
 /**
  * @fileoverview Node.js script to fetch the execution (withdrawal) address for PulseChain validators.
  * 
- * This script uses the g4mm4.io Beacon API to directly look up validator details by public key or index
- * and extracts the execution address from the withdrawal credentials (if set with the 0x01 prefix).
+ * This script uses the Beacon API (g4mm4.io by default) to directly look up validator details by public key or
+ * index and decodes its withdrawal credentials: the execution address for 0x01 (and 0x02 compounding)
+ * credentials, or for BLS (0x00) credentials, the BLS withdrawal pubkey hash and whether a change to an execution
+ * address is pending (see `../shared/credentials.js`).
  * 
  * Installation:
  * 1. Run `npm install` to install dependencies (node-fetch for HTTP requests).
@@ -10,43 +12,149 @@
  * 
  * Usage:
  * - Run via: node fetch-execution-address.js --ids=12345,0xYourPubKey1,67890
- * - --ids: Comma-separated list of validator IDs (public keys like '0xabc...' or indices like '12345') (required).
+ * - --ids: Comma-separated list of validator IDs (public keys like '0xabc...' or indices like '12345') (required,
+ *   unless --portfolio is given).
+ * - --portfolio: Path of a portfolio file (YAML or JSON) listing the validators, with labels, groups and the
+ *   withdrawal addresses they should pay to (instead of --ids). Validators are then shown with their label and
+ *   group and listed per group too, and those whose withdrawal credentials do not pay to the address the
+ *   portfolio expects are warned about. See `../shared/portfolio.js` for the file format.
+ * - --config: Path of a config file (optional; defaults to `config.json` in the working directory, if present).
+ * - --network: Network profile, 'pulsechain' (default) or 'pulsechain-testnet-v4' (optional).
+ * - --beacon-urls: Comma-separated beacon API endpoints, overriding the network profile's (optional).
+ * - --change-slots: Slot range START-END, e.g. 5000000-5100000 (optional). Also reports when BLS-to-execution
+ *   changes of the validators were included on chain in that range, one request per slot. See
+ *   `./credential-history.js`.
+ *
+ * Reverse lookup (validators paying to known execution addresses):
+ * - Run via: node fetch-execution-address.js --addresses=0xYourWallet1,0xYourWallet2
+ * - --addresses: Comma-separated list of execution addresses (required instead of --ids). Finds every validator
+ *   whose 0x01 (or 0x02) withdrawal credentials point to one of them, by streaming the full validator set.
+ * - --state: Beacon state to look at: 'finalized' (default), 'head' or a slot number (optional).
+ * - --fee-recipient-slots: Slot range START-END, e.g. 5000000-5100000 (optional). Also finds the validators
+ *   that proposed blocks with one of the addresses as fee recipient in that range, one request per slot.
+ * - --ids-only: Print only the comma-separated validator indices found, for the payments tool, e.g.:
+ *     node ../get-validator-payments/index.js --ids=$(node fetch-execution-address.js --addresses=0x... --ids-only) ...
+ *   (progress messages go to stderr, so they do not end up in the list). If some --fee-recipient-slots could
+ *   not be fetched, the list is still printed but may be incomplete: that is warned about on stderr, and the
+ *   exit status is 1, so a script can stop rather than go on with it.
+ * See `./reverse-lookup.js` for details.
+ *
+ * Configuration is shared with the validator payments tool: defaults and network profile, then the config file,
+ * then `PVA_*` environment variables, then command-line flags. See `../shared/config.js`.
  * 
- * The script will output the execution address for each validator or indicate if it's not set.
+ * The script will output the execution address for each validator or, if it's not set, the BLS credential status.
  * 
- * Note: This is a direct lookup and does not require scanning slots, making it fast.
+ * Note: Looking up --ids is a direct lookup and does not require scanning slots, making it fast.
  * For simplicity, this uses process.argv parsing without additional dependencies.
  * For more robust CLI, consider adding 'commander' or 'yargs' as a dependency.
  */
 
 import fetch from 'node-fetch';
+import { parse as parseYaml } from 'yaml';
+import { loadConfig } from '../shared/config.js';
+import { createLoggerFromConfig, setLogger } from '../shared/logger.js';
+import { createApiClient } from '../shared/api-client.js';
+import { describeWithdrawalCredentials } from '../shared/credentials.js';
+import { credentialMismatches, describeCredentialMismatch, loadPortfolio, portfolioEntryOf } from '../shared/portfolio.js';
+import { fetchValidatorExecutionAddress } from './execution-address.js';
+import { findValidatorsByFeeRecipient, findValidatorsByWithdrawalAddress, normalizeAddresses } from './reverse-lookup.js';
+import { fetchPendingChanges, findIncludedChanges } from './credential-history.js';
+import { parseSlotRange } from './block-scan.js';
 
-async function fetchValidatorExecutionAddress(ids) {
-  const BEACON_URL = 'https://rpc-pulsechain.g4mm4.io/beacon-api';
+/**
+ * Prints the validators of a portfolio per group, with where their withdrawals go, and warns about those whose
+ * withdrawal credentials do not pay to the address the portfolio expects.
+ * @param {Object} portfolio - The portfolio (see `../shared/portfolio.js`).
+ * @param {Object[]} found - The validators looked up, `{ index, pubkey, credentials }`.
+ */
+function printPortfolioGroups(portfolio, found) {
+  const byGroup = new Map();
+  for (const result of found) {
+    const group = portfolioEntryOf(portfolio, result.index, result.pubkey)?.group ?? null;
+    byGroup.set(group, [...(byGroup.get(group) || []), result]);
+  }
+  // In the order of the portfolio file, validators in no group last
+  const groups = [...Object.keys(portfolio.groups), null].filter(group => byGroup.has(group));
+
+  console.log('Validators by Group:');
+  for (const group of groups) {
+    const results = byGroup.get(group);
+    const settings = group === null ? null : portfolio.groups[group];
+    console.log(`- ${group === null ? '(no group)' : settings.name} (${results.length}):`);
+    if (settings?.withdrawalAddress) {
+      console.log(`  Expected withdrawal address: ${settings.withdrawalAddress}`);
+    }
+    for (const result of results) {
+      const label = portfolioEntryOf(portfolio, result.index, result.pubkey)?.label;
+      console.log(`    - ${result.index}${label ? ` ${label}` : ''}: ${describeWithdrawalCredentials(result.credentials)}`);
+    }
+  }
+
+  const mismatches = credentialMismatches(portfolio, found);
+  for (const mismatch of mismatches) {
+    console.log(`WARNING: ${describeCredentialMismatch(mismatch)}`);
+  }
+  if (mismatches.length === 0 && portfolio.validators.some(entry => entry.withdrawalAddress)) {
+    console.log('All withdrawal credentials pay to the addresses the portfolio expects.');
+  }
+}
+
+/**
+ * Looks up the validators given with --ids (or --portfolio) and prints their execution addresses or BLS
+ * credential status.
+ * @param {Object} params - The parsed command-line arguments.
+ * @param {Object} config - The resolved configuration.
+ */
+async function lookupIds(params, config) {
+  const portfolio = params.portfolio ? loadPortfolio(params.portfolio, { parseYaml }) : null;
+  const ids = portfolio ? portfolio.validators.map(entry => entry.id) : params.ids.split(',');
+  const api = createApiClient(config, { fetch });
+  const results = await fetchValidatorExecutionAddress(ids, api);
+  const found = Object.values(results).filter(result => !result.error);
+
+  // Pending changes only matter while credentials are still BLS
+  const pending = found.some(result => result.credentials.type === 'bls') ? await fetchPendingChanges(api) : null;
 
-  const results = {};
+  let included = null;
+  let failedSlots = [];
+  let genesisTime = null;
+  if (params['change-slots']) {
+    const { startSlot, endSlot } = parseSlotRange(params['change-slots'], 'change-slots');
+    ({ genesisTime } = await api.verifyNetwork({ rpc: false }));
+    ({ byIndex: included, failedSlots } = await findIncludedChanges(api, new Set(found.map(result => result.index)), startSlot, endSlot, config.concurrency));
+  }
+  const slotDate = slot => new Date((genesisTime + slot * config.slot_interval_seconds) * 1000).toISOString();
 
-  for (const id of ids) {
-    try {
-      const res = await fetch(`${BEACON_URL}/eth/v1/beacon/states/finalized/validators/${id}`);
-      if (!res.ok) {
-        throw new Error(`HTTP error! Status: ${res.status} for validator ID: ${id}`);
+  console.log('Validator Execution Addresses:');
+  for (const [id, result] of Object.entries(results)) {
+    if (result.error) {
+      console.log(`- ID ${id}: Error: ${result.error}`);
+      continue;
+    }
+    const entry = portfolio && portfolioEntryOf(portfolio, result.index, result.pubkey);
+    const tags = [entry?.label, entry?.group && `group ${entry.group}`].filter(Boolean);
+    console.log(`- ID ${id}${tags.length > 0 ? ` (${tags.join(', ')})` : ''}: ${describeWithdrawalCredentials(result.credentials)}`);
+    if (result.credentials.type === 'bls' && pending) {
+      const change = pending.get(result.index);
+      console.log(change
+        ? `    Change to ${change.toExecutionAddress} is pending in the pool (signed by BLS key ${change.fromBlsPubkey}); it takes effect once included in a block.`
+        : '    No change to an execution address is pending in the pool; until one is signed and included, this validator receives no withdrawals.');
+    }
+    if (included) {
+      for (const change of included.get(result.index) || []) {
+        console.log(`    Changed from BLS to ${change.toExecutionAddress} in slot ${change.slot} (${slotDate(change.slot)}).`);
       }
-      const data = await res.json();
-      const valData = data.data;
-      const withdrawalCred = valData.validator.withdrawal_credentials;
-      let executionAddress = 'Not set (withdrawal credentials not configured for execution address)';
-      if (withdrawalCred.startsWith('0x01')) {
-        executionAddress = '0x' + withdrawalCred.slice(-40);
+      if (!included.has(result.index)) {
+        console.log(`    No BLS-to-execution change included in slots ${params['change-slots']}.`);
       }
-      results[id] = executionAddress;
-    } catch (error) {
-      console.error(`Error fetching execution address for validator ${id}:`, error.message);
-      results[id] = 'Error: ' + error.message;
     }
   }
-
-  return results;
+  if (failedSlots.length > 0) {
+    console.log(`WARNING: ${failedSlots.length} slot(s) could not be fetched, so the change history may be incomplete: ${failedSlots.join(',')}`);
+  }
+  if (portfolio) {
+    printPortfolioGroups(portfolio, found);
+  }
 }
 
 function parseArgs() {
@@ -55,28 +163,84 @@ function parseArgs() {
   args.forEach(arg => {
     if (arg.startsWith('--')) {
       const [key, value] = arg.slice(2).split('=');
-      params[key] = value;
+      params[key] = value ?? true; // Bare flags such as --ids-only are booleans
     }
   });
   return params;
 }
 
+/**
+ * Runs the reverse lookup (--addresses) and prints what was found.
+ * @param {Object} params - The parsed command-line arguments.
+ * @param {Object} config - The resolved configuration.
+ */
+async function reverseLookup(params, config) {
+  const addresses = normalizeAddresses(params.addresses.split(','));
+  const api = createApiClient(config, { fetch });
+
+  const byCredentials = await findValidatorsByWithdrawalAddress(api, addresses, params.state || 'finalized');
+  let byFeeRecipient = null;
+  let failedSlots = [];
+  if (params['fee-recipient-slots']) {
+    const { startSlot, endSlot } = parseSlotRange(params['fee-recipient-slots'], 'fee-recipient-slots');
+    ({ byAddress: byFeeRecipient, failedSlots } = await findValidatorsByFeeRecipient(api, addresses, startSlot, endSlot, config.concurrency));
+  }
+
+  const indices = new Set();
+  for (const address of addresses) {
+    byCredentials[address].forEach(validator => indices.add(validator.index));
+    byFeeRecipient?.[address].forEach(proposer => indices.add(proposer.index));
+  }
+  const ids = [...indices].sort((a, b) => a - b).join(',');
+
+  if (params['ids-only']) {
+    console.log(ids);
+    if (failedSlots.length > 0) {
+      console.error(`WARNING: ${failedSlots.length} slot(s) could not be fetched, so the list may be incomplete: ${failedSlots.join(',')}`);
+      // Set rather than exit, so the list printed above is flushed first
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  console.log('Validators by Execution Address:');
+  for (const address of addresses) {
+    console.log(`- ${address}:`);
+    console.log(`  Withdrawal credentials (${byCredentials[address].length}):`);
+    for (const { index, pubkey, status, credentialType } of byCredentials[address]) {
+      console.log(`    - ${index} ${pubkey} (${status}${credentialType === 'compounding' ? ', 0x02 compounding' : ''})`);
+    }
+    if (byFeeRecipient) {
+      console.log(`  Fee recipient in slots ${params['fee-recipient-slots']} (${byFeeRecipient[address].length}):`);
+      for (const { index, proposals, firstSlot, lastSlot } of byFeeRecipient[address]) {
+        console.log(`    - ${index}: ${proposals} proposal(s), slots ${firstSlot} to ${lastSlot}`);
+      }
+    }
+  }
+  if (failedSlots.length > 0) {
+    console.log(`WARNING: ${failedSlots.length} slot(s) could not be fetched, so the fee recipient results may be incomplete: ${failedSlots.join(',')}`);
+  }
+  console.log(ids ? `For the payments tool: --ids=${ids}` : 'No validators found.');
+}
+
 async function main() {
   const params = parseArgs();
   
-  if (!params.ids) {
-    console.error('Usage: node get-validator-execution-address.js --ids=12345,0xYourPubKey1,67890');
+  if (!params.ids && !params.portfolio && !params.addresses) {
+    console.error('Usage: node fetch-execution-address.js --ids=12345,0xYourPubKey1,67890 [--change-slots=START-END] [--config=config.json] [--network=pulsechain]');
+    console.error('   or: node fetch-execution-address.js --portfolio=portfolio.yaml [--change-slots=START-END] ...');
+    console.error('   or: node fetch-execution-address.js --addresses=0xYourWallet1,0xYourWallet2 [--state=finalized] [--fee-recipient-slots=START-END] [--ids-only]');
     process.exit(1);
   }
   
-  const ids = params.ids.split(',');
-  
   try {
-    const results = await fetchValidatorExecutionAddress(ids);
-    console.log('Validator Execution Addresses:');
-    for (const [id, address] of Object.entries(results)) {
-      console.log(`- ID ${id}: ${address}`);
+    const config = loadConfig(params);
+    setLogger(createLoggerFromConfig(config));
+    if (params.addresses) {
+      await reverseLookup(params, config);
+      return;
     }
+    await lookupIds(params, config);
   } catch (error) {
     console.error('Fatal error:', error.message);
     process.exit(1);
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Reverse lookup: from execution address(es) to the validators paying to them.
+ *
+ * Two independent ways to find the validators behind an address:
+ *
+ * - Withdrawal credentials: every validator whose 0x01 (or 0x02) withdrawal credentials point to the address. Found by
+ *   streaming the full validator set at a beacon state (see `../shared/validator-stream.js`), so it is
+ *   complete, and takes one (large) request.
+ *
+ * - Fee recipient: every validator that proposed a block with the address as `fee_recipient`, within a slot
+ *   range. This finds validators whose withdrawal credentials point elsewhere (or are not set yet), but only
+ *   those that proposed in the range, and it costs one request per slot.
+ *
+ * The validator indices found either way can be passed straight to the payments tool as `--ids`.
+ */
+
+import { decodeWithdrawalCredentials } from '../shared/credentials.js';
+import { findValidators } from '../shared/validator-stream.js';
+import { scanBlocks } from './block-scan.js';
+import { log } from '../shared/logger.js';
+
+/**
+ * Checks and normalizes execution addresses given by the user.
+ * @param {string[]} addresses - The addresses.
+ * @returns {string[]} The addresses in lower case.
+ * @throws {Error} If any address is not a 20-byte hex address.
+ */
+export function normalizeAddresses(addresses) {
+  const invalid = addresses.filter(address => !/^0x[0-9a-fA-F]{40}$/.test(address));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid execution address(es): ${invalid.join(', ')}`);
+  }
+  return addresses.map(address => address.toLowerCase());
+}
+
+/**
+ * Finds every validator whose 0x01 (execution) or 0x02 (compounding) withdrawal credentials point to one of the
+ * given addresses.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @param {string[]} addresses - The execution addresses, in lower case.
+ * @param {string} [state='finalized'] - The beacon state to look at.
+ * @returns {Promise<Object.<string, Object[]>>} For each address, its validators as
+ *          `{ index, pubkey, status, credentialType }`, in index order.
+ */
+export async function findValidatorsByWithdrawalAddress(api, addresses, state = 'finalized') {
+  const wanted = new Set(addresses);
+  log.info(`Scanning all validators at state ${state} for withdrawal credentials pointing to ${addresses.length} address(es)...`);
+  const { validators, scanned } = await findValidators(api, state, entry => wanted.has(decodeWithdrawalCredentials(entry.validator.withdrawal_credentials).address));
+  log.info(`Scanned ${scanned} validators; ${validators.length} match.`);
+
+  const byAddress = Object.fromEntries(addresses.map(address => [address, []]));
+  for (const entry of validators) {
+    const { address, type } = decodeWithdrawalCredentials(entry.validator.withdrawal_credentials);
+    byAddress[address].push({
+      index: parseInt(entry.index),
+      pubkey: entry.validator.pubkey,
+      status: entry.status,
+      credentialType: type
+    });
+  }
+  for (const list of Object.values(byAddress)) {
+    list.sort((a, b) => a.index - b.index);
+  }
+  return byAddress;
+}
+
+/**
+ * Finds every validator that proposed a block paying one of the given addresses as fee recipient, in a slot range.
+ * Only block headers are fetched (blinded blocks), not the transactions.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @param {string[]} addresses - The execution addresses, in lower case.
+ * @param {number} startSlot - First slot of the range (inclusive).
+ * @param {number} endSlot - Last slot of the range (inclusive).
+ * @param {number} concurrency - Maximum number of slots fetched at once.
+ * @returns {Promise<{byAddress: Object.<string, Object[]>, failedSlots: number[]}>} For each address, its proposers
+ *          as `{ index, proposals, firstSlot, lastSlot }` in index order; and the slots that could not be fetched
+ *          (any proposer in them is missing from the result).
+ */
+export async function findValidatorsByFeeRecipient(api, addresses, startSlot, endSlot, concurrency) {
+  const wanted = new Set(addresses);
+  const byAddress = Object.fromEntries(addresses.map(address => [address, new Map()]));
+  log.info(`Scanning slots ${startSlot} to ${endSlot} for blocks paying ${addresses.length} address(es) as fee recipient...`);
+
+  const failedSlots = await scanBlocks(api, startSlot, endSlot, concurrency, (slot, message) => {
+    const feeRecipient = message.body.execution_payload_header?.fee_recipient?.toLowerCase();
+    if (!wanted.has(feeRecipient)) {
+      return;
+    }
+    const index = parseInt(message.proposer_index);
+    const proposers = byAddress[feeRecipient];
+    const entry = proposers.get(index) || { index, proposals: 0, firstSlot: slot, lastSlot: slot };
+    entry.proposals++;
+    entry.firstSlot = Math.min(entry.firstSlot, slot);
+    entry.lastSlot = Math.max(entry.lastSlot, slot);
+    proposers.set(index, entry);
+  });
+
+  return {
+    byAddress: Object.fromEntries(Object.entries(byAddress).map(([address, proposers]) => [
+      address,
+      [...proposers.values()].sort((a, b) => a.index - b.index)
+    ])),
+    failedSlots
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Exact amount handling for the validator payments calculator.
+ *
+ * All amounts are kept internally as BigInt wei, so sums stay exact no matter how large they get
+ * (floating-point numbers lose precision once totals reach PulseChain magnitudes). Only when results are
+ * returned are amounts converted, by `formatPls`, into an exact decimal string plus a float convenience
+ * field.
+ */
+
+// Wei per gwei and per PLS (PLS, like ETH, has 18 decimals; beacon chain amounts are in gwei)
+export const WEI_PER_GWEI = 10n ** 9n;
+export const WEI_PER_PLS = 10n ** 18n;
+
+// Gwei per PLS, e.g. to express the principal (a whole number of PLS) in the gwei of beacon chain balances
+export const GWEI_PER_PLS = WEI_PER_PLS / WEI_PER_GWEI;
+
+/**
+ * An amount as returned in results: exact decimal strings in wei and PLS, plus a float for convenience.
+ * @typedef {{wei: string, pls: string, plsFloat: number}} Amount
+ */
+
+/**
+ * Converts a beacon chain gwei amount to wei.
+ * @param {string|number|bigint} gwei - The amount in gwei, e.g. a withdrawal's `amount` field.
+ * @returns {bigint} The amount in wei.
+ */
+export function gweiToWei(gwei) {
+  return BigInt(gwei) * WEI_PER_GWEI;
+}
+
+/**
+ * Formats a wei amount for output.
+ * @param {bigint} wei - The amount in wei (may be negative).
+ * @returns {Amount} The exact amount in wei and as a PLS decimal string (no trailing zeros), plus the PLS amount
+ *          as a float for convenience (which may be rounded).
+ */
+export function formatPls(wei) {
+  const negative = wei < 0n;
+  const abs = negative ? -wei : wei;
+  const whole = abs / WEI_PER_PLS;
+  const fraction = (abs % WEI_PER_PLS).toString().padStart(18, '0').replace(/0+$/, '');
+  const pls = `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  return { wei: wei.toString(), pls, plsFloat: Number(pls) };
+}
+
+/**
+ * Formats every wei amount in an object keyed by, e.g., address.
+ * @param {Object.<string, bigint>} totals - Amounts in wei by key.
+ * @returns {Object.<string, Amount>} The formatted amounts by key.
+ */
+export function formatPlsTotals(totals) {
+  return Object.fromEntries(Object.entries(totals).map(([key, wei]) => [key, formatPls(wei)]));
+}
@@ -3,8 +3,8 @@
  * on PulseChain for consensus and execution layers.
  * 
  * This script scans the PulseChain beacon chain slots in a given date range to compute totals for 
- * consensus layer payments (via withdrawals, excluding full exit principals) and execution layer 
- * payments (via priority fees from proposed blocks). It uses the g4mm4.io APIs for data fetching.
+ * consensus layer payments (via withdrawals, with returned principal reported separately) and execution layer 
+ * payments (via priority fees or builder payments for proposed blocks). It uses the g4mm4.io APIs for data fetching.
  *
  * A full per-wallet address breakdown is provided so that coins are tracked on a per-wallet basis, 
  * including by fee payment type (Consensus Layer and Execution Layer).
@@ -13,19 +13,26 @@
  * validator public keys or indices.
  * 
  * Configuration:
- * - The script loads major configuration values (e.g., API endpoints, concurrency) from a `config.json` 
- *   file in the working directory.
+ * - Settings (e.g., network, API endpoints, concurrency) are resolved in layers, each overriding the one
+ *   before: built-in defaults and the selected network profile, then a config file (`config.json` in the
+ *   working directory, or the file given with `--config` to `index.js`), then `PVA_*` environment variables,
+ *   then command-line flags. See `../shared/config.js` for every setting and the network profiles.
  * 
  * - Example config.json:
  *   {
- *     "beacon_url": "https://rpc-pulsechain.g4mm4.io/beacon-api",
- *     "rpc_url": "https://rpc-pulsechain.g4mm4.io",
- *     "slot_interval_seconds": 12,
- *     "gwei_to_pls": 1000000000,
- *     "max_effective_balance": 32,
- *     "concurrency": 90
+ *     "network": "pulsechain",
+ *     "rpc_urls": ["https://rpc-pulsechain.g4mm4.io", "https://rpc.pulsechain.com", "https://pulsechain-rpc.publicnode.com"],
+ *     "concurrency": 90,
+ *     "cache_dir": ".cache",
+ *     "sweep_sample_slots": 64
  *   }
- * - Adjust values in config.json as needed for customization.
+ * - `network` selects a profile (`pulsechain` or `pulsechain-testnet-v4`) bundling the slot time and public
+ *   endpoints; anything set explicitly overrides it. At the start of a scan, the endpoints are checked against
+ *   the configured network (genesis time if pinned, slot time, chain id), so mismatched settings fail loudly.
+ * - `cache_dir` is where decoded slots are cached between runs (see "Slot Cache" below).
+ * - `sweep_sample_slots` is how often the fast scan mode samples the withdrawal sweep (see `./slot-finder.js`).
+ * - Library users can pass settings directly as `{ config: {...} }` in the options of getValidatorPayments,
+ *   in which case no config file is read.
  * 
  * Usage:
  * 
@@ -44,132 +51,1272 @@
  *   end date are counted. If you want to include the full end date, adjust by setting the end date to one 
  *   day after your intended period (e.g., use --end=2024-03-11 to capture up to 2024-03-10).
  * 
- * - The function logs summaries to console and returns an object with consensus and execution totals by 
- *   address.
+ * - The function logs progress and summaries and returns an object with consensus and execution totals by 
+ *   address. All amounts are summed exactly as BigInt wei and returned as `{ wei, pls, plsFloat }`: exact
+ *   decimal strings in wei and PLS, plus a (possibly rounded) float for convenience. See `./amounts.js`.
+ * 
+ * - Embedding: nothing is ever written to stdout. Messages go through the logger of `../shared/logger.js`
+ *   (plain text on stderr by default); pass `logger` in the options to route this call's messages elsewhere,
+ *   or replace the process-wide logger with setLogger. `signal` (an AbortSignal) cancels a scan, and
+ *   `onProgress` and `onPayment` report its progress and each payment found as it goes. For an async
+ *   iterator over the same, see streamValidatorPayments in `./payment-stream.js`:
+ * 
+ *     for await (const item of streamValidatorPayments(['12345'], '2025-01-01', '2025-02-01', { signal })) {
+ *       if (item.type === 'payment') console.log(item.payment);
+ *     }
  * 
  * Note: This performs a heavy scan over potentially millions of slots. Use with caution to avoid API 
  *       rate limits.
  * 
+ * Principal and Income:
+ *
+ * Consensus withdrawals are labelled from the validator's exit state: partial reward skims, full exits and
+ * post-slashing returns. `consensus` totals are reward income only; principal returned by exits is totalled
+ * separately as `principal`, and per validator the principal lost is shown as `slashingPenalty` or
+ * `exitShortfall`. The principal is taken to be the chain's MAX_EFFECTIVE_BALANCE per validator, as the beacon
+ * node's spec gives it (or the `max_effective_balance` setting for nodes that serve no spec; see
+ * depositGweiFor). Top-ups beyond the initial deposit, e.g. to 0x02 compounding validators, are not tracked.
+ * The exit state is read at the finalized state, so a validator exiting after the scanned range simply has no
+ * exit withdrawals in it.
+ *
+ * A validator's first exit withdrawal, the sweep paying out its balance, returns its principal (or what is left
+ * of it); any shortfall is then final, and late leftovers after it are income. So slots holding exit
+ * withdrawals are counted after the rest of the scan, in slot order, once the validator's first exit withdrawal
+ * has been found, even before the range or outside the slots re-run (see replayExitWithdrawals). A range
+ * starting after an exit thus never counts its late leftovers as principal.
+ *
+ * Execution Payments:
+ *
+ * A proposal is paid in one of two ways. A locally built block pays its priority fees (tips) to the fee
+ * recipient the validator's client set. A block bought from a builder (MEV-boost) has the builder as fee
+ * recipient instead; the builder pays the proposer with a transfer at the end of the block. A block whose fee
+ * recipient is neither one of the expected fee recipients nor one of the proposer's own addresses (its
+ * withdrawal address and its portfolio fee recipient), and whose last transaction is a plain transfer from that
+ * fee recipient, is counted as builder-built: the transfer is the payment, and the tips (the builder's) are not
+ * counted. `execution` totals both; `priorityFees` and `builderPayments` split them.
+ *
+ * The expected fee recipients are the validators' withdrawal addresses, unless given as the `feeRecipients`
+ * option (`--fee-recipients` to `index.js`). Any proposal paying another address is still counted, but listed
+ * in `feeRecipients.mismatches` and warned about, so that a client with a wrong fee recipient is noticed.
+ *
+ * Portfolios:
+ *
+ * Validators run for several parties can be listed in a portfolio file (`--portfolio` to `index.js`; see
+ * `../shared/portfolio.js`) with labels, groups (e.g. one per client) and the withdrawal and fee recipient
+ * addresses each should pay to. With the `portfolio` option, the result also totals the payments per group and
+ * per label, for a statement per party, and warns about validators whose withdrawal credentials do not pay to
+ * the address the portfolio expects.
+ *
+ * Reconciliation:
+ *
+ * The totals can be checked against the chain with reconcileBalances (`--reconcile` to `index.js`; see
+ * `./reconciliation.js`), which compares each paid address's balance change over the range with its payments
+ * and its other transfers, and reports any difference left unexplained.
+ *
+ * Slot Cache:
+ *
+ * Every finalized slot that is scanned is decoded and appended to an on-disk cache under `cache_dir` (see
+ * `./slot-cache.js`). If a scan is interrupted (crash, Ctrl-C), simply run it again: it resumes where it stopped.
+ * Likewise, a re-run over an overlapping date range only fetches the slots it has not seen before. Pass
+ * `{ useCache: false }` as the fourth argument (or `--no-cache` to `index.js`) to bypass the cache.
+ *
+ * Recording and Replaying:
+ *
+ * With `--transport=record` (see `../shared/config.js`), every beacon API and JSON-RPC exchange of a run is
+ * saved to `fixture_dir`; with `--transport=replay`, the run is answered from those fixtures alone, with no
+ * network access, and so reproduces the recorded result exactly (e.g. to settle a disputed report, or to check
+ * that an upgrade of these tools gives the same totals). The slot cache is not used in either mode. See
+ * `../shared/transport.js`, and `../mock-node` for serving fixtures or a synthetic chain over HTTP.
+ * 
+ * Rate Limits and Failover:
+ * 
+ * Requests are spread over all endpoints configured as `beacon_urls` and `rpc_urls` (see the
+ * `README.md` one directory level above for a list of possible RPC providers). When a provider answers with
+ * HTTP 429 (rate limited) or 5xx, the scan automatically backs off: it honors the `Retry-After` header, halves
+ * the number of concurrent requests, and ramps back up (to at most `concurrency`) as requests succeed again.
+ * Endpoints that keep failing are marked unhealthy and retried later. See `../shared/endpoint-pool.js`.
+ * 
  * Troubleshooting: 
  * 
- * If you get HTTP 429 response status code, then you have hit a rate limit and so you need to either
- * reduce the value of the `concurrency` property in `config.json`, or you need to switch to a different
- * RPC provider (configured in `config.json` as well).  See the `README.md` one directory level above
- * for a list of possible RPC providers.
+ * If you keep getting HTTP 429 response status codes even so, then add more endpoints to `beacon_urls` and
+ * `rpc_urls`, or reduce the value of the `concurrency` setting (e.g. `--concurrency=20`).
  */
 
 import fetch from 'node-fetch'; // Updated to ESM import (node-fetch v3 is ESM-only)
-import fs from 'node:fs'; // Built-in Node.js module for file system operations
+import { openSlotCache, reduceWithdrawals } from './slot-cache.js';
+import { findRelevantSlots, findWithdrawalSlots, runBatched } from './slot-finder.js';
+import { GWEI_PER_PLS, formatPls, formatPlsTotals, gweiToWei } from './amounts.js';
+import { loadConfig, resolveConfig } from '../shared/config.js';
+import { createApiClient, currentSignal, parseEpoch, retry, withSignal } from '../shared/api-client.js';
+import { decodeWithdrawalCredentials } from '../shared/credentials.js';
+import { credentialMismatches, describeCredentialMismatch, portfolioEntryOf } from '../shared/portfolio.js';
+import { log, withLogger } from '../shared/logger.js';
 
-// Load configuration from config.json
-const config = JSON.parse(fs.readFileSync('config.json', 'utf8'));
-const BEACON_URL = config.beacon_url;
-const RPC_URL = config.rpc_url;
-const SLOT_INTERVAL_SECONDS = config.slot_interval_seconds;
-const GWEI_TO_PLS = config.gwei_to_pls;
-const MAX_EFFECTIVE_BALANCE = config.max_effective_balance;
-const CONCURRENCY = config.concurrency;
+// Per-configuration state (API client with its endpoint pools and concurrency limiter, RPC capabilities),
+// shared by every scan with the same configuration so that e.g. throttling carries over between them; kept
+// per fetch implementation, for library users passing their own
+const contexts = new WeakMap();
 
-// Hardcoded fetch timeout in ms (can be added to config.json later if needed)
-const FETCH_TIMEOUT_MS = 30000;
+/**
+ * Returns the scan context for a resolved configuration, creating it on first use.
+ * @param {Object} config - The resolved configuration (see `../shared/config.js`).
+ * @param {Function} [fetchImpl] - The fetch implementation (node-fetch by default).
+ * @returns {Object} The context: `{ config, api, blockReceiptsSupported }`.
+ */
+function contextFor(config, fetchImpl = fetch) {
+  if (!contexts.has(fetchImpl)) {
+    contexts.set(fetchImpl, new Map());
+  }
+  const byConfig = contexts.get(fetchImpl);
+  const key = JSON.stringify(config);
+  if (!byConfig.has(key)) {
+    byConfig.set(key, {
+      config,
+      api: createApiClient(config, { fetch: fetchImpl }),
+      // Set to false once the RPC endpoint reports that it does not support eth_getBlockReceipts,
+      // so later blocks go straight to the batched eth_getTransactionReceipt fallback
+      blockReceiptsSupported: true
+    });
+  }
+  return byConfig.get(key);
+}
 
 /**
- * A utility function to make a fetch request with timeout using AbortController.
- * @param {string} url - The URL to fetch.
- * @param {Object} [options={}] - Fetch options.
- * @returns {Promise<Response>} The fetch response.
+ * Marks an error with the kind of request that failed, for the integrity report.
+ * @param {Error} error - The error.
+ * @param {string} kind - 'block' (beacon block), 'execution_block' (execution block via RPC) or 'receipts'.
+ * @param {Object} [details={}] - Extra fields for the report, e.g. `{ blockNumber }`.
+ * @returns {Error} The error.
  */
-async function fetchWithTimeout(url, options = {}) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+function tagFailure(error, kind, details = {}) {
+  error.failure ??= { kind, ...details };
+  return error;
+}
+
+/**
+ * Finds what kind of request an error (or any error it was caused by) came from, as set by tagFailure.
+ * @param {Error} error - The error.
+ * @returns {Object} The failure details, with `kind` 'slot' if nothing more specific is known.
+ */
+function failureOf(error) {
+  for (let e = error; e; e = e.cause) {
+    if (e.failure) {
+      return e.failure;
+    }
+  }
+  return { kind: 'slot' };
+}
+
+// Maximum number of eth_getTransactionReceipt calls sent in one JSON-RPC batch
+const RECEIPT_BATCH_SIZE = 100;
+
+/**
+ * Fetches the receipts of all transactions in an execution block.
+ * 
+ * Uses a single `eth_getBlockReceipts` call where the RPC endpoint supports it, and otherwise falls back to
+ * batched JSON-RPC arrays of `eth_getTransactionReceipt` calls.
+ * @param {Object} context - The scan context (see contextFor).
+ * @param {number} blockNumber - The execution block number.
+ * @param {string[]} txHashes - The hashes of the transactions in the block, in block order.
+ * @returns {Promise<Object[]>} The transaction receipts.
+ */
+async function fetchBlockReceipts(context, blockNumber, txHashes) {
+  if (txHashes.length === 0) {
+    return [];
+  }
+
+  if (context.blockReceiptsSupported) {
+    const data = await context.api.postRpc({
+      jsonrpc: '2.0',
+      method: 'eth_getBlockReceipts',
+      params: [`0x${blockNumber.toString(16)}`],
+      id: 1
+    }, `receipts of block ${blockNumber}`);
+    if (!data.error && Array.isArray(data.result) && data.result.length === txHashes.length) {
+      return data.result;
+    }
+    // -32601 is "method not found"; anything else (e.g. a transient error) just falls back for this block
+    // (checked again as concurrent slots may have found out already)
+    if (data.error?.code === -32601 && context.blockReceiptsSupported) {
+      log.info('RPC endpoint does not support eth_getBlockReceipts; falling back to batched eth_getTransactionReceipt.');
+      context.blockReceiptsSupported = false;
+    }
+  }
+
+  const receipts = [];
+  for (let i = 0; i < txHashes.length; i += RECEIPT_BATCH_SIZE) {
+    const hashes = txHashes.slice(i, i + RECEIPT_BATCH_SIZE);
+    const batch = hashes.map((hash, id) => ({ jsonrpc: '2.0', method: 'eth_getTransactionReceipt', params: [hash], id }));
+    const responses = await context.api.postRpc(batch, `receipts of block ${blockNumber}`);
+    if (!Array.isArray(responses)) {
+      throw new Error(`RPC error: ${responses.error?.message || 'batch requests not supported'} for receipts of block ${blockNumber}`);
+    }
+    // Batch responses may come back in any order, so match them to requests by id
+    const byId = new Map(responses.map(response => [response.id, response]));
+    hashes.forEach((hash, id) => {
+      const response = byId.get(id);
+      if (!response || response.error || !response.result) {
+        throw new Error(`RPC error: ${response?.error?.message || 'No receipt'} for txHash: ${hash}`);
+      }
+      receipts.push(response.result);
+    });
+  }
+  return receipts;
+}
+
+/**
+ * Fetches the beacon block for a slot and decodes the parts the payments calculation needs.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @param {number} slot - The slot number.
+ * @param {string|number} [blockId=slot] - The block to fetch, if not the canonical block of the slot (e.g. a
+ *        block root announced by the beacon node's event stream).
+ * @returns {Promise<Object>} The decoded slot record (see `./slot-cache.js` for the format);
+ *          `{ slot, missing: true }` if no block exists for the slot.
+ */
+export async function fetchSlotRecord(api, slot, blockId = slot) {
+  let blockRes;
   try {
-    const res = await fetch(url, { ...options, signal: controller.signal });
-    return res;
-  } finally {
-    clearTimeout(timeoutId);
+    blockRes = await api.fetchBeacon(`/eth/v1/beacon/blocks/${blockId}`);
+  } catch (error) {
+    throw tagFailure(error, 'block');
+  }
+  if (!blockRes.ok) {
+    // For 404, log explanation without throwing (no retry needed, as no block exists)
+    if (blockRes.status === 404) {
+      log.debug(`HTTP error! Status: ${blockRes.status} for slot: ${slot} - No block exists for this slot; it is normal that this happens from time to time.`);
+      return { slot, missing: true }; // Skip without retry or error
+    }
+    // For 400 error (e.g., for invalid/negative slot), do not retry as the slot doesn't exist
+    if (blockRes.status === 400) {
+      log.debug(`Skipping non-existent slot ${slot} (HTTP 400)`);
+      return { slot, missing: true }; // Skip without retry or error
+    }
+    throw tagFailure(new Error(`HTTP error! Status: ${blockRes.status} for slot: ${slot}`), 'block');
+  }
+  const blockData = await blockRes.json();
+  const message = blockData.data.message;
+  // Use optional chaining to safely handle cases where execution_payload might be undefined (pre-merge blocks)
+  const payload = message.body.execution_payload;
+
+  return {
+    slot,
+    proposer: parseInt(message.proposer_index),
+    block_number: payload ? parseInt(payload.block_number) : null,
+    fee_recipient: payload ? payload.fee_recipient.toLowerCase() : null,
+    // If withdrawals is undefined or empty, treat as no withdrawals (common case, no error)
+    withdrawals: (payload?.withdrawals || []).map(wd => [parseInt(wd.validator_index), wd.address.toLowerCase(), wd.amount])
+  };
+}
+
+/**
+ * Fetches a transaction by hash, with retries.
+ * @param {Object} context - The scan context (see contextFor).
+ * @param {string} hash - The transaction hash.
+ * @param {number} blockNumber - The execution block number, for error messages.
+ * @returns {Promise<Object>} The transaction.
+ */
+async function fetchTransaction(context, hash, blockNumber) {
+  const data = await retry(async () => await context.api.postRpc({
+    jsonrpc: '2.0',
+    method: 'eth_getTransactionByHash',
+    params: [hash],
+    id: 1
+  }, `transaction ${hash}`), 4, `fetching transaction ${hash} of block ${blockNumber}`);
+  if (data.error || !data.result) {
+    throw new Error(`RPC error: ${data.error?.message || 'No result'} for txHash: ${hash} in block ${blockNumber}`);
   }
+  return data.result;
 }
 
 /**
- * A utility function to retry an async operation up to a specified number of times.
- * Logs success after retries if applicable.
- * @param {Function} fn - The async function to retry.
- * @param {number} retries - Number of retries.
- * @param {string} [context=''] - Optional context for logging (e.g., 'processing slot 123').
- * @returns {Promise<any>} The result of the function.
+ * Computes the execution layer payments of a proposed block: the priority fees (tips) paid to its fee
+ * recipient, and the proposer payment of a builder-built block, if there is one.
+ * 
+ * The tip of each transaction is (`effectiveGasPrice` - `baseFeePerGas`) x `gasUsed`, taken from its receipt,
+ * which is correct for every transaction type (legacy, access list and EIP-1559 alike).
+ * 
+ * A block bought from a builder (MEV-boost) has the builder as its fee recipient, so the builder collects the
+ * tips; the builder pays the proposer with a plain transfer from the fee recipient, as the last transaction of
+ * the block. Such a transfer (from the fee recipient, with a value and no call data) is returned as the
+ * proposer payment. Whether the block really was builder-built depends on whether the fee recipient is one of
+ * ours, which the caller decides (see getValidatorPayments).
+ * @param {Object} context - The scan context (see contextFor).
+ * @param {number} blockNumber - The execution block number.
+ * @param {string} feeRecipient - The block's fee recipient, in lower case.
+ * @returns {Promise<{priorityFees: bigint, proposerPayment: [string, bigint]|null}>} The tip total in wei, and
+ *          the proposer payment as `[recipient, wei]` (null if the last transaction is not one).
+ * @throws {Error} If the block, its receipts or its last transaction could not be fetched (tagged for the
+ *         integrity report).
  */
-async function retry(fn, retries = 4, context = '') {
-  let lastError;
-  let attempt = 1;
-  for (; attempt <= retries + 1; attempt++) {
+async function fetchExecutionPayments(context, blockNumber, feeRecipient) {
+  // Fetch the execution block header and transaction hashes
+  let block;
+  try {
+    block = await retry(async () => await context.api.postRpc({
+      jsonrpc: '2.0',
+      method: 'eth_getBlockByNumber',
+      params: [`0x${blockNumber.toString(16)}`, false],
+      id: 1
+    }, `block: ${blockNumber}`), 4, `fetching block ${blockNumber}`);
+  } catch (error) {
+    throw tagFailure(error, 'execution_block', { blockNumber });
+  }
+  if (block.error || !block.result) {
+    throw tagFailure(new Error(`RPC error for block ${blockNumber}: ${block.error ? block.error.message : 'No result'}`), 'execution_block', { blockNumber });
+  }
+
+  const baseFee = BigInt(block.result.baseFeePerGas || '0x0');
+  const txHashes = block.result.transactions;
+  let receipts;
+  try {
+    receipts = await retry(async () => await fetchBlockReceipts(context, blockNumber, txHashes), 4, `fetching receipts of block ${blockNumber}`);
+  } catch (error) {
+    throw tagFailure(error, 'receipts', { blockNumber });
+  }
+
+  let prioritySum = 0n;
+  for (const receipt of receipts) {
+    if (receipt.effectiveGasPrice === undefined) {
+      throw tagFailure(new Error(`Receipt without effectiveGasPrice for txHash: ${receipt.transactionHash} in block ${blockNumber}`), 'receipts', { blockNumber });
+    }
+    prioritySum += (BigInt(receipt.effectiveGasPrice) - baseFee) * BigInt(receipt.gasUsed);
+  }
+
+  // Only the last transaction can be a proposer payment; the receipt tells its sender without another request
+  let proposerPayment = null;
+  const lastReceipt = receipts[receipts.length - 1];
+  if (lastReceipt && lastReceipt.from?.toLowerCase() === feeRecipient && lastReceipt.to) {
+    let tx;
     try {
-      const result = await fn();
-      if (attempt > 1) {
-        console.log(`Retry succeeded on attempt ${attempt}${context ? ` for ${context}` : ''}`);
-      }
-      return result;
+      tx = await fetchTransaction(context, txHashes[txHashes.length - 1], blockNumber);
     } catch (error) {
-      lastError = error;
-      console.log(error); // Log full error object as requested
-      console.error(`Retry attempt ${attempt} failed${context ? ` for ${context}` : ''}. Retrying...`);
-      await new Promise(resolve => setTimeout(resolve, 1000 * attempt)); // Exponential backoff
+      throw tagFailure(error, 'execution_block', { blockNumber });
+    }
+    const value = BigInt(tx.value || '0x0');
+    if (value > 0n && (tx.input === '0x' || tx.input === '')) {
+      proposerPayment = [tx.to.toLowerCase(), value];
+    }
+  }
+  return { priorityFees: prioritySum, proposerPayment };
+}
+
+/**
+ * Fetches and decodes one block for live processing (see `./watch.js`), with the execution payments of a
+ * tracked validator's proposal; the counterpart of a slot scan's fetch, without the slot cache.
+ * @param {Object} config - The resolved configuration.
+ * @param {number} slot - The slot number.
+ * @param {Set<number>} indicesSet - The tracked validator indices; other validators' withdrawals are dropped.
+ * @param {string|number} [blockId=slot] - The block to fetch (see fetchSlotRecord).
+ * @param {Function} [fetchImpl] - The fetch implementation (node-fetch by default).
+ * @returns {Promise<Object>} The decoded slot record, ready for paymentsInRecord.
+ */
+export async function fetchPaymentRecord(config, slot, indicesSet, blockId = slot, fetchImpl = fetch) {
+  const context = contextFor(config, fetchImpl);
+  const record = await retry(async () => await fetchSlotRecord(context.api, slot, blockId), 4, `fetching block ${blockId}`);
+  reduceWithdrawals(record, indicesSet);
+  if (!record.missing && indicesSet.has(record.proposer) && record.block_number !== null) {
+    const { priorityFees, proposerPayment } = await fetchExecutionPayments(context, record.block_number, record.fee_recipient);
+    record.priority_fees_wei = priorityFees.toString();
+    record.proposer_payment = proposerPayment && [proposerPayment[0], proposerPayment[1].toString()];
+  }
+  return record;
+}
+
+/**
+ * Fetches the most recent finalized slot; only slots up to it are written to the slot cache.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @returns {Promise<number>} The finalized slot, or -1 if it could not be determined.
+ */
+async function fetchFinalizedSlot(api) {
+  try {
+    const res = await retry(async () => await api.fetchBeacon('/eth/v1/beacon/headers/finalized'), 4, 'fetching finalized header');
+    if (!res.ok) {
+      throw new Error(`HTTP error! Status: ${res.status} for finalized header`);
+    }
+    const data = await res.json();
+    return parseInt(data.data.header.message.slot);
+  } catch (error) {
+    // Not fatal: the scan still works, it just does not cache anything this run
+    log.warn(`Could not determine the finalized slot; slot caching is disabled for this run: ${error.message}`);
+    return -1;
+  }
+}
+
+// Epochs of history searched at a time for a validator's earlier exit withdrawals (see replayExitWithdrawals):
+// the first one comes within a sweep of the validator set after it becomes withdrawable, so a window or two
+// usually settles its principal
+const HISTORY_WINDOW_EPOCHS = 256;
+
+// Supported time-series bucket sizes for the `bucket` option of getValidatorPayments
+export const BUCKETS = ['day', 'week', 'month'];
+
+// How often scan progress is logged, in ms
+const PROGRESS_LOG_INTERVAL_MS = 4000;
+
+// Supported scan modes for the `mode` option of getValidatorPayments
+export const MODES = ['full', 'fast', 'verify'];
+
+// Kinds of consensus layer withdrawal (see classifyWithdrawal)
+export const WITHDRAWAL_TYPES = ['skim', 'full_exit', 'slashed_exit'];
+
+/**
+ * Tells whether a withdrawal of a validator in an epoch is an exit withdrawal, i.e. made once the validator is
+ * withdrawable (see classifyWithdrawal).
+ * @param {Object} validator - The validator's state (`withdrawableEpoch`).
+ * @param {number} epoch - The epoch of the withdrawal.
+ * @returns {boolean} Whether it is an exit withdrawal.
+ */
+function isExitWithdrawal(validator, epoch) {
+  return validator.withdrawableEpoch !== null && epoch >= validator.withdrawableEpoch;
+}
+
+/**
+ * Classifies a consensus layer withdrawal from the validator's exit state, and splits it into returned principal
+ * and reward income.
+ * 
+ * - 'skim': a partial withdrawal of the balance above the maximum effective balance, made while the validator is
+ *   not yet withdrawable (before its `withdrawable_epoch`). All reward income.
+ * - 'full_exit': the withdrawal of the whole balance once the validator is withdrawable after a voluntary exit.
+ *   It returns the principal first (up to the deposit; less if the balance had dropped below it, e.g. through
+ *   inactivity penalties), and only the excess is reward income.
+ * - 'slashed_exit': likewise, for a slashed validator; whatever is left after the slashing penalties.
+ * 
+ * The first exit withdrawal settles the principal: whatever it falls short of the deposit is lost (see
+ * principalLoss), so withdrawals after it (late-sweep leftovers) are classified the same way but are all income.
+ * @param {Object} validator - The validator's state: `withdrawableEpoch`, `slashed`, and `principalOutstandingGwei`
+ *        (the deposit until its first exit withdrawal, then 0; see replayExitWithdrawals).
+ * @param {number} epoch - The epoch of the withdrawal.
+ * @param {bigint} amountGwei - The withdrawal amount in gwei.
+ * @returns {{type: string, principalGwei: bigint, incomeGwei: bigint}} The type and the split of the amount.
+ */
+function classifyWithdrawal(validator, epoch, amountGwei) {
+  if (!isExitWithdrawal(validator, epoch)) {
+    return { type: 'skim', principalGwei: 0n, incomeGwei: amountGwei };
+  }
+  const principalGwei = amountGwei < validator.principalOutstandingGwei ? amountGwei : validator.principalOutstandingGwei;
+  return { type: validator.slashed ? 'slashed_exit' : 'full_exit', principalGwei, incomeGwei: amountGwei - principalGwei };
+}
+
+/**
+ * Works out the loss of principal of a validator whose exit withdrawal was seen: the deposit minus the principal
+ * returned. For a slashed validator, that is its slashing penalty (plus any other penalties); otherwise it is a
+ * shortfall from e.g. inactivity penalties.
+ * @param {Object} summary - A validator entry of a getValidatorPayments result (`slashed`, `depositedPrincipal`,
+ *        `principal` and `withdrawalTypes`).
+ * @returns {{slashingPenalty: Object|null, exitShortfall: Object|null}} The loss as an Amount, under the matching
+ *          name; both null if no exit withdrawal was seen (the loss is not known yet).
+ */
+function principalLoss(summary) {
+  if (summary.withdrawalTypes.full_exit + summary.withdrawalTypes.slashed_exit === 0) {
+    return { slashingPenalty: null, exitShortfall: null };
+  }
+  const loss = BigInt(summary.depositedPrincipal.wei) - BigInt(summary.principal.wei);
+  const amount = formatPls(loss > 0n ? loss : 0n);
+  return summary.slashed ? { slashingPenalty: amount, exitShortfall: null } : { slashingPenalty: null, exitShortfall: amount };
+}
+
+/**
+ * Works out the principal deposited per validator: the chain's MAX_EFFECTIVE_BALANCE as read from the beacon
+ * node's spec, or the `max_effective_balance` setting (in PLS) for nodes that serve none. When both are known,
+ * they must agree.
+ * @param {Object} config - The resolved configuration (see `../shared/config.js`).
+ * @param {bigint|null} maxEffectiveBalanceGwei - MAX_EFFECTIVE_BALANCE as returned by the API client's
+ *        verifyNetwork, or null.
+ * @param {string|null} [specError=null] - Why the spec could not be read, as returned by verifyNetwork, if it
+ *        failed rather than not being served.
+ * @returns {bigint} The principal per validator, in gwei.
+ * @throws {Error} If the setting contradicts the beacon node, or neither gives the amount.
+ */
+export function depositGweiFor(config, maxEffectiveBalanceGwei, specError = null) {
+  const configuredGwei = config.max_effective_balance === null ? null : BigInt(config.max_effective_balance) * GWEI_PER_PLS;
+  if (maxEffectiveBalanceGwei === null) {
+    if (configuredGwei === null) {
+      throw new Error(specError
+        ? `Could not read MAX_EFFECTIVE_BALANCE from the beacon node's spec (${specError}); try again later, or set max_effective_balance (in PLS) in the configuration.`
+        : 'The beacon node does not report MAX_EFFECTIVE_BALANCE; set max_effective_balance (in PLS) in the configuration.');
     }
+    return configuredGwei;
+  }
+  if (configuredGwei !== null && configuredGwei !== maxEffectiveBalanceGwei) {
+    throw new Error(`max_effective_balance is ${config.max_effective_balance} PLS (${configuredGwei} gwei), but the beacon node reports MAX_EFFECTIVE_BALANCE=${maxEffectiveBalanceGwei} gwei; correct or remove the setting.`);
   }
-  throw new Error(`Fatal error: Crucial data could not be obtained after ${retries + 1} attempts${context ? ` for ${context}` : ''}. Please check your network connection and API conditions. Last error: ${lastError.message}`);
+  return maxEffectiveBalanceGwei;
 }
 
 /**
- * Fetches the gas used for a transaction via RPC with error handling and retries.
- * @param {string} rpcUrl - The RPC URL.
- * @param {string} txHash - The transaction hash.
- * @returns {Promise<bigint>} The gas used as BigInt.
+ * Looks up validators at the finalized state and sets up their per-validator payment state.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @param {string[]} ids - Validator public keys or indices.
+ * @param {bigint} depositGwei - The principal deposited per validator, in gwei.
+ * @param {AbortSignal} [signal] - Stops the lookups when aborted; the promise then rejects with the signal's
+ *        reason, rather than listing the validators left as failed.
+ * @returns {Promise<{validators: Object.<number, Object>, indicesSet: Set<number>, failedValidators: Object[]}>}
+ *          The validators by index, with their withdrawal address and credentials, exit state (`slashed`,
+ *          `exitEpoch`, `withdrawableEpoch`), principal not yet returned and zeroed payment totals; the set of
+ *          their indices; and the IDs that could not be looked up, as `{ id, error }`.
  */
-async function getGasUsed(rpcUrl, txHash) {
-  return retry(async () => {
+export async function lookupValidators(api, ids, depositGwei, signal) {
+  const validators = {};
+  const indicesSet = new Set();
+  const failedValidators = [];
+  for (const id of ids) {
+    signal?.throwIfAborted();
     try {
-      const body = {
-        jsonrpc: '2.0',
-        method: 'eth_getTransactionReceipt',
-        params: [txHash],
-        id: 1
-      };
-      const res = await fetchWithTimeout(rpcUrl, {
-        method: 'POST',
-        body: JSON.stringify(body),
-        headers: {'Content-Type': 'application/json'}
-      });
+      const res = await retry(async () => await api.fetchBeacon(`/eth/v1/beacon/states/finalized/validators/${id}`), 4, `fetching validator ${id}`);
       if (!res.ok) {
-        throw new Error(`HTTP error! Status: ${res.status} for txHash: ${txHash}`);
+        log.error(`Failed to fetch validator ${id}: HTTP ${res.status}`);
+        failedValidators.push({ id, error: `HTTP ${res.status}` });
+        continue;
       }
       const data = await res.json();
-      if (data.error) {
-        throw new Error(`RPC error: ${data.error.message} for txHash: ${txHash}`);
+      const valData = data.data;
+      const index = parseInt(valData.index);
+      const pubkey = valData.validator.pubkey;
+      // 0x01 and 0x02 credentials name the withdrawal address; BLS (0x00) credentials have none yet
+      const credentials = decodeWithdrawalCredentials(valData.validator.withdrawal_credentials);
+      const withdrawAddress = credentials.address;
+      if (credentials.type === 'bls') {
+        log.info(`Validator ${index} still has BLS (0x00) withdrawal credentials, so it receives no withdrawals; see ../fetch-execution-address for its change status.`);
       }
-      return data.result ? BigInt(data.result.gasUsed) : 0n;
+      validators[index] = {
+        pubkey,
+        withdrawAddress,
+        credentials,
+        status: valData.status,
+        slashed: valData.validator.slashed,
+        exitEpoch: parseEpoch(valData.validator.exit_epoch),
+        withdrawableEpoch: parseEpoch(valData.validator.withdrawable_epoch),
+        principalOutstandingGwei: depositGwei,
+        consensus: 0n,
+        principal: 0n,
+        execution: 0n,
+        priorityFees: 0n,
+        builderPayments: 0n,
+        proposals: 0,
+        builderBlocks: 0,
+        withdrawals: 0,
+        withdrawalTypes: Object.fromEntries(WITHDRAWAL_TYPES.map(type => [type, 0]))
+      };
+      indicesSet.add(index);
     } catch (error) {
-      console.error(`Error fetching gas used for ${txHash}:`, error.message);
-      throw error;
+      signal?.throwIfAborted();
+      log.error(`Error fetching validator info for ${id}: ${error.message}`);
+      failedValidators.push({ id, error: error.message });
+    }
+  }
+  return { validators, indicesSet, failedValidators };
+}
+
+/**
+ * Works out the addresses the validators' proposals should pay to: as given, or else their withdrawal addresses.
+ * @param {Object.<number, Object>} validators - The tracked validators by index (see lookupValidators).
+ * @param {string[]} [feeRecipients] - The expected fee recipients, if given.
+ * @returns {Set<string>} The expected fee recipients, in lower case.
+ */
+export function expectedFeeRecipientsFor(validators, feeRecipients) {
+  return new Set(feeRecipients
+    ? feeRecipients.map(address => address.toLowerCase())
+    : Object.values(validators).map(validator => validator.withdrawAddress).filter(Boolean));
+}
+
+/**
+ * Applies a portfolio to the tracked validators: attaches each one's entry (as `portfolioEntry`), adds the
+ * portfolio's fee recipients to the expected ones, and warns about validators whose withdrawal credentials do
+ * not pay to the address the portfolio expects. A validator given its own fee recipient must pay to that one;
+ * the others may pay to any expected one.
+ * @param {Object} portfolio - The portfolio (see `../shared/portfolio.js`).
+ * @param {Object.<number, Object>} validators - The tracked validators by index (see lookupValidators); updated.
+ * @param {Set<string>} expectedFeeRecipients - The expected fee recipients (see expectedFeeRecipientsFor);
+ *        updated.
+ * @returns {Object[]} The credential mismatches (see credentialMismatches in `../shared/portfolio.js`).
+ */
+export function applyPortfolio(portfolio, validators, expectedFeeRecipients) {
+  for (const [index, validator] of Object.entries(validators)) {
+    validator.portfolioEntry = portfolioEntryOf(portfolio, index, validator.pubkey);
+    if (validator.portfolioEntry?.feeRecipient) {
+      expectedFeeRecipients.add(validator.portfolioEntry.feeRecipient);
     }
-  }, 4, `fetching gas used for tx ${txHash}`);
+  }
+  const mismatches = credentialMismatches(portfolio, Object.entries(validators).map(([index, validator]) => ({ index: Number(index), pubkey: validator.pubkey, credentials: validator.credentials })));
+  for (const mismatch of mismatches) {
+    log.warn(`WARNING: ${describeCredentialMismatch(mismatch)}`);
+  }
+  return mismatches;
+}
+
+/**
+ * Works out the consensus layer withdrawals to the tracked validators in a decoded slot record (see
+ * paymentsInRecord), updating their outstanding principal.
+ * @param {Object} record - The decoded slot record.
+ * @param {Object.<number, Object>} validators - The tracked validators by index (see lookupValidators).
+ * @param {number} slotsPerEpoch - Slots per epoch.
+ * @returns {Object[]} The withdrawal payments (see paymentsInRecord).
+ */
+function withdrawalPaymentsInRecord(record, validators, slotsPerEpoch) {
+  const payments = [];
+  if (record.missing) {
+    return payments;
+  }
+  const epoch = Math.floor(record.slot / slotsPerEpoch);
+  for (const [wdIndex, addr, amountGwei] of record.withdrawals) {
+    const validator = validators[wdIndex];
+    if (!validator) {
+      continue;
+    }
+    const { type, principalGwei, incomeGwei } = classifyWithdrawal(validator, epoch, BigInt(amountGwei));
+    if (type !== 'skim') {
+      // The first exit withdrawal settles the principal, however much of it came back (see classifyWithdrawal)
+      validator.principalOutstandingGwei = 0n;
+    }
+    payments.push({ slot: record.slot, blockNumber: record.block_number, validatorIndex: wdIndex, address: addr, type, income: gweiToWei(incomeGwei), principal: gweiToWei(principalGwei) });
+  }
+  return payments;
+}
+
+/**
+ * Works out the payments to the tracked validators in a decoded slot record: their consensus layer withdrawals
+ * (classified and split into income and principal, see classifyWithdrawal) and the execution layer payment for
+ * a block one of them proposed.
+ * 
+ * For a proposal, a block whose fee recipient is neither one of the expected fee recipients nor one of the
+ * proposer's own addresses, ending in a transfer from that fee recipient, was bought from a builder: the builder
+ * kept the tips and paid the proposer instead ('builder_payment'). Otherwise the tips are the payment
+ * ('priority_fees'), even if the block ends in a transfer from the validator's own address to another of its
+ * addresses.
+ * @param {Object} record - The decoded slot record (see `./slot-cache.js`), with the execution payments of a
+ *        tracked validator's proposal (`priority_fees_wei`, `proposer_payment`).
+ * @param {Object.<number, Object>} validators - The tracked validators by index (see lookupValidators); the
+ *        principal not yet returned (`principalOutstandingGwei`) is updated by exit withdrawals, so records
+ *        holding those must be passed in slot order (see replayExitWithdrawals).
+ * @param {Set<string>} expectedFeeRecipients - The addresses proposals should pay to, in lower case.
+ * @param {number} slotsPerEpoch - Slots per epoch.
+ * @returns {Object[]} The payments, as `{ slot, blockNumber, validatorIndex, address, type, income, principal }`
+ *          with amounts in wei (BigInt); `type` is one of WITHDRAWAL_TYPES, 'priority_fees' or 'builder_payment'.
+ */
+export function paymentsInRecord(record, validators, expectedFeeRecipients, slotsPerEpoch) {
+  const payments = withdrawalPaymentsInRecord(record, validators, slotsPerEpoch);
+  if (record.missing) {
+    return payments;
+  }
+
+  const proposer = validators[record.proposer];
+  if (proposer) {
+    if (record.block_number === null) {
+      log.debug(`Skipping execution layer processing for slot ${record.slot}: execution_payload undefined`);
+      return payments;
+    }
+    let type = 'priority_fees';
+    let paidTo = record.fee_recipient;
+    let amount = BigInt(record.priority_fees_wei);
+    const ownAddresses = [proposer.withdrawAddress, proposer.portfolioEntry?.feeRecipient];
+    if (record.proposer_payment && !expectedFeeRecipients.has(record.fee_recipient) && !ownAddresses.includes(record.fee_recipient)) {
+      type = 'builder_payment';
+      [paidTo] = record.proposer_payment;
+      amount = BigInt(record.proposer_payment[1]);
+    }
+    payments.push({ slot: record.slot, blockNumber: record.block_number, validatorIndex: record.proposer, address: paidTo, type, income: amount, principal: 0n });
+  }
+  return payments;
+}
+
+/**
+ * Yields every slot in an inclusive range (without building a multi-million-entry array).
+ * @param {number} startSlot - First slot.
+ * @param {number} endSlot - Last slot.
+ */
+function* slotRange(startSlot, endSlot) {
+  for (let slot = startSlot; slot <= endSlot; slot++) {
+    yield slot;
+  }
+}
+
+/**
+ * Tells whether a decoded slot record holds an exit withdrawal of a tracked validator, whose split into
+ * principal and income depends on the validator's earlier exit withdrawals (see replayExitWithdrawals).
+ * @param {Object} record - The decoded slot record.
+ * @param {Object.<number, Object>} validators - The tracked validators by index (see lookupValidators).
+ * @param {number} slotsPerEpoch - Slots per epoch.
+ * @returns {boolean} Whether it holds one.
+ */
+export function holdsExitWithdrawal(record, validators, slotsPerEpoch) {
+  const epoch = Math.floor(record.slot / slotsPerEpoch);
+  return !record.missing && record.withdrawals.some(([index]) => validators[index] && isExitWithdrawal(validators[index], epoch));
+}
+
+/**
+ * Counts exit withdrawals in slot order against the validators' whole withdrawal history, so that how much of
+ * each is principal (see classifyWithdrawal) depends neither on the order slots happened to be fetched in nor
+ * on which slots a run covers (a re-run of failed slots, or a range starting after the validator's exit).
+ * 
+ * The validators' outstanding principal starts from the deposit (see lookupValidators). Their withdrawals from
+ * their withdrawable epoch up to `historyEndSlot` that the caller did not scan itself are located with the slot
+ * finder, HISTORY_WINDOW_EPOCHS at a time, and only settle it; the caller's held-back `records` are handed to
+ * `apply` in slot order in between. The search stops once every validator's first exit withdrawal has been
+ * found, as that settles its principal (see classifyWithdrawal), however short of the deposit it fell (e.g.
+ * after slashing); otherwise at `historyEndSlot`.
+ * @param {Object} params - Parameters.
+ * @param {Object.<number, Object>} params.validators - The tracked validators by index (see lookupValidators).
+ * @param {number[]} params.indices - The validators whose earlier withdrawals to look for.
+ * @param {Object[]} [params.records=[]] - Decoded slot records the caller scanned and held back, holding exit
+ *        withdrawals (see holdsExitWithdrawal).
+ * @param {number} params.historyEndSlot - Last slot to look for earlier withdrawals in.
+ * @param {Function} [params.isScanned] - (slot) => whether the caller scanned the slot itself, so that its
+ *        record is in `records` if it matters; by default, none.
+ * @param {Function} params.getRecord - Async function (slot) => decoded slot record (see findRelevantSlots in
+ *        `./slot-finder.js`).
+ * @param {Function} params.fetchBeaconJson - See findRelevantSlots in `./slot-finder.js`.
+ * @param {Object} params.config - The resolved configuration.
+ * @param {Function} [params.apply] - Called with each of `records`, in slot order, to count its payments (see
+ *        paymentsInRecord).
+ * @param {AbortSignal} [params.signal] - Stops the search when aborted; the promise then rejects with the
+ *        signal's reason.
+ * @throws {Error} If an earlier withdrawal cannot be fetched; the records not yet handed to `apply` are then
+ *         not counted.
+ */
+export async function replayExitWithdrawals({ validators, indices, records = [], historyEndSlot, isScanned = () => false, getRecord, fetchBeaconJson, config, apply = () => {}, signal }) {
+  const slotsPerEpoch = config.slots_per_epoch;
+  const held = [...records].sort((a, b) => a.slot - b.slot);
+  const withdrawableSlot = index => validators[index].withdrawableEpoch * slotsPerEpoch;
+  const exiting = indices.filter(index => validators[index] && validators[index].withdrawableEpoch !== null && withdrawableSlot(index) <= historyEndSlot);
+  const outstanding = () => exiting.filter(index => validators[index].principalOutstandingGwei > 0n);
+
+  let from = Math.min(...exiting.map(withdrawableSlot));
+  while (from <= historyEndSlot && outstanding().length > 0) {
+    signal?.throwIfAborted();
+    // Skip ahead to the first validator still owed principal that is withdrawable by then
+    from = Math.max(from, Math.min(...outstanding().map(withdrawableSlot)));
+    const to = Math.min(from + HISTORY_WINDOW_EPOCHS * slotsPerEpoch - 1, historyEndSlot);
+    const indicesSet = new Set(outstanding().filter(index => withdrawableSlot(index) <= to));
+    const candidates = await findWithdrawalSlots({
+      startSlot: from,
+      endSlot: to,
+      indicesSet,
+      getRecord,
+      fetchBeaconJson,
+      sampleInterval: config.sweep_sample_slots,
+      concurrency: config.concurrency,
+      signal
+    }) ?? [...slotRange(from, to)];
+    const history = await runBatched(candidates.filter(slot => !isScanned(slot)), getRecord, config.concurrency, signal);
+    const failed = history.find(record => record.error);
+    if (failed) {
+      throw new Error(`Could not read the earlier withdrawals of validator(s) ${[...indicesSet].join(', ')}: ${failed.error.message}`);
+    }
+
+    // Earlier withdrawals only reduce the outstanding principal; held-back records are counted in between
+    const due = [];
+    while (held.length > 0 && held[0].slot <= to) {
+      due.push(held.shift());
+    }
+    const steps = [
+      ...history.filter(record => holdsExitWithdrawal(record, validators, slotsPerEpoch)).map(record => ({ record, count: false })),
+      ...due.map(record => ({ record, count: true }))
+    ].sort((a, b) => a.record.slot - b.record.slot);
+    for (const { record, count } of steps) {
+      if (count) {
+        apply(record);
+      } else {
+        withdrawalPaymentsInRecord(record, validators, slotsPerEpoch);
+      }
+    }
+    from = to + 1;
+  }
+  for (const record of held) {
+    apply(record);
+  }
+}
+
+/**
+ * Runs the fast and the full scan over the same range and compares their results.
+ * The full scan runs second, so (with the slot cache enabled) it reuses every block the fast scan fetched.
+ * @param {string[]} ids - See getValidatorPayments.
+ * @param {string} startDate - See getValidatorPayments.
+ * @param {string} endDate - See getValidatorPayments.
+ * @param {Object} options - See getValidatorPayments.
+ * @returns {Promise<Object>} The full scan's result, with a `verification` section added.
+ */
+async function verifyScanModes(ids, startDate, endDate, options) {
+  // Payments are reported once, by the full scan
+  const fast = await getValidatorPayments(ids, startDate, endDate, { ...options, mode: 'fast', onPayment: undefined });
+  const full = await getValidatorPayments(ids, startDate, endDate, { ...options, mode: 'full' });
+
+  const differences = [];
+  const compare = (field, fastValue, fullValue) => {
+    if (fastValue !== fullValue) {
+      differences.push({ field, fast: fastValue ?? null, full: fullValue ?? null });
+    }
+  };
+  // A comparison with slots missing on either side proves nothing
+  compare('integrity.complete', fast.integrity.complete, full.integrity.complete);
+  for (const layer of ['consensus', 'principal', 'execution', 'priorityFees', 'builderPayments']) {
+    const addresses = new Set([...Object.keys(fast[layer]), ...Object.keys(full[layer])]);
+    for (const addr of addresses) {
+      compare(`${layer}.${addr}`, fast[layer][addr]?.wei, full[layer][addr]?.wei);
+    }
+  }
+  // Validators are matched by index: a lookup failing in one scan only leaves that validator out of its result
+  const fastByIndex = new Map(fast.validators.map(validator => [validator.index, validator]));
+  const fullByIndex = new Map(full.validators.map(validator => [validator.index, validator]));
+  for (const index of new Set([...fastByIndex.keys(), ...fullByIndex.keys()])) {
+    const fastValidator = fastByIndex.get(index);
+    const fullValidator = fullByIndex.get(index);
+    if (!fastValidator || !fullValidator) {
+      compare(`validators.${index}`, fastValidator ? 'present' : 'missing', fullValidator ? 'present' : 'missing');
+      continue;
+    }
+    for (const field of ['consensus', 'principal', 'execution', 'priorityFees', 'builderPayments']) {
+      compare(`validators.${fullValidator.index}.${field}`, fastValidator[field].wei, fullValidator[field].wei);
+    }
+    for (const field of ['proposals', 'builderBlocks', 'withdrawals']) {
+      compare(`validators.${fullValidator.index}.${field}`, fastValidator[field], fullValidator[field]);
+    }
+    for (const type of WITHDRAWAL_TYPES) {
+      compare(`validators.${fullValidator.index}.withdrawalTypes.${type}`, fastValidator.withdrawalTypes[type], fullValidator.withdrawalTypes[type]);
+    }
+  }
+
+  if (differences.length > 0) {
+    log.error(`Verification FAILED: fast and full scans differ in ${differences.length} field(s):`, { differences });
+  } else {
+    log.info('Verification passed: fast and full scans agree.');
+  }
+  return { ...full, verification: { matches: differences.length === 0, differences } };
+}
+
+/**
+ * Returns the label of the time bucket a timestamp falls in (all in UTC).
+ * Days are labelled 'YYYY-MM-DD', weeks by the date of their Monday ('YYYY-MM-DD'), and months 'YYYY-MM'.
+ * @param {number} timestamp - Unix timestamp in seconds.
+ * @param {string} bucket - One of 'day', 'week' or 'month'.
+ * @returns {string} The bucket label.
+ */
+function bucketLabel(timestamp, bucket) {
+  const date = new Date(timestamp * 1000);
+  if (bucket === 'week') {
+    // getUTCDay() is 0 for Sunday; step back to the Monday starting the (ISO) week
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  const iso = date.toISOString();
+  return bucket === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * Builds the integrity section of a getValidatorPayments result.
+ * @param {Object} params - Parameters.
+ * @param {string} params.startDate - Start date of the scan.
+ * @param {string} params.endDate - End date of the scan.
+ * @param {string} [params.bucket] - Time-series bucket size of the scan, if any.
+ * @param {number} params.scannedSlots - Number of slots the scan covered.
+ * @param {Object[]} params.failures - Failed slots: `{ slot, kind, blockNumber?, error }`.
+ * @param {Object[]} params.failedValidators - Validators that could not be looked up: `{ id, error }`.
+ * @param {Object[]} params.slotRuns - The slot re-runs needed: `{ ids, slots }`, i.e. which slots to scan again
+ *        for which validators (payments to other validators in those slots were already counted).
+ * @returns {Object} The integrity section:
+ *          - complete: true only if nothing is missing.
+ *          - scannedSlots: number of slots covered.
+ *          - failedSlots: slots whose beacon block could not be fetched or processed.
+ *          - failedBlocks: slots whose execution block could not be fetched via RPC.
+ *          - failedReceipts: slots whose transaction receipts could not be fetched via RPC.
+ *          - failedValidators: validator IDs that could not be looked up (none of their payments are included).
+ *          - rerun: what rerunFailed needs to fetch just the missing items.
+ */
+function buildIntegrity({ startDate, endDate, bucket, scannedSlots, failures, failedValidators, slotRuns }) {
+  const sorted = [...failures].sort((a, b) => a.slot - b.slot);
+  const ofKinds = kinds => sorted.filter(failure => kinds.includes(failure.kind)).map(({ kind, ...failure }) => failure);
+  return {
+    complete: failures.length === 0 && failedValidators.length === 0,
+    scannedSlots,
+    failedSlots: ofKinds(['slot', 'block']),
+    failedBlocks: ofKinds(['execution_block']),
+    failedReceipts: ofKinds(['receipts']),
+    failedValidators,
+    rerun: {
+      startDate,
+      endDate,
+      bucket: bucket ?? null,
+      slotRuns,
+      validatorIds: failedValidators.map(failure => failure.id)
+    }
+  };
+}
+
+// The failure lists of an integrity section, with the kind of failure each holds
+const FAILURE_LISTS = { failedSlots: 'slot', failedBlocks: 'execution_block', failedReceipts: 'receipts' };
+
+/**
+ * Flattens the failure lists of an integrity section back into one list of failures with their kind.
+ * @param {Object} integrity - An integrity section (see buildIntegrity).
+ * @returns {Object[]} The failures: `{ slot, kind, blockNumber?, error }`.
+ */
+function integrityFailures(integrity) {
+  return Object.entries(FAILURE_LISTS).flatMap(([list, kind]) => integrity[list].map(failure => ({ ...failure, kind })));
+}
+
+/**
+ * Adds two Amounts (see `./amounts.js`), either of which may be missing.
+ * @param {Object} [a] - An Amount.
+ * @param {Object} [b] - An Amount.
+ * @returns {Object} The sum as an Amount.
+ */
+function addAmounts(a, b) {
+  return formatPls(BigInt(a?.wei ?? 0) + BigInt(b?.wei ?? 0));
+}
+
+// The per-validator Amount fields totalled per portfolio group and label
+const PORTFOLIO_TOTAL_FIELDS = ['consensus', 'principal', 'execution', 'priorityFees', 'builderPayments'];
+
+/**
+ * Builds the `portfolio` section of a result: the payments totalled per group and per label of the portfolio.
+ * @param {Object} portfolio - The portfolio (see `../shared/portfolio.js`).
+ * @param {Object[]} validators - The per-validator summaries of the result.
+ * @param {Object[]} credentialMismatches - The validators whose withdrawal credentials do not pay to the address
+ *        the portfolio expects (see credentialMismatches in `../shared/portfolio.js`).
+ * @returns {Object} `{ definition, groups, labels, credentialMismatches }`: the portfolio itself (so that
+ *          rerunFailed can carry it over); per group, `{ group, name, validators, consensus, principal,
+ *          execution, priorityFees, builderPayments }` with the validator indices and their totals, validators in
+ *          no group last (as group null); and likewise per label, `{ label, group, validators, ...totals }`,
+ *          validators without a label being labelled by their index.
+ */
+function summarizePortfolio(portfolio, validators, credentialMismatches) {
+  const groups = new Map();
+  const labels = new Map();
+  const add = (map, key, base, validator) => {
+    if (!map.has(key)) {
+      map.set(key, { ...base, validators: [], ...Object.fromEntries(PORTFOLIO_TOTAL_FIELDS.map(field => [field, formatPls(0n)])) });
+    }
+    const totals = map.get(key);
+    totals.validators.push(validator.index);
+    for (const field of PORTFOLIO_TOTAL_FIELDS) {
+      totals[field] = addAmounts(totals[field], validator[field]);
+    }
+  };
+
+  // Groups and labels are listed in the order of the portfolio file, validators in no group last
+  const position = validator => {
+    const entry = portfolioEntryOf(portfolio, validator.index, validator.pubkey);
+    return entry ? portfolio.validators.indexOf(entry) : Infinity;
+  };
+  for (const validator of [...validators].sort((a, b) => position(a) - position(b) || a.index - b.index)) {
+    const entry = portfolioEntryOf(portfolio, validator.index, validator.pubkey);
+    const group = entry?.group ?? null;
+    add(groups, group, { group, name: group === null ? null : portfolio.groups[group].name }, validator);
+    add(labels, `${group}:${entry?.label ?? validator.index}`, { label: entry?.label ?? String(validator.index), group }, validator);
+  }
+
+  return {
+    definition: portfolio,
+    groups: [...Object.keys(portfolio.groups), null].filter(group => groups.has(group)).map(group => groups.get(group)),
+    labels: [...labels.values()],
+    credentialMismatches: [...credentialMismatches].sort((a, b) => a.validatorIndex - b.validatorIndex)
+  };
+}
+
+/**
+ * Merges two lists of fee recipient mismatches (see getValidatorPayments), combining the entries for the same
+ * validator and address.
+ * @param {Object[]} a - Mismatches: `{ validatorIndex, address, proposals, firstSlot, lastSlot, amount }`.
+ * @param {Object[]} b - More mismatches.
+ * @returns {Object[]} The merged mismatches, by validator index and first slot.
+ */
+function mergeMismatches(a, b) {
+  const byKey = new Map();
+  for (const mismatch of [...a, ...b]) {
+    const key = `${mismatch.validatorIndex}:${mismatch.address}`;
+    const existing = byKey.get(key);
+    byKey.set(key, existing ? {
+      ...existing,
+      proposals: existing.proposals + mismatch.proposals,
+      firstSlot: Math.min(existing.firstSlot, mismatch.firstSlot),
+      lastSlot: Math.max(existing.lastSlot, mismatch.lastSlot),
+      amount: addAmounts(existing.amount, mismatch.amount)
+    } : mismatch);
+  }
+  return [...byKey.values()].sort((x, y) => x.validatorIndex - y.validatorIndex || x.firstSlot - y.firstSlot);
+}
+
+/**
+ * Merges the result of a scan over other slots or validators (of the same date range) into a previous result.
+ * @param {Object} base - The previous getValidatorPayments result.
+ * @param {Object} addition - The additional getValidatorPayments result.
+ * @returns {Object} The merged result (without an integrity section; the caller decides what is still missing).
+ */
+function mergePaymentResults(base, addition) {
+  const mergeTotals = (a = {}, b = {}) => {
+    const merged = { ...a };
+    for (const [key, amount] of Object.entries(b)) {
+      merged[key] = addAmounts(merged[key], amount);
+    }
+    return merged;
+  };
+
+  const validatorsByIndex = new Map(base.validators.map(validator => [validator.index, { ...validator }]));
+  for (const validator of addition.validators) {
+    const existing = validatorsByIndex.get(validator.index);
+    if (!existing) {
+      validatorsByIndex.set(validator.index, validator);
+      continue;
+    }
+    const combined = {
+      ...existing,
+      consensus: addAmounts(existing.consensus, validator.consensus),
+      principal: addAmounts(existing.principal, validator.principal),
+      execution: addAmounts(existing.execution, validator.execution),
+      priorityFees: addAmounts(existing.priorityFees, validator.priorityFees),
+      builderPayments: addAmounts(existing.builderPayments, validator.builderPayments),
+      proposals: existing.proposals + validator.proposals,
+      builderBlocks: (existing.builderBlocks ?? 0) + (validator.builderBlocks ?? 0),
+      withdrawals: existing.withdrawals + validator.withdrawals,
+      withdrawalTypes: Object.fromEntries(WITHDRAWAL_TYPES.map(type => [type, existing.withdrawalTypes[type] + validator.withdrawalTypes[type]]))
+    };
+    validatorsByIndex.set(validator.index, { ...combined, ...principalLoss(combined) });
+  }
+
+  const merged = {
+    consensus: mergeTotals(base.consensus, addition.consensus),
+    principal: mergeTotals(base.principal, addition.principal),
+    execution: mergeTotals(base.execution, addition.execution),
+    priorityFees: mergeTotals(base.priorityFees, addition.priorityFees),
+    builderPayments: mergeTotals(base.builderPayments, addition.builderPayments),
+    feeRecipients: {
+      expected: base.feeRecipients?.expected ?? addition.feeRecipients?.expected ?? [],
+      mismatches: mergeMismatches(base.feeRecipients?.mismatches ?? [], addition.feeRecipients?.mismatches ?? [])
+    },
+    validators: [...validatorsByIndex.values()].sort((a, b) => a.index - b.index)
+  };
+
+  if (base.timeSeries || addition.timeSeries) {
+    const buckets = new Map((base.timeSeries || []).map(entry => [entry.bucket, entry]));
+    for (const entry of addition.timeSeries || []) {
+      const existing = buckets.get(entry.bucket);
+      if (!existing) {
+        buckets.set(entry.bucket, entry);
+        continue;
+      }
+      const validators = { ...existing.validators };
+      for (const [index, totals] of Object.entries(entry.validators)) {
+        validators[index] = {
+          consensus: addAmounts(validators[index]?.consensus, totals.consensus),
+          principal: addAmounts(validators[index]?.principal, totals.principal),
+          execution: addAmounts(validators[index]?.execution, totals.execution)
+        };
+      }
+      buckets.set(entry.bucket, {
+        bucket: entry.bucket,
+        consensus: addAmounts(existing.consensus, entry.consensus),
+        principal: addAmounts(existing.principal, entry.principal),
+        execution: addAmounts(existing.execution, entry.execution),
+        validators
+      });
+    }
+    merged.timeSeries = [...buckets.keys()].sort().map(label => buckets.get(label));
+  }
+
+  if (base.events || addition.events) {
+    merged.events = [...(base.events || []), ...(addition.events || [])]
+      .sort((a, b) => a.slot - b.slot || a.validatorIndex - b.validatorIndex || a.type.localeCompare(b.type));
+  }
+
+  // Group and label totals are recomputed from the merged validators; a validator's credential check is the
+  // latest one made
+  const portfolio = addition.portfolio?.definition ?? base.portfolio?.definition;
+  if (portfolio) {
+    const credentialMismatches = new Map((base.portfolio?.credentialMismatches ?? []).map(mismatch => [mismatch.validatorIndex, mismatch]));
+    for (const validator of addition.validators) {
+      credentialMismatches.delete(validator.index);
+    }
+    for (const mismatch of addition.portfolio?.credentialMismatches ?? []) {
+      credentialMismatches.set(mismatch.validatorIndex, mismatch);
+    }
+    merged.portfolio = summarizePortfolio(portfolio, merged.validators, [...credentialMismatches.values()]);
+  }
+  return merged;
+}
+
+/**
+ * Re-runs only what a previous getValidatorPayments run could not fetch (as listed in its integrity section)
+ * and merges it into that result.
+ * 
+ * Failed slots are re-scanned for the validators they failed for; validators whose lookup failed are scanned
+ * over the whole date range. With the slot cache enabled, the latter only fetches uncached slots.
+ * @param {Object} previous - The previous getValidatorPayments result (e.g. read back from a JSON file).
+ * @param {Object} [options={}] - Options as for getValidatorPayments (`slots`, `bucket`, `events`,
+ *        `feeRecipients` and `portfolio` are set from the previous run).
+ * @returns {Promise<Object>} The merged result, with a fresh integrity section listing whatever is still missing.
+ */
+export async function rerunFailed(previous, options = {}) {
+  const { startDate, endDate, bucket, slotRuns, validatorIds } = previous.integrity.rerun;
+  // Like the time series, payment events are only kept up to date if the previous run listed them; and
+  // proposals are checked against the same fee recipients, and payments totalled by the same portfolio
+  const runOptions = {
+    ...options,
+    bucket: bucket ?? undefined,
+    events: Boolean(previous.events),
+    feeRecipients: previous.feeRecipients?.expected,
+    portfolio: previous.portfolio?.definition
+  };
+  let merged = previous;
+  const failures = [];
+  const failedValidators = [];
+  const remainingSlotRuns = [];
+
+  const addRun = result => {
+    merged = mergePaymentResults(merged, result);
+    failures.push(...integrityFailures(result.integrity));
+    failedValidators.push(...result.integrity.failedValidators);
+    remainingSlotRuns.push(...result.integrity.rerun.slotRuns);
+  };
+
+  for (const run of slotRuns) {
+    addRun(await getValidatorPayments(run.ids, startDate, endDate, { ...runOptions, slots: run.slots }));
+  }
+
+  if (validatorIds.length > 0) {
+    try {
+      addRun(await getValidatorPayments(validatorIds, startDate, endDate, { ...runOptions, slots: undefined }));
+    } catch (error) {
+      // Still none of them could be looked up
+      failedValidators.push(...previous.integrity.failedValidators);
+    }
+  }
+
+  return {
+    ...merged,
+    integrity: buildIntegrity({
+      startDate,
+      endDate,
+      bucket,
+      scannedSlots: previous.integrity.scannedSlots,
+      failures,
+      failedValidators,
+      slotRuns: remainingSlotRuns
+    })
+  };
 }
 
 /**
  * Calculates validator payments for consensus and execution layers on PulseChain.
  * 
- * Scans beacon chain slots in the date range to sum consensus withdrawals (excluding full exit principals >32 PLS)
- * and execution priority fees from proposed blocks. Groups totals by withdrawal address (consensus) and 
- * fee recipient address (execution).
+ * Scans beacon chain slots in the date range to sum consensus withdrawals and execution priority fees from
+ * proposed blocks. Groups totals by withdrawal address (consensus) and fee recipient address (execution).
+ * 
+ * Each withdrawal is classified from the validator's `exit_epoch`, `withdrawable_epoch` and `slashed` state as a
+ * reward skim, a full exit or a post-slashing return (see classifyWithdrawal). Principal returned by exits is
+ * reported separately from reward income, as the two are treated completely differently for tax purposes.
  * 
  * Supports validator IDs as either public keys (e.g., '0xabc...') or indices (e.g., '12345').
  * 
+ * Decoded slots are kept in an on-disk cache (see `./slot-cache.js`), so an interrupted scan resumes where it
+ * stopped and a re-run over an overlapping date range only fetches slots it has not seen before.
+ * 
+ * Scan modes:
+ * - 'full' (default): fetches every block in the range.
+ * - 'fast': fetches only the blocks the validators proposed or were paid withdrawals in, located via proposer
+ *   duties and the withdrawal sweep (see `./slot-finder.js`). Much faster when tracking a few validators; on
+ *   networks too small for the sweep to be sampled safely, it scans every block like 'full'.
+ * - 'verify': runs both and reports any difference in a `verification` section of the result.
+ * 
  * @param {string[]} ids - Array of validator IDs: public keys (e.g., '0xabc...') or indices (e.g., '12345').
  * @param {string} startDate - Start date in 'YYYY-MM-DD' UTC format.
  * @param {string} endDate - End date in 'YYYY-MM-DD' UTC format.
- * @returns {Promise<{consensus: Object.<string, number>, execution: Object.<string, number>}>} 
- *          Object with consensus and execution totals by address (in PLS).
+ * @param {Object} [options={}] - Optional settings.
+ * @param {Object} [options.config] - Configuration settings (any subset of those described in
+ *        `../shared/config.js`, e.g. `{ network: 'pulsechain', rpc_urls: [...] }`), applied over the defaults and
+ *        network profile. If omitted, the configuration is loaded from `config.json` in the working directory
+ *        (if present) and `PVA_*` environment variables.
+ * @param {boolean} [options.useCache=true] - Whether to read from and write to the on-disk slot cache. The cache
+ *        is always bypassed when recording or replaying (the `transport` setting), so that every request is
+ *        made, and made the same way, in both.
+ * @param {Function} [options.fetch] - The fetch implementation for all requests (node-fetch by default), e.g.
+ *        a wrapper adding authentication headers, or a stub; the `transport` setting still applies on top.
+ * @param {string} [options.mode='full'] - Scan mode: 'full', 'fast' or 'verify' (see above).
+ * @param {number[]} [options.slots] - If set, scan only these slots of the range (used by rerunFailed).
+ * @param {boolean} [options.events=false] - Whether to also list every individual payment event (see `events`
+ *        below), e.g. for a tax ledger (see `./ledger.js`).
+ * @param {string} [options.bucket] - If set ('day', 'week' or 'month'), also break the payments down into a
+ *        time series of buckets of that size.
+ * @param {string[]} [options.feeRecipients] - The addresses the validators' proposals should pay to (see
+ *        "Execution Payments" above); defaults to the validators' withdrawal addresses.
+ * @param {Object} [options.portfolio] - The portfolio the validators belong to, as loaded by loadPortfolio (see
+ *        `../shared/portfolio.js`): its fee recipients are expected fee recipients too (a validator with its own
+ *        `fee_recipient` is expected to pay to that one alone), validators' on-chain withdrawal credentials are
+ *        checked against its withdrawal addresses, and the result gains per-validator labels and groups and a
+ *        `portfolio` section (see below). `ids` may be null to take the portfolio's validators.
+ * @param {AbortSignal} [options.signal] - Cancels the scan when aborted: its requests in flight are aborted (see
+ *        withSignal in `../shared/api-client.js`), and the promise rejects with the signal's reason (already
+ *        decoded slots stay in the slot cache).
+ * @param {Function} [options.onProgress] - Called as the scan advances (after each batch of slots) with
+ *        `{ processedSlots, totalSlots, failedSlots }`.
+ * @param {Function} [options.onPayment] - Called with each payment as soon as its slot has been processed, in
+ *        the shape of the `events` entries below (slots are processed concurrently, so not in slot order; those
+ *        of slots holding exit withdrawals are reported after the others, see "Principal and Income"). In
+ *        'verify' mode, only the full scan's payments are reported. If it throws, the slot is recorded as failed
+ *        (see `integrity` below) with none of its payments counted. See also `./payment-stream.js`.
+ * @param {Object} [options.logger] - Logger for this call's messages (see `../shared/logger.js`); by default,
+ *        the process-wide one, which writes plain text to stderr.
+ * @returns {Promise<{consensus: Object.<string, Amount>, principal: Object.<string, Amount>,
+ *          execution: Object.<string, Amount>, priorityFees: Object.<string, Amount>,
+ *          builderPayments: Object.<string, Amount>, feeRecipients: Object, validators: Object[],
+ *          timeSeries?: Object[]}>}
+ *          Object with totals by address of consensus reward income, principal returned (by full and slashed exits;
+ *          not income) and execution payments, the latter also split into `priorityFees` (locally built blocks)
+ *          and `builderPayments` (builder-built blocks), plus:
+ *          - feeRecipients: the `expected` fee recipients, and the `mismatches`: per validator and address paid
+ *            that is not expected, `{ validatorIndex, address, proposals, firstSlot, lastSlot, amount }`.
+ *          - validators: one entry per validator with its index, pubkey, withdrawal address (null while its
+ *            credentials are BLS), decoded withdrawal credentials (see `../shared/credentials.js`), exit state
+ *            (`slashed`, `exitEpoch`, `withdrawableEpoch`, null while not scheduled), consensus income, principal
+ *            returned and execution totals (execution also as `priorityFees` and `builderPayments`), the number of
+ *            blocks it proposed (`builderBlocks` of them builder-built) and withdrawals it received (also by
+ *            type in `withdrawalTypes`: skim, full_exit, slashed_exit), its `depositedPrincipal`, and once its exit
+ *            withdrawal has been seen, the principal lost as `slashingPenalty` (slashed) or `exitShortfall`
+ *            (otherwise, e.g. inactivity penalties); both are null otherwise.
+ *          - timeSeries (only with options.bucket): one entry per bucket with payments in it, in time order,
+ *            with the bucket label, its consensus, principal and execution totals, and the same split per
+ *            validator index.
+ *          - events (only with options.events): every payment, in slot order, as `{ timestamp, slot,
+ *            blockNumber, validatorIndex, address, type, amount, income, principal }`, where `type` is 'skim',
+ *            'full_exit' or 'slashed_exit' (consensus withdrawals), 'priority_fees' (execution tips of a locally
+ *            built block) or 'builder_payment' (the builder's payment for a builder-built block), and `amount` =
+ *            `income` + `principal`.
+ *          - integrity: what could not be fetched, so totals known to be short never go unnoticed (see
+ *            buildIntegrity); `integrity.complete` is false if anything is missing. Pass the whole result to
+ *            rerunFailed to fetch only the missing items.
+ *          - portfolio (only with options.portfolio): payments totalled per group and per label, and the
+ *            `credentialMismatches`; see summarizePortfolio. Each validator summary then also has its `label`
+ *            and `group` (null if none).
+ *          - verification (only with mode 'verify'): `{ matches, differences: [{ field, fast, full }] }`.
+ *          Every amount is an Amount: `{ wei, pls, plsFloat }`, with `wei` and `pls` exact decimal strings (summed
+ *          as BigInt wei, so totals reconcile to the last wei) and `plsFloat` a float for convenience.
  */
-export async function getValidatorPayments(ids, startDate, endDate) {
+export async function getValidatorPayments(ids, startDate, endDate, options = {}) {
+  if (options.logger) {
+    return withLogger(options.logger, () => getValidatorPayments(ids, startDate, endDate, { ...options, logger: undefined }));
+  }
+  if (options.signal && currentSignal() !== options.signal) {
+    return withSignal(options.signal, () => getValidatorPayments(ids, startDate, endDate, options));
+  }
+  const { useCache = true, mode = 'full', slots, bucket, events = false, feeRecipients, portfolio, signal, onProgress, onPayment } = options;
+  ids ??= portfolio?.validators.map(entry => entry.id);
   try {
+    // Library users pass settings directly; otherwise they come from config.json and PVA_* variables
+    const config = options.config ? resolveConfig(options.config) : loadConfig();
+    const context = contextFor(config, options.fetch);
+    const { api } = context;
+
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode "${mode}"; expected one of: ${MODES.join(', ')}.`);
+    }
+    if (mode === 'verify') {
+      return await verifyScanModes(ids, startDate, endDate, { ...options, config });
+    }
+    if (bucket !== undefined && !BUCKETS.includes(bucket)) {
+      throw new Error(`Invalid bucket "${bucket}"; expected one of: ${BUCKETS.join(', ')}.`);
+    }
+    const invalidFeeRecipients = (feeRecipients || []).filter(address => !/^0x[0-9a-fA-F]{40}$/.test(address));
+    if (invalidFeeRecipients.length > 0) {
+      throw new Error(`Invalid fee recipient address(es): ${invalidFeeRecipients.join(', ')}`);
+    }
+
     const startTs = Math.floor(new Date(startDate + 'T00:00:00Z').getTime() / 1000);
     const endTs = Math.floor(new Date(endDate + 'T00:00:00Z').getTime() / 1000);
 
@@ -177,172 +1324,312 @@ export async function getValidatorPayments(ids, startDate, endDate) {
       throw new Error('Invalid date format provided.');
     }
 
-    // Fetch genesis time with retries
-    const genesisRes = await retry(async () => await fetchWithTimeout(`${BEACON_URL}/eth/v1/beacon/genesis`), 4, 'fetching genesis');
-    if (!genesisRes.ok) {
-      throw new Error(`Failed to fetch genesis: HTTP ${genesisRes.status}`);
-    }
-    const genesisData = await genesisRes.json();
-    const genesis = parseInt(genesisData.data.genesis_time);
+    // Fetch genesis time with retries, checking that the endpoints serve the configured network
+    const { genesisTime: genesis, maxEffectiveBalanceGwei, specError } = await api.verifyNetwork();
+    // The principal deposited per validator in gwei, returned by its exit withdrawal (see classifyWithdrawal)
+    const depositGwei = depositGweiFor(config, maxEffectiveBalanceGwei, specError);
 
     // Calculate start and end slots, clamping startSlot to 0 to avoid negative slots (which do not exist and would cause API errors)
-    let startSlot = Math.ceil((startTs - genesis) / SLOT_INTERVAL_SECONDS);
+    let startSlot = Math.ceil((startTs - genesis) / config.slot_interval_seconds);
     startSlot = Math.max(0, startSlot); // Prevent negative slots, as they indicate pre-genesis times and don't exist
-    const endSlot = Math.floor((endTs - genesis) / SLOT_INTERVAL_SECONDS);
+    const endSlot = Math.floor((endTs - genesis) / config.slot_interval_seconds);
 
     if (startSlot > endSlot) {
       throw new Error('Start slot is greater than end slot.');
     }
 
+    // Everything that could not be fetched is collected here for the integrity report, rather than only logged
+    const failedValidators = [];
+    const failures = [];
+
     // Get validator info with retries for each fetch
-    const validators = {};
-    const indicesSet = new Set();
-    for (const id of ids) {
-      try {
-        const res = await retry(async () => await fetchWithTimeout(`${BEACON_URL}/eth/v1/beacon/states/finalized/validators/${id}`), 4, `fetching validator ${id}`);
-        if (!res.ok) {
-          console.error(`Failed to fetch validator ${id}: HTTP ${res.status}`);
-          continue;
-        }
-        const data = await res.json();
-        const valData = data.data;
-        const index = parseInt(valData.index);
-        const pubkey = valData.validator.pubkey;
-        const withdrawalCred = valData.validator.withdrawal_credentials;
-        let withdrawAddress = null;
-        if (withdrawalCred.startsWith('0x01')) {
-          withdrawAddress = '0x' + withdrawalCred.slice(-40);
-        }
-        validators[index] = { pubkey, withdrawAddress, consensus: 0, execution: 0 };
-        indicesSet.add(index);
-      } catch (error) {
-        console.error(`Error fetching validator info for ${id}:`, error.message);
-      }
-    }
+    const { validators, indicesSet, failedValidators: lookupFailures } = await lookupValidators(api, ids, depositGwei, signal);
+    failedValidators.push(...lookupFailures);
 
     if (indicesSet.size === 0) {
       throw new Error('No valid validators found.');
     }
 
-    // Initialize totals by address for consensus and execution layers
+    const expectedFeeRecipients = expectedFeeRecipientsFor(validators, feeRecipients);
+    const credentialMismatchList = portfolio ? applyPortfolio(portfolio, validators, expectedFeeRecipients) : [];
+
+    // Previously decoded slots are read from the cache as the scan gets to them; only finalized slots are ever
+    // cached, as later ones may still be reorganized
+    let cache = null;
+    let cacheReader = null;
+    let finalizedSlot = -1;
+    if (useCache && config.transport === 'live') {
+      cache = openSlotCache(config.cache_dir, genesis);
+      cacheReader = cache.reader(indicesSet);
+      finalizedSlot = await fetchFinalizedSlot(api);
+      log.info(`Using the slot cache ${cache.dir}; cached slots are read as the scan reaches them.`);
+    }
+    // Slots fetched during this run and not counted yet (e.g. those fast mode fetched to locate withdrawals)
+    const fetchedSlots = new Map();
+
+    // Initialize totals by address for consensus (reward income), returned principal and execution, and by time
+    // bucket if requested
     const consensusTotals = {};
+    const principalTotals = {};
     const executionTotals = {};
+    const priorityFeeTotals = {};
+    const builderPaymentTotals = {};
+    const timeBuckets = {};
+    // Proposals paid to an address other than the expected fee recipients, by validator and address
+    const feeRecipientMismatches = new Map();
+    // Individual payment events, if requested (amounts in wei until output)
+    const paymentEvents = [];
+
+    /**
+     * Returns the time bucket a slot falls in, creating it on first use.
+     * @param {number} slot - The slot number.
+     * @returns {Object} The bucket's running totals.
+     */
+    function bucketFor(slot) {
+      const label = bucketLabel(genesis + slot * config.slot_interval_seconds, bucket);
+      timeBuckets[label] ??= { bucket: label, consensus: 0n, principal: 0n, execution: 0n, validators: {} };
+      return timeBuckets[label];
+    }
+
+    /**
+     * Adds a payment to the time bucket of its slot, in total and for the paid validator.
+     * @param {number} slot - The slot the payment was made in.
+     * @param {number} index - The validator index.
+     * @param {string} layer - 'consensus', 'principal' or 'execution'.
+     * @param {bigint} amount - The amount in wei.
+     */
+    function addToBucket(slot, index, layer, amount) {
+      const entry = bucketFor(slot);
+      entry[layer] += amount;
+      entry.validators[index] ??= { consensus: 0n, principal: 0n, execution: 0n };
+      entry.validators[index][layer] += amount;
+    }
+
+    /**
+     * Returns the decoded record of a slot, from the cache if present, otherwise fetching (and caching) it.
+     * Concurrent requests for the same slot share a single fetch.
+     * @param {number} slot - The slot number.
+     * @returns {Promise<Object>} The decoded slot record, with withdrawals reduced to our validators.
+     */
+    const inFlight = new Map();
+    async function loadSlotRecord(slot) {
+      if (fetchedSlots.has(slot)) {
+        return fetchedSlots.get(slot);
+      }
+      const cached = await cacheReader?.get(slot);
+      if (cached && (cached.proposer !== undefined || cached.missing)) {
+        return cached;
+      }
+      if (!inFlight.has(slot)) {
+        inFlight.set(slot, (async () => {
+          const record = await fetchSlotRecord(api, slot);
+          if (cache && slot <= finalizedSlot) {
+            cache.append(record);
+          }
+          // Reduce to the withdrawals we care about, matching what the cache hands back on load
+          reduceWithdrawals(record, indicesSet);
+          fetchedSlots.set(slot, record);
+          return record;
+        })().finally(() => inFlight.delete(slot)));
+      }
+      return inFlight.get(slot);
+    }
+
+    /**
+     * Makes sure the execution payments (tip total and any proposer payment) are known for a block proposed by
+     * one of our validators. They are computed (and cached) lazily, only for the blocks that need them.
+     * @param {Object} record - The decoded slot record; updated in place.
+     */
+    async function ensureExecutionPayments(record) {
+      if (record.missing || !indicesSet.has(record.proposer) || record.block_number === null || record.proposer_payment !== undefined) {
+        return;
+      }
+      const { priorityFees, proposerPayment } = await fetchExecutionPayments(context, record.block_number, record.fee_recipient);
+      record.priority_fees_wei = priorityFees.toString();
+      record.proposer_payment = proposerPayment && [proposerPayment[0], proposerPayment[1].toString()];
+      if (cache && record.slot <= finalizedSlot) {
+        cache.append({ slot: record.slot, priority_fees_wei: record.priority_fees_wei, proposer_payment: record.proposer_payment });
+      }
+    }
+
+    /**
+     * Formats a payment (see paymentsInRecord) as a payment event, with its time and Amounts.
+     * @param {Object} payment - The payment, amounts in wei.
+     * @returns {Object} The event (see `events` in the result).
+     */
+    function formatEvent(payment) {
+      return {
+        timestamp: new Date((genesis + payment.slot * config.slot_interval_seconds) * 1000).toISOString(),
+        ...payment,
+        amount: formatPls(payment.income + payment.principal),
+        income: formatPls(payment.income),
+        principal: formatPls(payment.principal)
+      };
+    }
+
+    /**
+     * Adds the payments found in a decoded slot record to the running totals. The onPayment handler sees every
+     * payment of the slot before any is counted, so that if it (or anything else here) throws, nothing of the
+     * slot has been counted and it can be recorded as failed, to be re-run like any other.
+     * @param {Object} record - The decoded slot record.
+     */
+    function applySlotRecord(record) {
+      const payments = paymentsInRecord(record, validators, expectedFeeRecipients, config.slots_per_epoch);
+      for (const payment of payments) {
+        onPayment?.(formatEvent(payment));
+      }
+      for (const payment of payments) {
+        const { slot, validatorIndex, address, type, income, principal } = payment;
+        const validator = validators[validatorIndex];
+
+        if (WITHDRAWAL_TYPES.includes(type)) {
+          // Consensus layer withdrawal, split into reward income and returned principal
+          validator.withdrawals++;
+          validator.withdrawalTypes[type]++;
+          validator.consensus += income;
+          consensusTotals[address] = (consensusTotals[address] || 0n) + income;
+          if (bucket) {
+            addToBucket(slot, validatorIndex, 'consensus', income);
+          }
+          if (principal > 0n) {
+            validator.principal += principal;
+            principalTotals[address] = (principalTotals[address] || 0n) + principal;
+            if (bucket) {
+              addToBucket(slot, validatorIndex, 'principal', principal);
+            }
+          }
+        } else {
+          // Execution layer payment for a proposal
+          validator.proposals++;
+          if (type === 'builder_payment') {
+            validator.builderBlocks++;
+            validator.builderPayments += income;
+            builderPaymentTotals[address] = (builderPaymentTotals[address] || 0n) + income;
+          } else {
+            validator.priorityFees += income;
+            priorityFeeTotals[address] = (priorityFeeTotals[address] || 0n) + income;
+          }
+          validator.execution += income;
+          executionTotals[address] = (executionTotals[address] || 0n) + income;
+          if (bucket) {
+            addToBucket(slot, validatorIndex, 'execution', income);
+          }
+
+          // Payments to an address that is not ours are kept (they were made), but flagged
+          const ownFeeRecipient = validator.portfolioEntry?.feeRecipient;
+          if (ownFeeRecipient ? address !== ownFeeRecipient : !expectedFeeRecipients.has(address)) {
+            const key = `${validatorIndex}:${address}`;
+            const mismatch = feeRecipientMismatches.get(key) || { validatorIndex, address, proposals: 0, firstSlot: slot, lastSlot: slot, amount: 0n };
+            mismatch.proposals++;
+            mismatch.firstSlot = Math.min(mismatch.firstSlot, slot);
+            mismatch.lastSlot = Math.max(mismatch.lastSlot, slot);
+            mismatch.amount += income;
+            feeRecipientMismatches.set(key, mismatch);
+          }
+        }
+
+        if (events) {
+          paymentEvents.push(payment);
+        }
+      }
+    }
+
+    /**
+     * Counts a fetched slot record (see applySlotRecord), recording the slot as failed if that throws.
+     * @param {Object} record - The decoded slot record.
+     */
+    function countSlotRecord(record) {
+      try {
+        applySlotRecord(record);
+      } catch (error) {
+        log.error(`Error counting slot ${record.slot}: ${error.message}`);
+        failures.push({ slot: record.slot, kind: 'slot', error: error.message });
+      }
+    }
+
+    // Records holding exit withdrawals, held back from the scan to be counted in slot order after it
+    const heldRecords = [];
+
+    // Work out which slots to scan: all of them, only those asked for (e.g. a re-run of failed slots), or
+    // (fast mode) only those the validators were paid in
+    let slotsToScan = slotRange(startSlot, endSlot);
+    let totalSlots = endSlot - startSlot + 1;
+    if (slots) {
+      slotsToScan = [...new Set(slots)].filter(slot => slot >= startSlot && slot <= endSlot).sort((a, b) => a - b);
+      totalSlots = slotsToScan.length;
+    } else if (mode === 'fast') {
+      log.info(`Locating relevant slots among ${totalSlots} slots...`);
+      const relevantSlots = await findRelevantSlots({
+        startSlot,
+        endSlot,
+        indicesSet,
+        getRecord: slot => retry(async () => await loadSlotRecord(slot), 4, `fetching slot ${slot}`),
+        fetchBeaconJson: api.fetchBeaconJson,
+        slotsPerEpoch: config.slots_per_epoch,
+        sampleInterval: config.sweep_sample_slots,
+        concurrency: config.concurrency,
+        signal
+      });
+      // Null when the withdrawal sweep cannot be followed by sampling; the whole range is scanned then
+      if (relevantSlots) {
+        slotsToScan = relevantSlots;
+        totalSlots = relevantSlots.length;
+      }
+    }
 
     // Set up progress tracking for the slot scan
-    const totalSlots = endSlot - startSlot + 1;
+    signal?.throwIfAborted();
     let processedSlots = 0;
-    console.log(`Starting scan of ${totalSlots} slots...`);
-    const progressInterval = setInterval(() => {
-      console.log(`Progress: Processed ${processedSlots} / ${totalSlots} slots (${((processedSlots / totalSlots) * 100).toFixed(2)}%)`);
-    }, 4000); // Every 4 seconds (average of 3-5)
+    let lastProgressLog = Date.now();
+    const reportProgress = () => {
+      onProgress?.({ processedSlots, totalSlots, failedSlots: failures.length });
+      // Logged at most every few seconds, however fast the batches go
+      if (Date.now() - lastProgressLog >= PROGRESS_LOG_INTERVAL_MS) {
+        lastProgressLog = Date.now();
+        log.info(`Progress: Processed ${processedSlots} / ${totalSlots} slots (${((processedSlots / totalSlots) * 100).toFixed(2)}%)${failures.length ? `, ${failures.length} failed` : ''}`);
+      }
+    };
+    log.info(`Starting scan of ${totalSlots} slots...`);
+    reportProgress();
 
     // Scan slots with concurrency; use Promise.allSettled to continue despite individual slot errors
     let activePromises = [];
-    for (let slot = startSlot; slot <= endSlot; slot++) {
+    for (const slot of slotsToScan) {
       // Skip negative slots (though clamped earlier, added for safety)
       if (slot < 0) {
-        console.log(`Skipping invalid negative slot: ${slot}`);
+        log.debug(`Skipping invalid negative slot: ${slot}`);
         continue;
       }
 
+      // Fetching is retried as a whole; the record is only applied to the totals once it is complete,
+      // so a retry can never count the same withdrawal twice
       activePromises.push(retry(async () => {
         try {
-          const blockRes = await fetchWithTimeout(`${BEACON_URL}/eth/v1/beacon/blocks/${slot}`);
-          if (!blockRes.ok) {
-            // For 404, log explanation without throwing (no retry needed, as no block exists)
-            if (blockRes.status === 404) {
-              console.log(`HTTP error! Status: ${blockRes.status} for slot: ${slot} - No block exists for this slot; it is normal that this happens from time to time.`);
-              return; // Skip without retry or error
-            }
-            // For 400 error (e.g., for invalid/negative slot), do not retry as the slot doesn't exist
-            if (blockRes.status === 400) {
-              console.log(`Skipping non-existent slot ${slot} (HTTP 400)`);
-              return; // Skip without retry or error
-            }
-            throw new Error(`HTTP error! Status: ${blockRes.status} for slot: ${slot}`);
-          }
-          const blockData = await blockRes.json();
-          const message = blockData.data.message;
-          const body = message.body;
-          const proposer = parseInt(message.proposer_index);
-
-          // Process consensus layer withdrawals if present in the block; if withdrawals is undefined or empty, treat as no withdrawals (common case, no error)
-          // Use optional chaining to safely handle cases where execution_payload might be undefined
-          for (const wd of body.execution_payload?.withdrawals || []) {
-            const wdIndex = parseInt(wd.validator_index);
-            if (indicesSet.has(wdIndex)) {
-              let amount = parseInt(wd.amount) / GWEI_TO_PLS; // Convert gwei to PLS
-              if (amount > MAX_EFFECTIVE_BALANCE) {
-                amount -= MAX_EFFECTIVE_BALANCE; // Exclude principal for full exits
-              }
-              validators[wdIndex].consensus += amount;
-              const addr = wd.address.toLowerCase();
-              consensusTotals[addr] = (consensusTotals[addr] || 0) + amount;
-            }
-          }
-
-          // Process execution layer proposal if the proposer matches one of our validators
-          if (indicesSet.has(proposer)) {
-            // Safely access execution_payload with optional chaining; skip if undefined
-            const payload = body.execution_payload;
-            if (!payload) {
-              console.log(`Skipping execution layer processing for slot ${slot}: execution_payload undefined`);
-              return;
-            }
-            const blockNumber = parseInt(payload.block_number);
-            const feeRecipient = payload.fee_recipient.toLowerCase();
-
-            // Fetch the execution block details
-            const rpcBody = {
-              jsonrpc: '2.0',
-              method: 'eth_getBlockByNumber',
-              params: [`0x${blockNumber.toString(16)}`, true],
-              id: 1
-            };
-            const rpcRes = await retry(async () => await fetchWithTimeout(RPC_URL, {
-              method: 'POST',
-              body: JSON.stringify(rpcBody),
-              headers: {'Content-Type': 'application/json'}
-            }), 4, `fetching block ${blockNumber}`);
-            if (!rpcRes.ok) {
-              throw new Error(`HTTP error! Status: ${rpcRes.status} for block: ${blockNumber}`);
-            }
-            const block = await rpcRes.json();
-            if (block.error || !block.result) {
-              console.error(`RPC error for block ${blockNumber}: ${block.error ? block.error.message : 'No result'}`);
-              return;
-            }
-
-            const b = block.result;
-            const baseFee = BigInt(b.baseFeePerGas || '0x0');
-
-            let prioritySum = 0n;
-            for (const tx of b.transactions) {
-              try {
-                const maxPriority = BigInt(tx.maxPriorityFeePerGas || '0x0');
-                const maxFee = BigInt(tx.maxFeePerGas || tx.gasPrice || '0x0');
-                const tip = maxPriority < (maxFee - baseFee) ? maxPriority : (maxFee - baseFee);
-                const gasUsed = await getGasUsed(RPC_URL, tx.hash);
-                prioritySum += tip * gasUsed;
-              } catch (txError) {
-                console.error(`Error processing tx ${tx.hash} in block ${blockNumber}:`, txError.message);
-              }
-            }
-
-            const executionAmount = Number(prioritySum) / 1e18;
-            validators[proposer].execution += executionAmount;
-            executionTotals[feeRecipient] = (executionTotals[feeRecipient] || 0) + executionAmount;
-          }
+          const record = await loadSlotRecord(slot);
+          await ensureExecutionPayments(record);
+          return record;
         } catch (error) {
-          console.error(`Error processing slot ${slot}:`, error.message);
+          log.warn(`Error processing slot ${slot}: ${error.message}`);
           throw error;
         }
-      }, 4, `processing slot ${slot}`));
+      }, 4, `processing slot ${slot}`).then(record => {
+        if (holdsExitWithdrawal(record, validators, config.slots_per_epoch)) {
+          heldRecords.push(record); // Counted after the scan, in slot order
+        } else {
+          countSlotRecord(record);
+        }
+        fetchedSlots.delete(slot); // Done with it; keeps memory flat over long ranges
+      }).catch(error => {
+        // Nothing of this slot was counted; record it so the totals are known to be short
+        failures.push({ slot, ...failureOf(error), error: error.message });
+      }));
 
-      if (activePromises.length >= CONCURRENCY) {
+      if (activePromises.length >= config.concurrency) {
         await Promise.allSettled(activePromises);
         processedSlots += activePromises.length;
         activePromises = [];
+        reportProgress();
+        signal?.throwIfAborted();
       }
     }
 
@@ -350,17 +1637,153 @@ export async function getValidatorPayments(ids, startDate, endDate) {
     if (activePromises.length > 0) {
       await Promise.allSettled(activePromises);
       processedSlots += activePromises.length;
+      reportProgress();
+      signal?.throwIfAborted();
+    }
+
+    // Exit withdrawals are split into principal and income against everything each validator was paid since it
+    // became withdrawable, including before the range (or, re-running failed slots, outside them)
+    if (heldRecords.length > 0) {
+      log.info(`Counting ${heldRecords.length} slot(s) with exit withdrawals in slot order...`);
+      const scannedSlots = slots ? new Set(slotsToScan) : null;
+      const counted = new Set();
+      try {
+        await replayExitWithdrawals({
+          validators,
+          indices: [...new Set(heldRecords.flatMap(record => record.withdrawals.map(([index]) => index)))],
+          records: heldRecords,
+          historyEndSlot: slots ? Math.max(...heldRecords.map(record => record.slot)) : startSlot - 1,
+          isScanned: scannedSlots ? slot => scannedSlots.has(slot) : undefined,
+          getRecord: slot => retry(async () => await loadSlotRecord(slot), 4, `fetching slot ${slot}`),
+          fetchBeaconJson: api.fetchBeaconJson,
+          config,
+          apply: record => {
+            countSlotRecord(record);
+            counted.add(record.slot);
+          },
+          signal
+        });
+      } catch (error) {
+        signal?.throwIfAborted();
+        log.warn(`${error.message}; the slots holding later exit withdrawals are left uncounted.`);
+        for (const record of heldRecords.filter(record => !counted.has(record.slot))) {
+          failures.push({ slot: record.slot, kind: 'slot', error: error.message });
+        }
+      }
+    }
+
+    log.info(`Scan complete: Processed ${processedSlots} / ${totalSlots} slots (100.00%)`);
+    if (failures.length > 0 || failedValidators.length > 0) {
+      log.warn(`WARNING: Totals are INCOMPLETE: ${failures.length} slot(s) and ${failedValidators.length} validator(s) could not be fetched. See the "integrity" section of the result.`);
+    }
+
+    // Output summary (consensus income, returned principal and execution totals by address)
+    const consensus = formatPlsTotals(consensusTotals);
+    const principal = formatPlsTotals(principalTotals);
+    const execution = formatPlsTotals(executionTotals);
+    const priorityFees = formatPlsTotals(priorityFeeTotals);
+    const builderPayments = formatPlsTotals(builderPaymentTotals);
+    const plsOnly = totals => Object.fromEntries(Object.entries(totals).map(([addr, amount]) => [addr, amount.pls]));
+    log.info('Consensus Layer Payments by Withdrawal Address (PLS):', { consensus: plsOnly(consensus) });
+    if (Object.keys(principal).length > 0) {
+      log.info('Principal Returned by Withdrawal Address (PLS; not income):', { principal: plsOnly(principal) });
+    }
+    log.info('Execution Layer Payments by Fee Recipient Address (PLS):', { execution: plsOnly(execution) });
+    if (Object.keys(builderPayments).length > 0) {
+      log.info('  of which Builder/MEV Payments (PLS):', { builderPayments: plsOnly(builderPayments) });
     }
 
-    clearInterval(progressInterval);
-    console.log(`Scan complete: Processed ${processedSlots} / ${totalSlots} slots (100.00%)`);
+    // Proposals paying elsewhere, e.g. a client with a stale fee recipient, are easy to miss in the totals
+    const mismatches = [...feeRecipientMismatches.values()]
+      .sort((a, b) => a.validatorIndex - b.validatorIndex || a.firstSlot - b.firstSlot)
+      .map(mismatch => ({ ...mismatch, amount: formatPls(mismatch.amount) }));
+    for (const mismatch of mismatches) {
+      log.warn(`WARNING: validator ${mismatch.validatorIndex} paid ${mismatch.proposals} proposal(s) (slots ${mismatch.firstSlot} to ${mismatch.lastSlot}, ${mismatch.amount.pls} PLS) to ${mismatch.address}, which is not an expected fee recipient.`);
+    }
 
-    // Output summary (consensus and execution totals by address)
-    console.log('Consensus Layer Payments by Withdrawal Address (PLS):', consensusTotals);
-    console.log('Execution Layer Payments by Fee Recipient Address (PLS):', executionTotals);
-    return { consensus: consensusTotals, execution: executionTotals };
+    // Per-validator breakdown, in index order
+    const validatorSummaries = [...indicesSet].sort((a, b) => a - b).map(index => {
+      const validator = validators[index];
+      const summary = {
+        index,
+        pubkey: validator.pubkey,
+        withdrawalAddress: validator.withdrawAddress,
+        withdrawalCredentials: validator.credentials,
+        slashed: validator.slashed,
+        exitEpoch: validator.exitEpoch,
+        withdrawableEpoch: validator.withdrawableEpoch,
+        consensus: formatPls(validator.consensus),
+        principal: formatPls(validator.principal),
+        execution: formatPls(validator.execution),
+        priorityFees: formatPls(validator.priorityFees),
+        builderPayments: formatPls(validator.builderPayments),
+        proposals: validator.proposals,
+        builderBlocks: validator.builderBlocks,
+        withdrawals: validator.withdrawals,
+        withdrawalTypes: validator.withdrawalTypes,
+        depositedPrincipal: formatPls(gweiToWei(depositGwei))
+      };
+      Object.assign(summary, principalLoss(summary));
+      if (portfolio) {
+        summary.label = validator.portfolioEntry?.label ?? null;
+        summary.group = validator.portfolioEntry?.group ?? null;
+      }
+      if (summary.slashingPenalty) {
+        log.info(`Validator ${index} was slashed: ${summary.principal.pls} PLS of its ${summary.depositedPrincipal.pls} PLS principal returned, a penalty of ${summary.slashingPenalty.pls} PLS.`);
+      }
+      return summary;
+    });
+
+    const result = {
+      consensus,
+      principal,
+      execution,
+      priorityFees,
+      builderPayments,
+      feeRecipients: {
+        expected: [...expectedFeeRecipients].sort(),
+        mismatches
+      },
+      validators: validatorSummaries,
+      integrity: buildIntegrity({
+        startDate,
+        endDate,
+        bucket,
+        scannedSlots: totalSlots,
+        failures,
+        failedValidators,
+        slotRuns: failures.length > 0
+          ? [{ ids: validatorSummaries.map(validator => String(validator.index)), slots: [...new Set(failures.map(failure => failure.slot))].sort((a, b) => a - b) }]
+          : []
+      })
+    };
+    if (portfolio) {
+      result.portfolio = summarizePortfolio(portfolio, validatorSummaries, credentialMismatchList);
+      for (const totals of result.portfolio.groups) {
+        log.info(`Group ${totals.name ?? '(none)'}: ${totals.validators.length} validator(s), ${totals.consensus.pls} PLS consensus income, ${totals.principal.pls} PLS principal returned, ${totals.execution.pls} PLS execution payments.`);
+      }
+    }
+    if (events) {
+      result.events = paymentEvents
+        .sort((a, b) => a.slot - b.slot || a.validatorIndex - b.validatorIndex || a.type.localeCompare(b.type))
+        .map(formatEvent);
+    }
+    if (bucket) {
+      // Bucket labels are ISO dates (or year-months), so sorting them as strings puts them in time order
+      result.timeSeries = Object.keys(timeBuckets).sort().map(label => ({
+        bucket: label,
+        consensus: formatPls(timeBuckets[label].consensus),
+        principal: formatPls(timeBuckets[label].principal),
+        execution: formatPls(timeBuckets[label].execution),
+        validators: Object.fromEntries(Object.entries(timeBuckets[label].validators).map(([index, totals]) => [
+          index,
+          { consensus: formatPls(totals.consensus), principal: formatPls(totals.principal), execution: formatPls(totals.execution) }
+        ]))
+      }));
+    }
+    return result;
   } catch (error) {
-    console.error('Fatal error in getValidatorPayments:', error.message);
+    log.error(`Fatal error in getValidatorPayments: ${error.message}`);
     throw error; // Rethrow for caller handling
   }
 }
@@ -7,11 +7,71 @@
  * Installation:
  * - This assumes the main function is exported from './fetch-validator-payments.js' (or adjust the import path accordingly).
  * - Run via: node index.js --ids=0xKey1,12345 --start=2025-01-01 --end=2025-11-04
+ * - Or, for a performance and health report: node index.js status --ids=0xKey1,12345 --start=2025-10-01 --end=2025-11-04
+ * - Or, to follow the chain and be notified of payments as they happen: node index.js watch --ids=0xKey1,12345
  * 
  * Usage:
- * - --ids: Comma-separated list of validator IDs (public keys like '0xKey1' or indices like '12345') (required).
+ * - --ids: Comma-separated list of validator IDs (public keys like '0xKey1' or indices like '12345') (required,
+ *   unless --portfolio is given).
+ * - --portfolio: Path of a portfolio file (YAML or JSON) listing the validators, instead of --ids, with labels,
+ *   groups (e.g. one per client) and the withdrawal and fee recipient addresses they should pay to. The result
+ *   then also totals the payments per group and per label, and validators whose withdrawal credentials do not
+ *   pay to the expected address are warned about. See `../shared/portfolio.js` for the file format.
  * - --start: Start date in YYYY-MM-DD format (required, inclusive).
  * - --end: End date in YYYY-MM-DD format (required, exclusive).  
+ * - --mode: Scan mode (optional): 'full' (default) fetches every block; 'fast' fetches only the blocks the
+ *   validators were paid in; 'verify' runs both and reports any difference.
+ * - --bucket: Also break payments down into a time series by 'day', 'week' or 'month' (optional).
+ * - --fee-recipients: Comma-separated addresses the validators' proposals should pay to (optional; defaults to
+ *   their withdrawal addresses). Proposals paying any other address are warned about and listed under
+ *   `feeRecipients.mismatches` in the result.
+ * - --output: Write the JSON result to this file instead of stdout (optional).
+ * - --strict: Exit with status 2 if anything could not be fetched, i.e. the totals are incomplete (optional).
+ *   Either way, the `integrity` section of the result lists everything that is missing. With --mode=verify,
+ *   also if the fast and full scans disagree, and with --reconcile, if the balances do not reconcile.
+ * - --rerun-failed: Path of a previous JSON result (see --output); re-fetches only what that run could not
+ *   fetch and outputs the completed result. --ids (or --portfolio), --start and --end are taken from the
+ *   previous result.
+ * - --ledger: Also write every payment to this file as a tax ledger in CSV (optional), one row per payment,
+ *   with income and returned principal in separate rows. See `./ledger.js`.
+ * - --ledger-format: Ledger format, 'csv' (default, every field), 'koinly' or 'cointracking' (their CSV import
+ *   formats) (optional).
+ * - --prices: Value the ledger rows in USD (optional): 'pulsex' reads the on-chain PulseX WPLS/DAI price at each
+ *   payment's block (needs an archive RPC endpoint for old blocks); anything else is the path of a CSV file of
+ *   `date,price` lines. See `./price-sources.js`.
+ * - --price-max-age: With a CSV file for --prices, how many hours older than a payment its price may be
+ *   (optional; 48 by default). Payments with no price that recent are left unpriced.
+ * - --reconcile: Also check the totals against the on-chain balances of the addresses paid (optional): their
+ *   balance change over the range, from `eth_getBalance` at the boundary blocks (needs an archive RPC endpoint
+ *   for old blocks), is compared with the payments plus their other transfers in and out, which are listed from
+ *   the block explorer API (--reconcile or --reconcile=explorer), the RPC endpoint's trace API
+ *   (--reconcile=trace) or not at all (--reconcile=none). The result gains a `reconciliation` section (and its
+ *   payment events), and unexplained differences are warned about. See `./reconciliation.js`.
+ * - --no-cache: Bypass the on-disk slot cache (optional; by default, interrupted or overlapping scans reuse it).
+ * - --config: Path of the config file (optional; defaults to `config.json` in the working directory, if present).
+ * - --network: Network profile, 'pulsechain' (default) or 'pulsechain-testnet-v4' (optional).
+ * - Any other setting can be given as a flag too, in kebab-case, overriding the config file and `PVA_*`
+ *   environment variables: e.g. --concurrency=20 or --rpc-urls=https://rpc.pulsechain.com,https://... (optional).
+ *   See `../shared/config.js` for the full list. In particular, --log-level ('debug', 'info' (default), 'warn',
+ *   'error' or 'silent') and --log-format ('text' (default) or 'json', one object per line) control the
+ *   progress and diagnostic messages, which always go to stderr; stdout only ever carries the result.
+ *   --transport=record with --fixture-dir=<dir> saves every request and response of the run, and
+ *   --transport=replay answers the run from them with no network access (see `../shared/transport.js`).
+ * 
+ * The `status` subcommand reports each validator's current status and balances, proposals made and missed,
+ * attestation rewards and penalties, sync committee participation and annualised yield over the date range, and
+ * flags the underperforming ones. It takes --ids (or --portfolio), --start, --end, --mode (of the income scan; 'fast' by
+ * default), --state (beacon state for the current status; 'head' by default), --output, --no-cache and the
+ * settings flags. With --portfolio, the report labels and groups the validators, and the income scan checks
+ * their fee recipients and withdrawal credentials as above. See `./validator-status.js`.
+ * 
+ * The `watch` subcommand runs until interrupted (Ctrl-C), following the chain head through the beacon node's
+ * event stream and keeping running payment totals in a state file, with notifications of proposals, payments,
+ * missed proposals, exits and reorgs. It takes --ids (or --portfolio), --fee-recipients, --state-file (default
+ * `watch-state.json`; resumed from on restart), --webhook (URL to POST each notification to as JSON),
+ * --on-event (shell command run per notification, with it as JSON on standard input) and the settings flags.
+ * With --portfolio, its fee recipients and withdrawal addresses are checked as above, and notifications name
+ * the validators by label. See `./watch.js` and `./notifications.js`.
  * 
  * See the file header documentation for file `./fetch-validator-payments.js` for more detail.
  * 
@@ -19,37 +79,227 @@
  * For more robust CLI, consider adding 'commander' or 'yargs' as a dependency.
  */
 
-import { getValidatorPayments } from './fetch-validator-payments.js'; // Updated to ESM import
+import fs from 'node:fs';
+import { parse as parseYaml } from 'yaml';
+import { getValidatorPayments, rerunFailed } from './fetch-validator-payments.js'; // Updated to ESM import
+import { getValidatorStatus } from './validator-status.js';
+import { watchValidators } from './watch.js';
+import { createNotifier } from './notifications.js';
+import { TRANSFER_SOURCES, reconcileBalances } from './reconciliation.js';
+import { LEDGER_FORMATS, buildLedgerRows, formatLedger, priceLedgerRows } from './ledger.js';
+import { createCsvPriceSource, createPulseXPriceSource } from './price-sources.js';
+import { loadConfig } from '../shared/config.js';
+import { loadPortfolio } from '../shared/portfolio.js';
+import { createLoggerFromConfig, log, setLogger } from '../shared/logger.js';
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const params = {};
+  const params = { command: null };
   args.forEach(arg => {
     if (arg.startsWith('--')) {
       const [key, value] = arg.slice(2).split('=');
-      params[key] = value;
+      params[key] = value ?? true; // Bare flags such as --no-cache are booleans
+    } else if (params.command === null) {
+      params.command = arg; // A subcommand, e.g. 'status'
     }
   });
   return params;
 }
 
+/**
+ * Reads the validators to report on: from the --portfolio file, or else the --ids list.
+ * @param {Object} params - The parsed command-line flags.
+ * @returns {{ids: string[], portfolio: Object|null}} The validator IDs, and the portfolio if one was given.
+ */
+function validatorsFrom(params) {
+  if (params.portfolio) {
+    const portfolio = loadPortfolio(params.portfolio, { parseYaml });
+    return { ids: portfolio.validators.map(entry => entry.id), portfolio };
+  }
+  return { ids: params.ids.split(','), portfolio: null };
+}
+
+/**
+ * Writes the payment events of a result to a ledger file, priced if asked to.
+ * @param {Object} result - The getValidatorPayments result, with `events`.
+ * @param {Object} params - The parsed command-line flags (`ledger`, `ledger-format`, `prices`, `price-max-age`).
+ * @param {Object} config - The resolved configuration.
+ */
+async function writeLedger(result, params, config) {
+  const rows = buildLedgerRows(result.events);
+  let currency = 'USD';
+  if (params.prices) {
+    const maxAgeHours = params['price-max-age'] === undefined ? undefined : Number(params['price-max-age']);
+    if (maxAgeHours !== undefined && !(maxAgeHours > 0)) {
+      throw new Error(`Invalid --price-max-age "${params['price-max-age']}"; expected a positive number of hours.`);
+    }
+    const priceSource = params.prices === 'pulsex' ? createPulseXPriceSource(config) : createCsvPriceSource(params.prices, { maxAgeHours });
+    currency = priceSource.currency;
+    log.info(`Pricing ${rows.length} ledger row(s) from ${priceSource.name}...`);
+    await priceLedgerRows(rows, priceSource);
+  } else {
+    rows.forEach(row => { row.price = null; row.value = null; });
+  }
+  fs.writeFileSync(params.ledger, formatLedger(rows, params['ledger-format'] || 'csv', currency));
+  log.info(`Ledger of ${rows.length} row(s) written to ${params.ledger}`);
+}
+
+/**
+ * Writes a result as JSON to the --output file, or else to stdout.
+ * @param {Object} result - The result.
+ * @param {Object} params - The parsed command-line flags.
+ */
+function writeResult(result, params) {
+  const json = JSON.stringify(result, null, 2); // Output clean JSON results
+  if (params.output) {
+    fs.writeFileSync(params.output, json + '\n');
+    log.info(`Result written to ${params.output}`);
+  } else {
+    console.log(json);
+  }
+}
+
+/**
+ * Runs the `status` subcommand.
+ * @param {Object} params - The parsed command-line flags.
+ */
+async function runStatus(params) {
+  if ((!params.ids && !params.portfolio) || !params.start || !params.end) {
+    console.error('Usage: node index.js status --ids=0xKey1,12345|--portfolio=portfolio.yaml --start=YYYY-MM-DD --end=YYYY-MM-DD [--mode=fast|full] [--state=head] [--output=status.json] [--no-cache] [--config=config.json] [--network=pulsechain]');
+    console.error('See the file header documentation for file `./validator-status.js` for details.');
+    process.exit(1);
+  }
+  try {
+    const config = loadConfig(params);
+    setLogger(createLoggerFromConfig(config));
+    const { ids, portfolio } = validatorsFrom(params);
+    const result = await getValidatorStatus(ids, params.start, params.end, {
+      config,
+      portfolio: portfolio ?? undefined,
+      useCache: !params['no-cache'],
+      mode: params.mode,
+      state: params.state
+    });
+    writeResult(result, params);
+  } catch (error) {
+    console.error('Error running validator status report:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Runs the `watch` subcommand, until interrupted.
+ * @param {Object} params - The parsed command-line flags.
+ */
+async function runWatch(params) {
+  if (!params.ids && !params.portfolio) {
+    console.error('Usage: node index.js watch --ids=0xKey1,12345|--portfolio=portfolio.yaml [--fee-recipients=0xAddr1,0xAddr2] [--state-file=watch-state.json] [--webhook=https://...] [--on-event="command"] [--config=config.json] [--network=pulsechain]');
+    console.error('See the file header documentation for file `./watch.js` for details.');
+    process.exit(1);
+  }
+  const controller = new AbortController();
+  // The first Ctrl-C stops cleanly (saving the state); a second one exits at once
+  process.once('SIGINT', () => {
+    log.info('Stopping...');
+    controller.abort();
+  });
+  process.once('SIGTERM', () => controller.abort());
+  try {
+    const config = loadConfig(params);
+    setLogger(createLoggerFromConfig(config));
+    const { ids, portfolio } = validatorsFrom(params);
+    await watchValidators(ids, {
+      config,
+      portfolio: portfolio ?? undefined,
+      feeRecipients: params['fee-recipients'] ? params['fee-recipients'].split(',') : undefined,
+      stateFile: params['state-file'],
+      notify: createNotifier({ webhook: params.webhook, command: params['on-event'] }),
+      signal: controller.signal
+    });
+  } catch (error) {
+    console.error('Error watching validators:', error.message);
+    process.exit(1);
+  }
+}
+
 async function main() {
   const params = parseArgs();
+
+  if (params.command === 'status') {
+    return runStatus(params);
+  }
+  if (params.command === 'watch') {
+    return runWatch(params);
+  }
+  if (params.command !== null) {
+    console.error(`Unknown subcommand "${params.command}"; expected "status" or "watch".`);
+    process.exit(1);
+  }
   
-  if (!params.ids || !params.start || !params.end) {
-    console.error('Usage: node index.js --ids=0xKey1,12345 --start=YYYY-MM-DD --end=YYYY-MM-DD');
+  if (((!params.ids && !params.portfolio) || !params.start || !params.end) && !params['rerun-failed']) {
+    console.error('Usage: node index.js --ids=0xKey1,12345|--portfolio=portfolio.yaml --start=YYYY-MM-DD --end=YYYY-MM-DD [--mode=full|fast|verify] [--bucket=day|week|month] [--fee-recipients=0xAddr1,0xAddr2] [--output=result.json] [--ledger=ledger.csv [--ledger-format=csv|koinly|cointracking] [--prices=pulsex|prices.csv]] [--reconcile[=explorer|trace|none]] [--strict] [--no-cache] [--config=config.json] [--network=pulsechain]');
+    console.error('   or: node index.js --rerun-failed=result.json [--output=result.json] [--ledger=ledger.csv ...] [--reconcile[=explorer|trace|none]] [--strict] [--no-cache]');
     console.error('See the file header documentation for file `./fetch-validator-payments.js` for details.');
     console.error('For example, the start date is inclusive, and the end date is exclusive.')
     process.exit(1);
   }
   
-  const ids = params.ids.split(',');
-  const startDate = params.start;
-  const endDate = params.end;
-  
+  if (params['ledger-format'] && !LEDGER_FORMATS.includes(params['ledger-format'])) {
+    console.error(`Invalid --ledger-format "${params['ledger-format']}"; expected one of: ${LEDGER_FORMATS.join(', ')}.`);
+    process.exit(1);
+  }
+  // A bare --reconcile lists transfers from the block explorer
+  const reconcile = params.reconcile === true ? 'explorer' : params.reconcile;
+  if (reconcile && !TRANSFER_SOURCES.includes(reconcile)) {
+    console.error(`Invalid --reconcile "${reconcile}"; expected one of: ${TRANSFER_SOURCES.join(', ')}.`);
+    process.exit(1);
+  }
+
   try {
-    const result = await getValidatorPayments(ids, startDate, endDate);
-    console.log(JSON.stringify(result, null, 2)); // Output clean JSON results
+    const config = loadConfig(params);
+    setLogger(createLoggerFromConfig(config));
+    let result;
+    if (params['rerun-failed']) {
+      const previous = JSON.parse(fs.readFileSync(params['rerun-failed'], 'utf8'));
+      if ((params.ledger || reconcile) && !previous.events) {
+        throw new Error(`${params['rerun-failed']} has no payment events to build a ledger or reconcile from; it was not run with --ledger or --reconcile.`);
+      }
+      result = await rerunFailed(previous, { config, useCache: !params['no-cache'], mode: params.mode });
+    } else {
+      const { ids, portfolio } = validatorsFrom(params);
+      result = await getValidatorPayments(ids, params.start, params.end, {
+        config,
+        portfolio: portfolio ?? undefined,
+        useCache: !params['no-cache'],
+        mode: params.mode,
+        bucket: params.bucket,
+        events: Boolean(params.ledger || reconcile),
+        feeRecipients: params['fee-recipients'] ? params['fee-recipients'].split(',') : undefined
+      });
+    }
+
+    if (reconcile) {
+      result.reconciliation = await reconcileBalances(result, { config, transfers: reconcile });
+    }
+
+    writeResult(result, params);
+
+    if (params.ledger) {
+      await writeLedger(result, params, config);
+    }
+
+    if (params.strict && !result.integrity.complete) {
+      console.error('Strict mode: the result is INCOMPLETE (see its "integrity" section). Re-run with --rerun-failed to fetch what is missing.');
+      process.exit(2);
+    }
+    if (params.strict && result.verification && !result.verification.matches) {
+      console.error('Strict mode: the fast and full scans DISAGREE (see the "verification" section).');
+      process.exit(2);
+    }
+    if (params.strict && result.reconciliation && !result.reconciliation.reconciled) {
+      console.error('Strict mode: the balances do NOT reconcile with the payments (see the "reconciliation" section).');
+      process.exit(2);
+    }
   } catch (error) {
     console.error('Error running validator payments calculation:', error.message);
     process.exit(1);
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Tax ledger export for the validator payments calculator.
+ *
+ * Turns the payment events of a getValidatorPayments result (run with `{ events: true }`) into ledger rows,
+ * one per consensus withdrawal or proposed block (split in two where a full exit returns both principal and
+ * income), optionally valued in fiat at event time by a price source (see `./price-sources.js`), and writes
+ * them as CSV in one of these formats:
+ *
+ * - 'csv': every field, one column each (timestamp, slot, block number, validator index, recipient address,
+ *   type, category, amount in PLS and wei, price and value).
+ * - 'koinly': Koinly's universal CSV import format. Income rows are labelled 'staking'; principal returned
+ *   has no label, so it is imported as a plain deposit rather than income.
+ * - 'cointracking': CoinTracking's CSV import format, with type 'Staking' for income and 'Deposit' for
+ *   principal.
+ *
+ * Check the importer's current documentation before relying on a format; they change from time to time.
+ */
+
+import { log } from '../shared/logger.js';
+
+// Supported ledger formats
+export const LEDGER_FORMATS = ['csv', 'koinly', 'cointracking'];
+
+// Human-readable descriptions of the payment event types, for the importers' description/comment columns
+const TYPE_DESCRIPTIONS = {
+  skim: 'Consensus layer reward skim',
+  full_exit: 'Consensus layer full exit',
+  slashed_exit: 'Consensus layer exit after slashing',
+  priority_fees: 'Execution layer priority fees (block proposal)',
+  builder_payment: 'Execution layer builder/MEV payment (block proposal)'
+};
+
+/**
+ * Quotes a value for CSV if it needs it.
+ * @param {any} value - The value (null and undefined become empty cells).
+ * @returns {string} The CSV cell.
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Joins rows of cells into CSV text.
+ * @param {string[]} header - The column names.
+ * @param {any[][]} rows - The rows.
+ * @returns {string} The CSV text, with a trailing newline.
+ */
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Turns payment events into ledger rows: one income row per event with income, and one principal row per
+ * event returning principal.
+ * @param {Object[]} events - The `events` of a getValidatorPayments result.
+ * @returns {Object[]} The rows: the event fields plus `category` ('income' or 'principal') and `amount` (the
+ *          Amount of that category).
+ */
+export function buildLedgerRows(events) {
+  const rows = [];
+  for (const event of events) {
+    const { income, principal, amount, ...fields } = event;
+    if (BigInt(principal.wei) > 0n) {
+      rows.push({ ...fields, category: 'principal', amount: principal });
+    }
+    if (BigInt(income.wei) > 0n) {
+      rows.push({ ...fields, category: 'income', amount: income });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Values ledger rows in fiat at event time.
+ * @param {Object[]} rows - The ledger rows (see buildLedgerRows); updated in place with `price` (fiat per PLS)
+ *        and `value` (fiat value of the amount), both null where no price is known.
+ * @param {Object} priceSource - The price source (see `./price-sources.js`).
+ * @returns {Promise<number>} The number of rows without a price.
+ */
+export async function priceLedgerRows(rows, priceSource) {
+  let unpriced = 0;
+  for (const row of rows) {
+    row.price = await priceSource.priceAt(row);
+    row.value = row.price === null ? null : Number((row.amount.plsFloat * row.price).toFixed(6));
+    if (row.price === null) {
+      unpriced++;
+    }
+  }
+  if (unpriced > 0) {
+    log.warn(`WARNING: no ${priceSource.name} price for ${unpriced} of ${rows.length} ledger row(s); their value is left empty.`);
+  }
+  return unpriced;
+}
+
+/**
+ * Formats a timestamp as the importers expect it: 'YYYY-MM-DD HH:mm:ss' in UTC.
+ * @param {string} timestamp - ISO 8601 timestamp.
+ * @returns {string} The formatted timestamp.
+ */
+function importerDate(timestamp) {
+  return timestamp.slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Formats ledger rows as CSV.
+ * @param {Object[]} rows - The ledger rows (see buildLedgerRows), priced or not (see priceLedgerRows).
+ * @param {string} [format='csv'] - One of LEDGER_FORMATS.
+ * @param {string} [currency='USD'] - The fiat currency of the prices.
+ * @returns {string} The CSV text.
+ * @throws {Error} If the format is not supported.
+ */
+export function formatLedger(rows, format = 'csv', currency = 'USD') {
+  const description = row => `${TYPE_DESCRIPTIONS[row.type]}${row.category === 'principal' ? ' (principal returned)' : ''}, validator ${row.validatorIndex}, slot ${row.slot}`;
+
+  switch (format) {
+    case 'csv':
+      return toCsv(
+        ['timestamp', 'slot', 'block_number', 'validator_index', 'recipient_address', 'type', 'category', 'amount_pls', 'amount_wei', `price_${currency.toLowerCase()}`, `value_${currency.toLowerCase()}`],
+        rows.map(row => [row.timestamp, row.slot, row.blockNumber, row.validatorIndex, row.address, row.type, row.category, row.amount.pls, row.amount.wei, row.price, row.value])
+      );
+    case 'koinly':
+      return toCsv(
+        ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+        rows.map(row => [
+          `${importerDate(row.timestamp)} UTC`, '', '', row.amount.pls, 'PLS', '', '',
+          row.value ?? '', row.value === null || row.value === undefined ? '' : currency,
+          row.category === 'income' ? 'staking' : '', description(row), ''
+        ])
+      );
+    case 'cointracking':
+      return toCsv(
+        ['Type', 'Buy Amount', 'Buy Currency', 'Sell Amount', 'Sell Currency', 'Fee', 'Fee Currency', 'Exchange', 'Trade-Group', 'Comment', 'Date', 'Tx-ID', `Buy Value in ${currency}`],
+        rows.map(row => [
+          row.category === 'income' ? 'Staking' : 'Deposit', row.amount.pls, 'PLS', '', '', '', '',
+          row.address, 'PulseChain validators', description(row), importerDate(row.timestamp),
+          // A unique ID per row lets CoinTracking skip duplicates when the same period is imported twice
+          `pls-${row.slot}-${row.validatorIndex}-${row.type}-${row.category}`, row.value ?? ''
+        ])
+      );
+    default:
+      throw new Error(`Invalid ledger format "${format}"; expected one of: ${LEDGER_FORMATS.join(', ')}.`);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Notifications for the follow-head daemon (see `./watch.js`).
+ *
+ * Every notification is a plain object:
+ *   { type, time, validatorIndex, slot, finalized, message, ...details }
+ * where `type` is one of NOTIFICATION_TYPES, `time` is when it was sent (ISO 8601), `finalized` tells whether
+ * what it reports can still be reorganized away, and `message` is a one-line human-readable summary. With a
+ * portfolio (see `../shared/portfolio.js`), notifications about its validators also carry their `label` and
+ * `group`.
+ *
+ * Each notification is logged, and optionally:
+ * - POSTed as JSON to a webhook URL (e.g. a chat integration or an automation service). Failed deliveries are
+ *   retried a few times and then logged; they never stop the daemon.
+ * - Passed to a local command, run through the shell with the notification as JSON on its standard input and
+ *   its type in the `NOTIFICATION_TYPE` environment variable (e.g. a script sending an e-mail). The variable is
+ *   kept out of the `PVA_` settings namespace, so a command that runs the tools itself still loads its settings.
+ */
+
+import { spawn } from 'node:child_process';
+import nodeFetch from 'node-fetch';
+import { retry } from '../shared/api-client.js';
+import { log } from '../shared/logger.js';
+
+// Kinds of notification
+export const NOTIFICATION_TYPES = ['proposal', 'payment', 'missed_proposal', 'exit', 'reorg'];
+
+// How long a notification command may run before it is killed, in ms
+const COMMAND_TIMEOUT_MS = 60000;
+
+/**
+ * Runs the notification command with a notification on its standard input.
+ * @param {string} command - The shell command.
+ * @param {Object} notification - The notification.
+ * @returns {Promise<void>} Resolves when the command has exited (failures are logged, not thrown).
+ */
+function runCommand(command, notification) {
+  return new Promise(resolve => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: { ...process.env, NOTIFICATION_TYPE: notification.type },
+      timeout: COMMAND_TIMEOUT_MS
+    });
+    child.on('error', error => {
+      log.warn(`Notification command failed to start: ${error.message}`);
+      resolve();
+    });
+    child.on('exit', (code, signal) => {
+      if (code !== 0) {
+        log.warn(`Notification command exited with ${signal ? `signal ${signal}` : `status ${code}`} for a "${notification.type}" notification.`);
+      }
+      resolve();
+    });
+    child.stdin.on('error', () => {}); // The command may exit without reading its input
+    child.stdin.end(JSON.stringify(notification) + '\n');
+  });
+}
+
+/**
+ * Creates a notifier.
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.webhook] - URL to POST each notification to, as JSON.
+ * @param {string} [options.command] - Shell command to run for each notification.
+ * @param {Function} [options.fetch] - The fetch implementation to use (node-fetch by default).
+ * @returns {Function} notify(notification): sends a notification (see the file header; `time` is added);
+ *          resolves once it has been delivered everywhere, or failed to be.
+ */
+export function createNotifier({ webhook, command, fetch = nodeFetch } = {}) {
+  return async function notify(notification) {
+    const sent = { type: notification.type, time: new Date().toISOString(), ...notification };
+    log.info(`[${sent.type}] ${sent.message}`);
+
+    if (webhook) {
+      try {
+        await retry(async () => {
+          const res = await fetch(webhook, {
+            method: 'POST',
+            body: JSON.stringify(sent),
+            headers: {'Content-Type': 'application/json'}
+          });
+          if (!res.ok) {
+            throw new Error(`HTTP error! Status: ${res.status} from webhook`);
+          }
+        }, 2, `delivering a "${sent.type}" notification`);
+      } catch (error) {
+        log.warn(`Notification could not be delivered to the webhook: ${error.message}`);
+      }
+    }
+    if (command) {
+      await runCommand(command, sent);
+    }
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Streaming interface to getValidatorPayments (see `./fetch-validator-payments.js`).
+ *
+ * getValidatorPayments only resolves once the whole range has been scanned. streamValidatorPayments runs the
+ * same scan as an async iterator instead, yielding each payment as soon as its slot has been processed and
+ * the scan's progress as it advances, then the final result:
+ *
+ *     for await (const item of streamValidatorPayments(['12345'], '2025-01-01', '2025-02-01', { signal })) {
+ *       if (item.type === 'payment') {
+ *         console.log(item.payment.slot, item.payment.type, item.payment.amount.pls);
+ *       } else if (item.type === 'progress') {
+ *         console.log(`${item.progress.processedSlots}/${item.progress.totalSlots} slots`);
+ *       } else {
+ *         console.log(item.result.consensus);
+ *       }
+ *     }
+ *
+ * Leaving the loop early (break, return or a thrown error) cancels the scan, as does aborting `options.signal`
+ * (the iterator then throws the signal's reason). Scan errors are thrown from the iterator.
+ */
+
+import { getValidatorPayments } from './fetch-validator-payments.js';
+
+/**
+ * Scans validator payments, yielding them as they are found.
+ * @param {Array<string|number>} ids - Validator public keys or indices.
+ * @param {string} startDate - Start date (YYYY-MM-DD), inclusive.
+ * @param {string} endDate - End date (YYYY-MM-DD), exclusive.
+ * @param {Object} [options={}] - The options of getValidatorPayments, except `onPayment` and `onProgress`,
+ *        which are used to feed the iterator.
+ * @returns {AsyncGenerator<Object>} Yields, in order of arrival:
+ *          - `{ type: 'progress', progress }`: `progress` as passed to getValidatorPayments' `onProgress`.
+ *          - `{ type: 'payment', payment }`: a payment, in the shape of the result's `events` entries.
+ *          - `{ type: 'result', result }`: the result of getValidatorPayments, last.
+ */
+export async function* streamValidatorPayments(ids, startDate, endDate, options = {}) {
+  // The scan runs with its own signal, aborted by the caller's or when the consumer stops early
+  const controller = new AbortController();
+  const abort = () => controller.abort(options.signal.reason);
+  if (options.signal?.aborted) {
+    abort();
+  } else {
+    options.signal?.addEventListener('abort', abort, { once: true });
+  }
+
+  // Items not yet consumed, and the wakeup of a consumer waiting for the next one
+  const queue = [];
+  let wake = null;
+  const push = item => {
+    queue.push(item);
+    wake?.();
+    wake = null;
+  };
+
+  let finished = false;
+  let failure = null;
+  getValidatorPayments(ids, startDate, endDate, {
+    ...options,
+    signal: controller.signal,
+    onProgress: progress => push({ type: 'progress', progress }),
+    onPayment: payment => push({ type: 'payment', payment })
+  }).then(result => push({ type: 'result', result }), error => {
+    failure = error;
+  }).finally(() => {
+    finished = true;
+    wake?.();
+    wake = null;
+  });
+
+  try {
+    while (true) {
+      if (queue.length > 0) {
+        yield queue.shift();
+      } else if (finished) {
+        if (failure) {
+          throw failure;
+        }
+        return;
+      } else {
+        await new Promise(resolve => { wake = resolve; });
+      }
+    }
+  } finally {
+    options.signal?.removeEventListener('abort', abort);
+    if (!finished) {
+      controller.abort(new Error('Payment stream closed before the scan finished.'));
+    }
+  }
+}
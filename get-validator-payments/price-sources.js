@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Price sources for valuing payments in fiat (see `./ledger.js`).
+ *
+ * A price source is a plain object `{ name, currency, priceAt(event) }`, where `priceAt` resolves to the price
+ * of 1 PLS in `currency` at the time of a payment event (`{ timestamp, blockNumber, ... }`), or null if it has
+ * none. Any object of that shape can be passed to priceLedgerRows, so other sources (an exchange API, a
+ * different pool) can be plugged in without changing the ledger code.
+ *
+ * Two are provided:
+ *
+ * - createPulseXPriceSource: the on-chain price from a PulseX pair's reserves at the payment's block
+ *   (configured by `wpls_address` and `price_pair_address`; by default WPLS/DAI on PulseChain mainnet). Each
+ *   distinct block costs one `eth_call`, and the RPC endpoint must serve historical state (an archive node)
+ *   for blocks older than its pruning window. Pool prices can be moved within a block, so treat them as an
+ *   estimate.
+ * - createCsvPriceSource: prices from a CSV file with a date or Unix timestamp and a price per line, e.g. daily
+ *   closing prices exported from a price site. The latest price at or before each payment is used, if it is at
+ *   most `maxAgeHours` older than the payment (48 by default); a payment with none that recent is unpriced, as
+ *   a file that stops short of the payments would otherwise value them all at its last price.
+ */
+
+import fs from 'node:fs'; // Built-in Node.js module for file system operations
+import nodeFetch from 'node-fetch';
+import { createApiClient, retry } from '../shared/api-client.js';
+import { log } from '../shared/logger.js';
+
+// Function selectors of the Uniswap V2-style pair and ERC-20 calls used
+const SELECTORS = {
+  getReserves: '0x0902f1ac',
+  token0: '0x0dfe1681',
+  token1: '0xd21220a7',
+  decimals: '0x313ce567'
+};
+
+// PLS (and WPLS) has 18 decimals
+const PLS_DECIMALS = 18;
+
+// How much older than a payment a CSV price may be and still value it, in hours: a daily closing price file
+// leaves at most a day between prices, and this allows for one missing day
+export const DEFAULT_CSV_PRICE_MAX_AGE_HOURS = 48;
+
+/**
+ * Creates a price source reading PLS prices from a PulseX (Uniswap V2-style) pair at each payment's block.
+ * @param {Object} config - The resolved configuration (see `../shared/config.js`); `wpls_address` and
+ *        `price_pair_address` select the pair, whose other token is taken to be worth 1 unit of `currency`.
+ * @param {Object} [options={}] - Options.
+ * @param {Function} [options.fetch] - The fetch implementation to use (node-fetch by default).
+ * @param {string} [options.currency='USD'] - The currency the pair's other token stands for.
+ * @returns {{name: string, currency: string, priceAt: Function}} The price source.
+ * @throws {Error} If the network has no pair configured.
+ */
+export function createPulseXPriceSource(config, { fetch = nodeFetch, currency = 'USD' } = {}) {
+  if (!config.wpls_address || !config.price_pair_address) {
+    throw new Error(`No PulseX price pair is configured for network "${config.network}"; set wpls_address and price_pair_address, or use a CSV price file.`);
+  }
+  const api = createApiClient(config, { fetch });
+  const pair = config.price_pair_address.toLowerCase();
+  const wpls = config.wpls_address.toLowerCase();
+
+  // Prices by block number, so that events in the same block cost one call
+  const pricesByBlock = new Map();
+  // Pair layout (which side is WPLS, the other token's decimals), read once
+  let layoutPromise = null;
+
+  /**
+   * Makes an eth_call, with retries.
+   * @param {string} to - The contract address.
+   * @param {string} data - The call data.
+   * @param {string|number} block - The block number, or 'latest'.
+   * @returns {Promise<string>} The returned data, as hex.
+   * @throws {Error} If the call fails or reverts.
+   */
+  async function ethCall(to, data, block) {
+    const blockTag = typeof block === 'number' ? `0x${block.toString(16)}` : block;
+    const response = await retry(async () => await api.postRpc({ jsonrpc: '2.0', method: 'eth_call', params: [{ to, data }, blockTag], id: 1 }, `eth_call to ${to}`), 4, `calling ${to} at block ${block}`);
+    if (response.error || !response.result || response.result === '0x') {
+      throw new Error(`eth_call to ${to} at block ${block} failed: ${response.error?.message || 'empty result'}`);
+    }
+    return response.result;
+  }
+
+  /**
+   * Reads which side of the pair WPLS is on, and the other token's decimals.
+   * @returns {Promise<{wplsIsToken0: boolean, otherDecimals: number}>} The pair layout.
+   * @throws {Error} If WPLS is not in the pair.
+   */
+  async function readLayout() {
+    const token0 = `0x${(await ethCall(pair, SELECTORS.token0, 'latest')).slice(-40)}`;
+    const token1 = `0x${(await ethCall(pair, SELECTORS.token1, 'latest')).slice(-40)}`;
+    if (token0 !== wpls && token1 !== wpls) {
+      throw new Error(`Price pair ${pair} does not contain WPLS (${wpls}); it pairs ${token0} and ${token1}.`);
+    }
+    const other = token0 === wpls ? token1 : token0;
+    const otherDecimals = parseInt(await ethCall(other, SELECTORS.decimals, 'latest'), 16);
+    return { wplsIsToken0: token0 === wpls, otherDecimals };
+  }
+
+  /**
+   * Reads the pair's price of 1 PLS at a block.
+   * @param {number} blockNumber - The block number.
+   * @returns {Promise<number|null>} The price, or null if it cannot be read.
+   */
+  async function readPrice(blockNumber) {
+    try {
+      layoutPromise = layoutPromise || readLayout();
+      const { wplsIsToken0, otherDecimals } = await layoutPromise;
+      // getReserves returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast), 32 bytes each
+      const result = await ethCall(pair, SELECTORS.getReserves, blockNumber);
+      const reserve0 = BigInt(`0x${result.slice(2, 66)}`);
+      const reserve1 = BigInt(`0x${result.slice(66, 130)}`);
+      const [wplsReserve, otherReserve] = wplsIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+      if (wplsReserve === 0n) {
+        return null;
+      }
+      return (Number(otherReserve) / 10 ** otherDecimals) / (Number(wplsReserve) / 10 ** PLS_DECIMALS);
+    } catch (error) {
+      log.warn(`WARNING: cannot read the PulseX price at block ${blockNumber}: ${error.message}`);
+      return null;
+    }
+  }
+
+  return {
+    name: 'PulseX',
+    currency,
+    async priceAt({ blockNumber }) {
+      if (!pricesByBlock.has(blockNumber)) {
+        pricesByBlock.set(blockNumber, readPrice(blockNumber));
+      }
+      return pricesByBlock.get(blockNumber);
+    }
+  };
+}
+
+/**
+ * Creates a price source reading PLS prices from a CSV file.
+ *
+ * Each line holds a date (anything Date.parse understands, e.g. '2024-05-01', read as UTC) or a Unix timestamp
+ * in seconds, then a comma, then the price of 1 PLS. A header line and blank lines are skipped; further
+ * columns are ignored.
+ * @param {string} file - Path to the CSV file.
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.currency='USD'] - The currency of the prices.
+ * @param {number} [options.maxAgeHours=DEFAULT_CSV_PRICE_MAX_AGE_HOURS] - How much older than a payment its
+ *        price may be; a payment with no price that recent has none (null).
+ * @returns {{name: string, currency: string, priceAt: Function}} The price source.
+ * @throws {Error} If the file cannot be read or has no prices.
+ */
+export function createCsvPriceSource(file, { currency = 'USD', maxAgeHours = DEFAULT_CSV_PRICE_MAX_AGE_HOURS } = {}) {
+  const prices = [];
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  lines.forEach((line, lineIndex) => {
+    const [rawTime, rawPrice] = line.split(',').map(cell => cell?.trim().replace(/^"|"$/g, ''));
+    if (!rawTime) {
+      return;
+    }
+    const time = /^\d+$/.test(rawTime) ? parseInt(rawTime) * 1000 : Date.parse(rawTime);
+    const price = Number(rawPrice);
+    if (isNaN(time) || rawPrice === undefined || rawPrice === '' || isNaN(price)) {
+      if (lineIndex > 0) {
+        log.warn(`WARNING: skipping unreadable line ${lineIndex + 1} of ${file}: ${line}`);
+      }
+      return; // The header, or a bad line
+    }
+    prices.push({ time, price });
+  });
+  if (prices.length === 0) {
+    throw new Error(`No prices found in ${file}; expected lines of "date-or-unix-timestamp,price".`);
+  }
+  prices.sort((a, b) => a.time - b.time);
+
+  return {
+    name: `CSV file ${file}`,
+    currency,
+    async priceAt({ timestamp }) {
+      // Binary search for the latest price at or before the event
+      const time = Date.parse(timestamp);
+      let low = 0;
+      let high = prices.length - 1;
+      let found = null;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (prices[mid].time <= time) {
+          found = prices[mid];
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return found && time - found.time <= maxAgeHours * 3600 * 1000 ? found.price : null;
+    }
+  };
+}
@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Reconciliation of a payments result against on-chain wallet balances, for the validator
+ * payments calculator.
+ *
+ * The totals of getValidatorPayments come from scanning blocks; nothing in the scan itself shows that they are
+ * right. The balances of the wallets they were paid to do: over the scanned range, each withdrawal address and
+ * fee recipient should change by exactly the payments computed for it, plus whatever else was sent to it, minus
+ * whatever it sent (and paid in gas). For every address of a result, reconcileBalances:
+ *
+ * 1. Finds the boundary blocks of the range: the execution block before the first block of the range (the
+ *    opening balance) and the last block of the range (the closing balance), from the beacon chain.
+ * 2. Reads the address's balance at both with `eth_getBalance`. For anything but recent blocks, this needs an
+ *    archive RPC endpoint.
+ * 3. Lists the address's other transfers in the range, from one of the `TRANSFER_SOURCES`:
+ *    - 'explorer': the Etherscan-compatible API of a block explorer (`explorer_api_url`, see
+ *      `../shared/config.js`), whose `txlist` and `txlistinternal` list the transactions sent or received and
+ *      the value moved by contracts. Explorers cap how far their lists can be paged (10,000 entries on
+ *      Etherscan), so very busy wallets may need shorter ranges.
+ *    - 'trace': the RPC endpoint's `trace_filter` (Erigon, Nethermind and other clients with the trace API), in
+ *      spans of `TRACE_BLOCK_SPAN` blocks, plus a receipt per transaction the address sent, for its gas fee.
+ *    - 'none': no transfers are listed; everything besides the payments shows as unexplained.
+ * 4. Compares the balance change with the payments (consensus income, returned principal and execution
+ *    payments) plus transfers in, minus transfers out and gas fees. Any difference is unexplained, and warned
+ *    about.
+ *
+ * A builder's payment for a builder-built block is itself a transaction to the address; it is matched to the
+ * `builder_payment` event of the result (same block, address and amount) and marked as counted rather than
+ * counted twice. Matching needs the result's payment events, so the scan must have been run with
+ * `{ events: true }` (`--reconcile` to `index.js` takes care of that).
+ *
+ * An unexplained difference points at one of: payments the scan missed or miscounted (a scanner bug, or an
+ * incomplete result, see its `integrity` section); payments from validators not in the scan (e.g. other
+ * validators paying to the same withdrawal address); or value moved in ways the transfer source does not list.
+ * Whichever it is, it is worth a look, and that is the point of the report.
+ */
+
+import fetch from 'node-fetch';
+import { fetchSlotRecord } from './fetch-validator-payments.js';
+import { formatPls } from './amounts.js';
+import { loadConfig, resolveConfig } from '../shared/config.js';
+import { createApiClient, retry } from '../shared/api-client.js';
+import { log, withLogger } from '../shared/logger.js';
+
+// Where the transfers of an address come from (see the file header)
+export const TRANSFER_SOURCES = ['explorer', 'trace', 'none'];
+
+// Entries per page of the explorer's transaction lists
+const EXPLORER_PAGE_SIZE = 1000;
+
+// Blocks per trace_filter request, so that no single request scans an unbounded range
+const TRACE_BLOCK_SPAN = 10000;
+
+const hex = value => `0x${value.toString(16)}`;
+
+/**
+ * Finds the execution blocks bounding the slots of a range.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @param {number} startSlot - First slot of the range.
+ * @param {number} endSlot - Last slot of the range.
+ * @returns {Promise<{firstBlock: number, lastBlock: number}>} The first and last execution block in the range.
+ * @throws {Error} If the range has no block with an execution payload.
+ */
+async function boundaryBlocks(api, startSlot, endSlot) {
+  const blockAt = async slot => {
+    const record = await retry(async () => await fetchSlotRecord(api, slot), 4, `fetching block ${slot}`);
+    return record.missing ? null : record.block_number;
+  };
+  let firstBlock = null;
+  let lastBlock = null;
+  // Missed slots are rare, so neither walk goes far
+  for (let slot = startSlot; slot <= endSlot && firstBlock === null; slot++) {
+    firstBlock = await blockAt(slot);
+  }
+  for (let slot = endSlot; slot >= startSlot && lastBlock === null; slot--) {
+    lastBlock = await blockAt(slot);
+  }
+  if (firstBlock === null || lastBlock === null) {
+    throw new Error(`Slots ${startSlot} to ${endSlot} have no execution block to reconcile balances at.`);
+  }
+  return { firstBlock, lastBlock };
+}
+
+/**
+ * Reads the balance of an address at a block.
+ * @param {Object} api - The API client.
+ * @param {string} address - The address.
+ * @param {number} blockNumber - The block number.
+ * @returns {Promise<bigint>} The balance in wei.
+ * @throws {Error} If the RPC endpoint does not serve it (e.g. a pruned node asked for an old block).
+ */
+async function balanceAt(api, address, blockNumber) {
+  const data = await retry(async () => await api.postRpc({
+    jsonrpc: '2.0',
+    method: 'eth_getBalance',
+    params: [address, hex(blockNumber)],
+    id: 1
+  }, `balance of ${address}`), 4, `fetching the balance of ${address} at block ${blockNumber}`);
+  if (data.error || typeof data.result !== 'string') {
+    throw new Error(`RPC error for the balance of ${address} at block ${blockNumber}: ${data.error?.message || 'No result'}. Balances at old blocks need an archive RPC endpoint.`);
+  }
+  return BigInt(data.result);
+}
+
+/**
+ * Lists the transfers of an address from the block explorer API (see the file header).
+ * @param {Object} api - The API client.
+ * @param {string} address - The address, in lower case.
+ * @param {number} fromBlock - First block.
+ * @param {number} toBlock - Last block.
+ * @returns {Promise<Object[]>} The transfers (see reconcileBalances), amounts in wei.
+ */
+async function explorerTransfers(api, address, fromBlock, toBlock) {
+  const transfers = [];
+  for (const [action, kind] of [['txlist', 'transaction'], ['txlistinternal', 'internal']]) {
+    for (let page = 1; ; page++) {
+      const data = await api.fetchExplorerJson({ module: 'account', action, address, startblock: fromBlock, endblock: toBlock, page, offset: EXPLORER_PAGE_SIZE, sort: 'asc' });
+      // An empty list comes with status '0' and a message, but still as a list; errors come as a string
+      if (!Array.isArray(data.result)) {
+        throw new Error(`The explorer's ${action} for ${address} failed: ${data.message}${typeof data.result === 'string' ? ` (${data.result})` : ''}`);
+      }
+      for (const tx of data.result) {
+        const from = tx.from.toLowerCase();
+        const failed = tx.isError === '1' || tx.txreceipt_status === '0';
+        transfers.push({
+          blockNumber: Number(tx.blockNumber),
+          hash: tx.hash ?? tx.transactionHash,
+          kind,
+          from,
+          to: (tx.to || tx.contractAddress || '').toLowerCase() || null,
+          value: failed ? 0n : BigInt(tx.value),
+          // The sender of a transaction pays its gas, whether it succeeded or not
+          fee: kind === 'transaction' && from === address ? BigInt(tx.gasUsed) * BigInt(tx.gasPrice) : 0n,
+          failed
+        });
+      }
+      if (data.result.length < EXPLORER_PAGE_SIZE) {
+        break;
+      }
+    }
+  }
+  return transfers;
+}
+
+/**
+ * Turns a trace (as returned by trace_filter) into a transfer, if it can move value.
+ * @param {Object} trace - The trace.
+ * @returns {Object|null} `{ from, to, value }` with the value in wei, or null for traces that move nothing
+ *          (delegate and static calls, block rewards).
+ */
+function transferOfTrace(trace) {
+  const { action } = trace;
+  switch (trace.type) {
+    case 'call':
+      return action.callType === 'call' ? { from: action.from, to: action.to, value: BigInt(action.value) } : null;
+    case 'create':
+      return { from: action.from, to: trace.result?.address ?? null, value: BigInt(action.value) };
+    case 'suicide':
+      return { from: action.address, to: action.refundAddress, value: BigInt(action.balance) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Lists the transfers of an address from the RPC endpoint's trace API (see the file header).
+ * @param {Object} api - The API client.
+ * @param {string} address - The address, in lower case.
+ * @param {number} fromBlock - First block.
+ * @param {number} toBlock - Last block.
+ * @returns {Promise<Object[]>} The transfers (see reconcileBalances), amounts in wei.
+ */
+async function traceTransfers(api, address, fromBlock, toBlock) {
+  const transfers = [];
+  // A transfer to itself matches both filters
+  const seen = new Set();
+  for (let start = fromBlock; start <= toBlock; start += TRACE_BLOCK_SPAN) {
+    const end = Math.min(toBlock, start + TRACE_BLOCK_SPAN - 1);
+    for (const filter of [{ fromAddress: [address] }, { toAddress: [address] }]) {
+      const data = await retry(async () => await api.postRpc({
+        jsonrpc: '2.0',
+        method: 'trace_filter',
+        params: [{ fromBlock: hex(start), toBlock: hex(end), ...filter }],
+        id: 1
+      }, `traces of ${address}`), 4, `tracing ${address} in blocks ${start} to ${end}`);
+      if (data.error || !Array.isArray(data.result)) {
+        throw new Error(`trace_filter failed for ${address}: ${data.error?.message || 'No result'}. The RPC endpoint must serve the trace API (e.g. Erigon or Nethermind); or use the explorer.`);
+      }
+      for (const trace of data.result) {
+        const key = `${trace.transactionHash}:${trace.traceAddress.join('.')}`;
+        const transfer = transferOfTrace(trace);
+        if (seen.has(key) || !transfer) {
+          continue;
+        }
+        seen.add(key);
+        const from = transfer.from.toLowerCase();
+        const kind = trace.traceAddress.length === 0 ? 'transaction' : 'internal';
+        transfers.push({
+          blockNumber: trace.blockNumber,
+          hash: trace.transactionHash,
+          kind,
+          from,
+          to: transfer.to?.toLowerCase() ?? null,
+          value: trace.error ? 0n : transfer.value,
+          fee: kind === 'transaction' && from === address ? await transactionFee(api, trace.transactionHash) : 0n,
+          failed: Boolean(trace.error)
+        });
+      }
+    }
+  }
+  return transfers.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Reads the gas fee a transaction's sender paid, from its receipt.
+ * @param {Object} api - The API client.
+ * @param {string} hash - The transaction hash.
+ * @returns {Promise<bigint>} The fee in wei: `gasUsed` x `effectiveGasPrice`.
+ */
+async function transactionFee(api, hash) {
+  const data = await retry(async () => await api.postRpc({
+    jsonrpc: '2.0',
+    method: 'eth_getTransactionReceipt',
+    params: [hash],
+    id: 1
+  }, `receipt ${hash}`), 4, `fetching the receipt of ${hash}`);
+  if (data.error || !data.result) {
+    throw new Error(`RPC error for the receipt of ${hash}: ${data.error?.message || 'No result'}`);
+  }
+  return BigInt(data.result.gasUsed) * BigInt(data.result.effectiveGasPrice);
+}
+
+/**
+ * Reconciles the payments of a getValidatorPayments result against the balances of the addresses they were
+ * paid to (see the file header).
+ * @param {Object} result - The getValidatorPayments result, with its payment `events`.
+ * @param {Object} [options={}] - Options.
+ * @param {Object} [options.config] - Settings as for getValidatorPayments; read from config.json and `PVA_*`
+ *        environment variables if not given.
+ * @param {string} [options.transfers='explorer'] - Where the other transfers come from: one of
+ *        TRANSFER_SOURCES.
+ * @param {Function} [options.fetch] - The fetch implementation for all requests (see getValidatorPayments).
+ * @param {Object} [options.logger] - Logger for this call's messages (see getValidatorPayments).
+ * @returns {Promise<Object>} The reconciliation:
+ *          - `transfers` (the source), `startSlot`, `endSlot`, `openingBlock` (the block before the range, whose
+ *            balances are the opening ones) and `closingBlock` (the last block of the range).
+ *          - addresses: per address paid (and per withdrawal address of the result's validators), in address
+ *            order: `openingBalance`, `closingBalance`, `change`; `payments` (`{ consensus, principal,
+ *            execution, total }` as computed by the scan); `transfers`, every other transfer in or out in block
+ *            order, as `{ blockNumber, hash, kind, direction, from, to, value, fee, failed, countedAs }`, where
+ *            `kind` is 'transaction' or 'internal', `direction` 'in', 'out' or 'self', `fee` the gas paid by the
+ *            address, and `countedAs` 'builder_payment' for a builder's payment already among the payments (null
+ *            otherwise); their totals `transfersIn`, `transfersOut` and `fees`; `expectedChange` (payments plus
+ *            transfers in, minus transfers out and fees); `difference` (`change` - `expectedChange`); and
+ *            `reconciled`, true if the difference is zero.
+ *          - reconciled: true if every address reconciled.
+ *          - notes: caveats that apply, e.g. that the result being reconciled is incomplete.
+ *          Amounts are Amounts as in getValidatorPayments (negative for decreases).
+ * @throws {Error} If the result has no payment events, or balances or transfers cannot be fetched.
+ */
+export async function reconcileBalances(result, options = {}) {
+  if (options.logger) {
+    return withLogger(options.logger, () => reconcileBalances(result, { ...options, logger: undefined }));
+  }
+  const { transfers: source = 'explorer', fetch: fetchImpl = fetch } = options;
+  if (!TRANSFER_SOURCES.includes(source)) {
+    throw new Error(`Invalid transfer source "${source}"; expected one of: ${TRANSFER_SOURCES.join(', ')}.`);
+  }
+  if (!result.events) {
+    throw new Error('Reconciling balances needs the payment events of the result; run the scan with events enabled (e.g. --reconcile or --ledger).');
+  }
+  const config = options.config ? resolveConfig(options.config) : loadConfig();
+  const api = createApiClient(config, { fetch: fetchImpl });
+
+  // The same slot range as the scan
+  const { startDate, endDate } = result.integrity.rerun;
+  const startTs = Math.floor(new Date(startDate + 'T00:00:00Z').getTime() / 1000);
+  const endTs = Math.floor(new Date(endDate + 'T00:00:00Z').getTime() / 1000);
+  const { genesisTime } = await api.verifyNetwork();
+  const startSlot = Math.max(0, Math.ceil((startTs - genesisTime) / config.slot_interval_seconds));
+  const endSlot = Math.floor((endTs - genesisTime) / config.slot_interval_seconds);
+  const { firstBlock, lastBlock } = await boundaryBlocks(api, startSlot, endSlot);
+  const openingBlock = firstBlock - 1;
+  log.info(`Reconciling balances between blocks ${openingBlock} and ${lastBlock} (slots ${startSlot} to ${endSlot}), with transfers from ${source === 'none' ? 'nowhere' : `the ${source}`}...`);
+
+  const addresses = new Set([
+    ...['consensus', 'principal', 'execution'].flatMap(layer => Object.keys(result[layer])),
+    ...result.validators.map(validator => validator.withdrawalAddress).filter(Boolean)
+  ]);
+  // Builder payments are transactions too: matched to their events by block, recipient and amount
+  const builderPayments = new Map();
+  for (const event of result.events.filter(event => event.type === 'builder_payment')) {
+    const key = `${event.blockNumber}:${event.address}:${event.income.wei}`;
+    builderPayments.set(key, (builderPayments.get(key) || 0) + 1);
+  }
+
+  const entries = [];
+  for (const address of [...addresses].sort()) {
+    const openingBalance = await balanceAt(api, address, openingBlock);
+    const closingBalance = await balanceAt(api, address, lastBlock);
+    let transfers = [];
+    if (source === 'explorer') {
+      transfers = await explorerTransfers(api, address, firstBlock, lastBlock);
+    } else if (source === 'trace') {
+      transfers = await traceTransfers(api, address, firstBlock, lastBlock);
+    }
+
+    const payments = Object.fromEntries(['consensus', 'principal', 'execution'].map(layer => [layer, BigInt(result[layer][address]?.wei ?? 0)]));
+    payments.total = payments.consensus + payments.principal + payments.execution;
+    let transfersIn = 0n;
+    let transfersOut = 0n;
+    let fees = 0n;
+    const listed = [];
+    for (const transfer of transfers) {
+      // Transfers that move nothing and cost the address nothing (e.g. token transfers to it) do not matter here
+      if (transfer.value === 0n && transfer.fee === 0n) {
+        continue;
+      }
+      const direction = transfer.from === address ? (transfer.to === address ? 'self' : 'out') : 'in';
+      let countedAs = null;
+      const key = `${transfer.blockNumber}:${address}:${transfer.value}`;
+      if (direction === 'in' && transfer.kind === 'transaction' && builderPayments.get(key) > 0) {
+        builderPayments.set(key, builderPayments.get(key) - 1);
+        countedAs = 'builder_payment';
+      } else if (direction === 'in') {
+        transfersIn += transfer.value;
+      } else if (direction === 'out') {
+        transfersOut += transfer.value;
+      }
+      fees += transfer.fee;
+      listed.push({ ...transfer, direction, value: formatPls(transfer.value), fee: formatPls(transfer.fee), countedAs });
+    }
+
+    const change = closingBalance - openingBalance;
+    const expectedChange = payments.total + transfersIn - transfersOut - fees;
+    const difference = change - expectedChange;
+    if (difference !== 0n) {
+      log.warn(`WARNING: ${address}: the balance changed by ${formatPls(change).pls} PLS, but payments and transfers account for ${formatPls(expectedChange).pls} PLS; ${formatPls(difference).pls} PLS is unexplained.`);
+    }
+    entries.push({
+      address,
+      openingBalance: formatPls(openingBalance),
+      closingBalance: formatPls(closingBalance),
+      change: formatPls(change),
+      payments: Object.fromEntries(Object.entries(payments).map(([layer, wei]) => [layer, formatPls(wei)])),
+      transfers: listed,
+      transfersIn: formatPls(transfersIn),
+      transfersOut: formatPls(transfersOut),
+      fees: formatPls(fees),
+      expectedChange: formatPls(expectedChange),
+      difference: formatPls(difference),
+      reconciled: difference === 0n
+    });
+  }
+
+  const notes = [];
+  if (!result.integrity.complete) {
+    notes.push('The payments result is incomplete (see its integrity section), so some of the balance changes cannot be explained by it.');
+  }
+  if (source === 'none') {
+    notes.push('Transfers were not listed, so any transfer in or out shows as unexplained.');
+  }
+  const reconciled = entries.every(entry => entry.reconciled);
+  log.info(reconciled
+    ? `Balances reconciled: all ${entries.length} address(es) changed by exactly their payments and transfers.`
+    : `Balances NOT reconciled for ${entries.filter(entry => !entry.reconciled).length} of ${entries.length} address(es); see the "reconciliation" section.`);
+  return { transfers: source, startSlot, endSlot, openingBlock, closingBlock: lastBlock, addresses: entries, reconciled, notes };
+}
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview On-disk cache of decoded per-slot results for the validator payments scanner.
+ *
+ * Each processed slot is stored as one JSON line (append-only JSONL), holding the proposer index, the
+ * execution block number and fee recipient, and every withdrawal in the block. Once the execution payments
+ * of a proposed block have been computed, they are appended as a small "patch" line for the same slot;
+ * when the cache is loaded, later lines for a slot are merged over earlier ones.
+ *
+ * Because every slot is appended as soon as it has been processed, the cache doubles as the checkpoint
+ * for an interrupted scan (crash, Ctrl-C): re-running the same or an overlapping date range only fetches
+ * the slots that are not already in the cache.
+ *
+ * Layout:
+ * - One sub-directory per network, keyed by the beacon chain genesis time, so caches for different
+ *   networks never mix.
+ * - Within it, one file per shard of `SLOTS_PER_SHARD` slots, so that a scan only has to read the shards
+ *   holding the slots it looks up (its range, and any earlier slots it needs), one at a time as it gets to them.
+ *
+ * Record format (one per line):
+ *   { "slot": 123, "proposer": 456, "block_number": 789, "fee_recipient": "0xabc...",
+ *     "withdrawals": [[validatorIndex, "0xaddress", "amountGwei"], ...] }
+ *   { "slot": 124, "missing": true }                      // No block was proposed in this slot
+ *   { "slot": 123, "priority_fees_wei": "1234567890",     // Patch: tip total for the proposed block, and the
+ *     "proposer_payment": ["0xaddress", "wei"] }          // transfer ending it from the fee recipient, or null
+ *
+ * Only finalized slots should be written, as anything later may still be reorganized.
+ *
+ * To discard the cache, simply delete the cache directory (the `cache_dir` setting).
+ */
+
+import fs from 'node:fs'; // Built-in Node.js module for file system operations
+import path from 'node:path';
+import readline from 'node:readline';
+
+// Bump this whenever the meaning of a cached field changes, so stale caches are ignored rather than misread
+const CACHE_VERSION = 1;
+
+// Number of slots stored per shard file (roughly eleven and a half days of slots at 10 seconds each)
+const SLOTS_PER_SHARD = 100000;
+
+// Shards a cache reader keeps in memory: a scan moves through its range in slot order, so the shard it is in
+// and the one it has just left are enough (fast scans jump further, but their probes cluster within a shard)
+const OPEN_SHARDS = 2;
+
+/**
+ * Returns the path of the shard file holding the given slot.
+ * @param {string} networkDir - The per-network cache directory.
+ * @param {number} slot - The slot number.
+ * @returns {string} The shard file path.
+ */
+function shardFile(networkDir, slot) {
+  return path.join(networkDir, `${Math.floor(slot / SLOTS_PER_SHARD)}.jsonl`);
+}
+
+/**
+ * Reduces a slot record's withdrawals to those of the given validators, to keep memory small over
+ * multi-million-slot ranges. The validator indices of the block's first and last withdrawal are kept as
+ * `sweep`, as they tell where the withdrawal sweep was at this slot (see `./slot-finder.js`).
+ * @param {Object} record - The decoded slot record; updated in place.
+ * @param {Set<number>} indicesSet - The validator indices to keep withdrawals for.
+ * @returns {Object} The record.
+ */
+export function reduceWithdrawals(record, indicesSet) {
+  if (record.withdrawals) {
+    if (record.withdrawals.length > 0) {
+      record.sweep = [record.withdrawals[0][0], record.withdrawals[record.withdrawals.length - 1][0]];
+    }
+    record.withdrawals = record.withdrawals.filter(([index]) => indicesSet.has(index));
+  }
+  return record;
+}
+
+/**
+ * Reads the records of a shard file, merging patches over the records they patch.
+ * @param {string} file - The shard file.
+ * @param {Set<number>} indicesSet - The validator indices to keep withdrawals for (see reduceWithdrawals).
+ * @returns {Promise<Map<number, Object>>} The records by slot (empty if the file does not exist).
+ */
+async function readShard(file, indicesSet) {
+  const records = new Map();
+  if (!fs.existsSync(file)) {
+    return records;
+  }
+
+  // Stream the shard rather than reading it whole, as shards covering busy ranges can be large
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // A line cut short by a crash mid-write; the slot is simply fetched again
+      continue;
+    }
+    reduceWithdrawals(record, indicesSet);
+    records.set(record.slot, { ...records.get(record.slot), ...record });
+  }
+  return records;
+}
+
+/**
+ * Opens (creating if necessary) the slot cache for a network.
+ * @param {string} cacheDir - The root cache directory.
+ * @param {number} genesisTime - The beacon chain genesis time, used to key the cache per network.
+ * @returns {{dir: string, reader: Function, append: Function}} The cache handle:
+ *          - reader(indicesSet): a reader of the cached slots, with withdrawals reduced to those of the validators
+ *            in indicesSet: `{ get(slot) }`, where get resolves to the slot's record, or undefined if it is not
+ *            cached. Shards are read as they are first needed, and only the last OPEN_SHARDS of them are kept in
+ *            memory, so a reader over a multi-month range never holds more than a few weeks of records.
+ *          - append(record): durably appends a record (or patch) to the cache. A slot's record is only written
+ *            once per handle, so a slot fetched again (e.g. after its shard left the reader's memory) does not
+ *            grow the shard; patches are always written.
+ */
+export function openSlotCache(cacheDir, genesisTime) {
+  const networkDir = path.join(cacheDir, `slots-v${CACHE_VERSION}-${genesisTime}`);
+  fs.mkdirSync(networkDir, { recursive: true });
+
+  // Slots whose records were appended through this handle
+  const written = new Set();
+
+  function reader(indicesSet) {
+    // Shards read so far, by shard number, least recently used first; concurrent lookups share one read
+    const open = new Map();
+    return {
+      async get(slot) {
+        const shard = Math.floor(slot / SLOTS_PER_SHARD);
+        const records = open.get(shard) ?? readShard(shardFile(networkDir, slot), indicesSet);
+        open.delete(shard);
+        open.set(shard, records);
+        if (open.size > OPEN_SHARDS) {
+          open.delete(open.keys().next().value);
+        }
+        return (await records).get(slot);
+      }
+    };
+  }
+
+  function append(record) {
+    const isPatch = record.proposer === undefined && !record.missing;
+    if (!isPatch) {
+      if (written.has(record.slot)) {
+        return;
+      }
+      written.add(record.slot);
+    }
+    // Synchronous append so each record is on disk before the scan moves on (nothing is lost on Ctrl-C)
+    fs.appendFileSync(shardFile(networkDir, record.slot), JSON.stringify(record) + '\n');
+  }
+
+  return { dir: networkDir, reader, append };
+}
@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Targeted slot discovery for the validator payments calculator's "fast" scan mode.
+ *
+ * Instead of downloading every beacon block in a date range, the fast mode only fetches the blocks in
+ * which the tracked validators were paid:
+ *
+ * - Proposals: the proposer of every slot is known from `/eth/v1/validator/duties/proposer/{epoch}`, one
+ *   request per epoch. If a beacon node does not serve duties for an (old) epoch, the proposer index is read
+ *   from the block headers of that epoch instead.
+ *
+ * - Withdrawals: consensus layer withdrawals are paid by a deterministic sweep that walks the validator
+ *   indices in order, wrapping around at the end, with up to 16 withdrawals per block. The sweep position is
+ *   sampled every `sampleInterval` slots (the indices of a block's first and last withdrawal); between two
+ *   samples, the block holding a given validator's withdrawal is then found by binary search on the sweep
+ *   position. A validator whose index the sweep passed without paying it had no withdrawal in that cycle.
+ *
+ * A block passes at most MAX_VALIDATORS_PER_SWEEP (16384) validators: one with 16 withdrawals stops at its 16th,
+ * but one with fewer moves the sweep on by the full 16384. Two samples therefore only pin down where the sweep
+ * went between them if they are at most (validator count - 1) / 16384 slots apart; further apart, the sweep may
+ * have gone all the way round the validator set, paying a validator that the sweep positions alone do not
+ * show. The sample interval (`sampleInterval`, 64 slots by default) is lowered to that distance where the
+ * validator count at the start of the range (the lowest in it) requires it; stretches between samples that
+ * still end up further apart (e.g. past blocks without withdrawals, or samples that could not be fetched) are
+ * scanned in full; and on networks of at most 16384 validators, where a single block can pass them all, the
+ * whole range is scanned.
+ *
+ * Likewise, an epoch whose proposers cannot be read, or a stretch whose binary search hits a block that cannot
+ * be fetched, is scanned in full: slots that still cannot be fetched then end up in the scan's integrity report
+ * instead of failing the search. When in doubt, cross-check against the full scan (`mode: 'verify'` in
+ * `./fetch-validator-payments.js`).
+ */
+
+import { log } from '../shared/logger.js';
+
+// Most validators the withdrawal sweep passes in one block (MAX_VALIDATORS_PER_WITHDRAWALS_SWEEP of the spec)
+const MAX_VALIDATORS_PER_SWEEP = 16384;
+
+// Offset added to validator indices the sweep reaches after wrapping around, so sweep positions within an
+// interval between two samples stay monotonic (larger than any real validator index)
+const WRAP_OFFSET = 2 ** 40;
+
+/**
+ * Runs an async function over a list of items, at most `concurrency` at a time, in batches. Every item is run
+ * whatever becomes of the others: an item whose function throws gets `{ error }` as its result.
+ * @param {any[]} items - The items.
+ * @param {Function} fn - The async function to call for each item.
+ * @param {number} concurrency - The batch size.
+ * @param {AbortSignal} [signal] - Stops the run when aborted: no further batch is started, and the promise
+ *        rejects with the signal's reason (rather than resolving with the aborted batch's errors).
+ * @returns {Promise<any[]>} The results, in item order.
+ */
+export async function runBatched(items, fn, concurrency, signal) {
+  const results = [];
+  for (let i = 0; i < items.length; i += concurrency) {
+    signal?.throwIfAborted();
+    const outcomes = await Promise.allSettled(items.slice(i, i + concurrency).map(fn));
+    signal?.throwIfAborted();
+    results.push(...outcomes.map(outcome => (outcome.status === 'fulfilled' ? outcome.value : { error: outcome.reason })));
+  }
+  return results;
+}
+
+/**
+ * Lists the slots from `from` to `to` (inclusive).
+ * @param {number} from - First slot.
+ * @param {number} to - Last slot.
+ * @returns {number[]} The slots.
+ */
+function slotsBetween(from, to) {
+  return Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+}
+
+/**
+ * Finds the number of validators in the registry at the state of a slot, by searching for the highest index
+ * that exists. Validators are never removed, so this is at most the count at any later slot: counted at the
+ * start of a range, it is the fewest validators the sweep goes round during it.
+ * @param {Function} fetchBeaconJson - See findRelevantSlots.
+ * @param {number} slot - The slot of the state to count in.
+ * @returns {Promise<number>} The number of validators.
+ * @throws {Error} If the state cannot be read (e.g. a node that keeps no states that old).
+ */
+export async function fetchValidatorCount(fetchBeaconJson, slot) {
+  const exists = async index => {
+    try {
+      await fetchBeaconJson(`/eth/v1/beacon/states/${slot}/validators/${index}`);
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  };
+  if (!await exists(0)) {
+    throw new Error(`no validators found in the state at slot ${slot} (the node may not keep states that old)`);
+  }
+  // Double the index until it no longer exists, then bisect: `low` exists, `high` does not
+  let low = 0;
+  let high = 1;
+  while (await exists(high)) {
+    low = high;
+    high *= 2;
+  }
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (await exists(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return high;
+}
+
+/**
+ * Finds the slots in a range whose proposer is one of the tracked validators.
+ * @param {Object} params - See findRelevantSlots.
+ * @returns {Promise<number[]>} The proposal slots (including missed ones, which simply have no block).
+ */
+async function findProposalSlots({ startSlot, endSlot, indicesSet, fetchBeaconJson, slotsPerEpoch, concurrency, signal }) {
+  const epochs = [];
+  for (let epoch = Math.floor(startSlot / slotsPerEpoch); epoch <= Math.floor(endSlot / slotsPerEpoch); epoch++) {
+    epochs.push(epoch);
+  }
+
+  const perEpoch = await runBatched(epochs, async epoch => {
+    let duties;
+    try {
+      const data = await fetchBeaconJson(`/eth/v1/validator/duties/proposer/${epoch}`);
+      duties = data.data.map(duty => ({ slot: parseInt(duty.slot), proposer: parseInt(duty.validator_index) }));
+    } catch (error) {
+      // Many beacon nodes only serve duties for recent epochs; fall back to the block headers
+      log.info(`Proposer duties unavailable for epoch ${epoch} (${error.message}); reading block headers instead.`);
+      duties = [];
+      for (let slot = epoch * slotsPerEpoch; slot < (epoch + 1) * slotsPerEpoch; slot++) {
+        try {
+          const data = await fetchBeaconJson(`/eth/v1/beacon/headers/${slot}`);
+          duties.push({ slot, proposer: parseInt(data.data.header.message.proposer_index) });
+        } catch (headerError) {
+          if (headerError.status !== 404) {
+            throw headerError;
+          }
+          // No block exists for this slot, so there is nothing to find in it
+        }
+      }
+    }
+    return duties
+      .filter(duty => duty.slot >= startSlot && duty.slot <= endSlot && indicesSet.has(duty.proposer))
+      .map(duty => duty.slot);
+  }, concurrency, signal);
+
+  // Without the proposers of an epoch, its slots are all scanned (each block names its proposer)
+  return perEpoch.flatMap((slots, i) => {
+    if (!slots.error) {
+      return slots;
+    }
+    log.warn(`Could not read the proposers of epoch ${epochs[i]} (${slots.error.message}); scanning all of its slots.`);
+    return slotsBetween(Math.max(startSlot, epochs[i] * slotsPerEpoch), Math.min(endSlot, (epochs[i] + 1) * slotsPerEpoch - 1));
+  });
+}
+
+/**
+ * Finds the slots in a range holding withdrawals to the tracked validators, by sampling the withdrawal sweep
+ * and binary searching between samples.
+ * @param {Object} params - See findRelevantSlots.
+ * @returns {Promise<number[]|null>} The withdrawal slots, plus every slot that was fetched to locate them
+ *          (those are harmless to process and already fetched) and the stretches that have to be scanned in
+ *          full; or null if the whole range has to be (see the file header).
+ */
+export async function findWithdrawalSlots({ startSlot, endSlot, indicesSet, getRecord, fetchBeaconJson, sampleInterval, concurrency, signal }) {
+  const visited = new Set();
+  // Stretches between samples too far apart to binary search, as [from, to]
+  const fullStretches = [];
+
+  let validatorCount;
+  try {
+    // The fewest validators in the range, so that samples are never far enough apart for the sweep to go round
+    validatorCount = await fetchValidatorCount(fetchBeaconJson, startSlot);
+  } catch (error) {
+    signal?.throwIfAborted();
+    log.warn(`Could not count the validators (${error.message}); scanning every slot for withdrawals.`);
+    return null;
+  }
+  // The most slots two samples can be apart while the sweep cannot go all the way round between them
+  const safeSpan = Math.floor((validatorCount - 1) / MAX_VALIDATORS_PER_SWEEP);
+  if (safeSpan < 1) {
+    log.info(`With ${validatorCount} validators, a single block can sweep them all; scanning every slot for withdrawals.`);
+    return null;
+  }
+  const step = Math.min(sampleInterval, safeSpan);
+  if (step < sampleInterval) {
+    log.info(`Sampling the withdrawal sweep every ${step} slots rather than ${sampleInterval}, as with ${validatorCount} validators it could go all the way round in between.`);
+  }
+
+  /**
+   * Returns the first block with withdrawals in [from, to] (searching backwards if from > to), or null.
+   * Missed slots and blocks without withdrawals tell nothing about the sweep position, so they are skipped.
+   */
+  async function sweepBlock(from, to) {
+    const stride = from <= to ? 1 : -1;
+    for (let slot = from; stride > 0 ? slot <= to : slot >= to; slot += stride) {
+      signal?.throwIfAborted();
+      const record = await getRecord(slot);
+      visited.add(slot);
+      if (record.sweep) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  // Sample the sweep position across the range; the first and last samples bound all withdrawals in it
+  let first;
+  let last;
+  try {
+    first = await sweepBlock(startSlot, endSlot);
+    if (!first) {
+      return [...visited];
+    }
+    last = await sweepBlock(endSlot, first.slot);
+  } catch (error) {
+    signal?.throwIfAborted();
+    log.warn(`Could not locate the withdrawal sweep (${error.message}); scanning every slot for withdrawals.`);
+    return null;
+  }
+  const sampleSlots = [];
+  for (let slot = first.slot + step; slot < last.slot; slot += step) {
+    sampleSlots.push(slot);
+  }
+  const samples = [first];
+  for (const sample of await runBatched(sampleSlots, slot => sweepBlock(slot, last.slot), concurrency, signal)) {
+    // A sample that could not be fetched is left out, which only lengthens the interval around it
+    if (sample && !sample.error && sample.slot > samples[samples.length - 1].slot && sample.slot < last.slot) {
+      samples.push(sample);
+    }
+  }
+  if (last.slot !== first.slot) {
+    samples.push(last);
+  }
+
+  // Within each interval between consecutive samples, binary search for each validator the sweep passed
+  const intervals = samples.slice(1).map((upper, i) => [samples[i], upper]);
+  const searched = await runBatched(intervals, async ([lower, upper]) => {
+    if (upper.slot - lower.slot > safeSpan) {
+      fullStretches.push([lower.slot + 1, upper.slot - 1]);
+      return;
+    }
+    const base = lower.sweep[1];
+    const key = index => (index <= base ? index + WRAP_OFFSET : index) - base; // Distance the sweep went past `base`
+    const upperKey = key(upper.sweep[1]);
+
+    for (const index of indicesSet) {
+      const target = key(index);
+      if (target > upperKey) {
+        continue; // The sweep did not reach this validator in this interval
+      }
+      // Find the first block whose last withdrawal is at or past the validator; its withdrawal (if it had one
+      // this cycle) is in that block. Invariant: the answer is `best` or lies strictly between `lo` and `hi`.
+      let lo = lower.slot;
+      let hi = upper.slot;
+      let best = upper.slot;
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        const probe = await sweepBlock(mid, best);
+        if (key(probe.sweep[1]) >= target) {
+          best = probe.slot;
+          hi = mid;
+        } else {
+          lo = probe.slot;
+        }
+      }
+    }
+  }, concurrency, signal);
+  searched.forEach((outcome, i) => {
+    if (outcome?.error) {
+      const [lower, upper] = intervals[i];
+      log.warn(`Could not search slots ${lower.slot} to ${upper.slot} for withdrawals (${outcome.error.message}); scanning them all.`);
+      fullStretches.push([lower.slot + 1, upper.slot - 1]);
+    }
+  });
+
+  return [...visited, ...fullStretches.flatMap(([from, to]) => slotsBetween(from, to))];
+}
+
+/**
+ * Finds the slots in a range in which any of the tracked validators was paid, i.e. the slots it proposed and
+ * the slots holding its withdrawals. The result may include a few extra slots that were fetched along the way.
+ * @param {Object} params - Parameters.
+ * @param {number} params.startSlot - First slot of the range (inclusive).
+ * @param {number} params.endSlot - Last slot of the range (inclusive).
+ * @param {Set<number>} params.indicesSet - The tracked validator indices.
+ * @param {Function} params.getRecord - Async function (slot) => decoded slot record with `sweep` (see
+ *        `./slot-cache.js`), fetching and caching the block as needed; throws if it cannot be fetched.
+ * @param {Function} params.fetchBeaconJson - Async function (path) => parsed JSON from the beacon API; throws an
+ *        Error with a `status` property on HTTP errors. Also used to count the validators.
+ * @param {number} params.slotsPerEpoch - Slots per epoch.
+ * @param {number} params.sampleInterval - Slots between withdrawal sweep samples.
+ * @param {number} params.concurrency - Maximum number of concurrent requests.
+ * @param {AbortSignal} [params.signal] - Stops the search when aborted (between requests, including during
+ *        binary searches); the promise then rejects with the signal's reason.
+ * @returns {Promise<number[]|null>} The relevant slots, sorted; or null if every slot of the range has to be
+ *          scanned, as the withdrawal sweep cannot be followed by sampling (see the file header).
+ */
+export async function findRelevantSlots(params) {
+  const proposalSlots = await findProposalSlots(params);
+  log.info(`Found ${proposalSlots.length} proposal slots; locating withdrawals...`);
+  const withdrawalSlots = await findWithdrawalSlots(params);
+  if (withdrawalSlots === null) {
+    return null;
+  }
+  return [...new Set([...proposalSlots, ...withdrawalSlots])].sort((a, b) => a - b);
+}
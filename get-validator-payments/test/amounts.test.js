@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Exact amount handling (see `../amounts.js`): wei stays exact however large, and PLS strings
+ * carry every significant decimal and nothing more.
+ *
+ * Run via: npm test (node's built-in test runner).
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { GWEI_PER_PLS, formatPls, formatPlsTotals, gweiToWei } from '../amounts.js';
+
+test('gwei amounts convert to wei exactly, from strings, numbers and BigInts', () => {
+  assert.equal(gweiToWei('2000000'), 2000000000000000n);
+  assert.equal(gweiToWei(32000000000), 32000000000000000000n);
+  assert.equal(gweiToWei(GWEI_PER_PLS), 10n ** 18n);
+});
+
+test('whole PLS amounts have no decimal point', () => {
+  assert.deepEqual(formatPls(0n), { wei: '0', pls: '0', plsFloat: 0 });
+  assert.deepEqual(formatPls(32n * 10n ** 18n), { wei: '32000000000000000000', pls: '32', plsFloat: 32 });
+});
+
+test('fractions keep every significant digit down to one wei, without trailing zeros', () => {
+  assert.equal(formatPls(1n).pls, '0.000000000000000001');
+  assert.equal(formatPls(2000000000000000n).pls, '0.002');
+  assert.equal(formatPls(1234567890123456789n).pls, '1.234567890123456789');
+});
+
+test('amounts beyond float precision stay exact in wei and PLS; only plsFloat rounds', () => {
+  const wei = 123456789012345678901234567890n;
+  const amount = formatPls(wei);
+  assert.equal(amount.wei, '123456789012345678901234567890');
+  assert.equal(amount.pls, '123456789012.34567890123456789');
+  assert.equal(amount.plsFloat, 123456789012.34567);
+});
+
+test('negative amounts keep their sign on the whole and the fraction', () => {
+  assert.deepEqual(formatPls(-1500000000000000000n), { wei: '-1500000000000000000', pls: '-1.5', plsFloat: -1.5 });
+  assert.equal(formatPls(-1n).pls, '-0.000000000000000001');
+});
+
+test('totals are formatted per key', () => {
+  assert.deepEqual(formatPlsTotals({ '0xabc': 10n ** 18n, '0xdef': 5n * 10n ** 17n }), {
+    '0xabc': { wei: '1000000000000000000', pls: '1', plsFloat: 1 },
+    '0xdef': { wei: '500000000000000000', pls: '0.5', plsFloat: 0.5 }
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Cancelling a scan against the mock node (see `../../mock-node/`) with an AbortSignal: its requests
+ * in flight are aborted, and it rejects with the signal's reason rather than reporting what it could not fetch.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { getValidatorPayments } from '../fetch-validator-payments.js';
+import { logger, startMockNode } from './mock-chain.js';
+
+/**
+ * Wraps fetch so that requests to matching URLs hang until their signal is aborted, aborting a controller as
+ * soon as the first of them is made.
+ * @param {RegExp} pattern - The URLs to hang.
+ * @param {AbortController} controller - The controller to abort.
+ * @returns {Function} The fetch implementation.
+ */
+function hangingFetch(pattern, controller) {
+  return (url, options) => {
+    if (!pattern.test(String(url))) {
+      return globalThis.fetch(url, options);
+    }
+    setImmediate(() => controller.abort(new Error('cancelled')));
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(options.signal.reason));
+    });
+  };
+}
+
+describe('cancelling a scan', () => {
+  let node;
+  before(async () => {
+    node = await startMockNode({});
+  });
+  after(() => node.server.close());
+
+  test('aborts the requests in flight', async () => {
+    const controller = new AbortController();
+    const fetch = hangingFetch(/\/beacon\/blocks\/30$/, controller);
+    const started = Date.now();
+    await assert.rejects(getValidatorPayments(['8'], '2024-01-01', '2024-01-02', { config: node.config, useCache: false, signal: controller.signal, logger, fetch }), /cancelled/);
+    // Not after the request timeout, nor after retries
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  test('stops looking up validators, rather than listing them as failed', async () => {
+    const controller = new AbortController();
+    const fetch = hangingFetch(/\/validators\/8$/, controller);
+    await assert.rejects(getValidatorPayments(['8', '9'], '2024-01-01', '2024-01-02', { config: node.config, useCache: false, signal: controller.signal, logger, fetch }), /cancelled/);
+  });
+
+  test('stops the fast mode search between requests', async () => {
+    // A network large enough to sample the withdrawal sweep; the scan is cancelled while locating withdrawals
+    const large = await startMockNode({ validatorCount: 40000 });
+    try {
+      const controller = new AbortController();
+      const requested = [];
+      const fetch = (url, options) => {
+        if (/\/beacon\/blocks\/\d+$/.test(String(url))) {
+          requested.push(String(url));
+          if (requested.length === 1) {
+            controller.abort(new Error('cancelled'));
+          }
+        }
+        return globalThis.fetch(url, options);
+      };
+      await assert.rejects(getValidatorPayments(['100'], '2024-01-01', '2024-01-02', { config: large.config, mode: 'fast', useCache: false, signal: controller.signal, logger, fetch }), /cancelled/);
+      assert.equal(requested.length, 1);
+    } finally {
+      large.server.close();
+    }
+  });
+});
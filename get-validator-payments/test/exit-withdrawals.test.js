@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Exit withdrawals (see `../fetch-validator-payments.js`): how withdrawals are classified, and how
+ * they are split into returned principal and income against the validator's earlier ones.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { depositGweiFor, getValidatorPayments, paymentsInRecord, replayExitWithdrawals } from '../fetch-validator-payments.js';
+import { withLogger } from '../../shared/logger.js';
+import { logger, startMockNode } from './mock-chain.js';
+
+const SLOTS_PER_EPOCH = 32;
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Builds a decoded slot record (see `../slot-cache.js`) holding the given withdrawals.
+ * @param {number} slot - The slot.
+ * @param {Array} [withdrawals=[]] - The withdrawals, as `[validatorIndex, address, amountGwei]`.
+ * @returns {Object} The record.
+ */
+function slotRecord(slot, withdrawals = []) {
+  return { slot, proposer: 999, block_number: 17000000 + slot, fee_recipient: ADDRESS, withdrawals };
+}
+
+test('the history search stops at the exit withdrawal settling a slashed validator\'s principal', async () => {
+  // Validator 1 was slashed, withdrawable from slot 0, and paid out 16 of its 32 PLS at slot 100; a late
+  // leftover comes in the scanned range, tens of thousands of slots later
+  const validators = { 1: { withdrawableEpoch: 0, slashed: true, principalOutstandingGwei: 32000000000n } };
+  const history = new Map([[100, slotRecord(100, [[1, ADDRESS, '16000000000']])]]);
+  const fetched = [];
+  const payments = [];
+  await withLogger(logger, () => replayExitWithdrawals({
+    validators,
+    indices: [1],
+    records: [slotRecord(50000, [[1, ADDRESS, '1000000']])],
+    historyEndSlot: 49999,
+    getRecord: async slot => {
+      fetched.push(slot);
+      return history.get(slot) ?? slotRecord(slot);
+    },
+    // Without a validator count, the slot finder scans every slot of the history window
+    fetchBeaconJson: async () => {
+      throw new Error('not served');
+    },
+    config: { slots_per_epoch: SLOTS_PER_EPOCH, sweep_sample_slots: 64, concurrency: 8 },
+    apply: record => payments.push(...paymentsInRecord(record, validators, new Set(), SLOTS_PER_EPOCH))
+  }));
+
+  // One window of history, not all of it up to the range
+  assert.ok(Math.max(...fetched) < 256 * SLOTS_PER_EPOCH);
+  assert.equal(validators[1].principalOutstandingGwei, 0n);
+  assert.deepEqual(payments.map(({ slot, type, income, principal }) => ({ slot, type, income, principal })), [
+    { slot: 50000, type: 'slashed_exit', income: 1000000000000000n, principal: 0n }
+  ]);
+});
+
+test('the deposit comes from the spec, and a spec that failed to load is told apart from one without it', () => {
+  assert.equal(depositGweiFor({ max_effective_balance: null }, 32000000000n), 32000000000n);
+  assert.equal(depositGweiFor({ max_effective_balance: 32 }, null), 32000000000n);
+  assert.throws(() => depositGweiFor({ max_effective_balance: 16 }, 32000000000n), /correct or remove the setting/);
+  assert.throws(() => depositGweiFor({ max_effective_balance: null }, null), /does not report MAX_EFFECTIVE_BALANCE/);
+  assert.throws(() => depositGweiFor({ max_effective_balance: null }, null, 'HTTP error! Status: 503'), /Could not read MAX_EFFECTIVE_BALANCE .*503.*try again/);
+});
+
+/**
+ * Scans the mock chain's first 61 slots, in which the sweep skims validator 100 at slot 6 and pays out the
+ * exited validators 950 and 951 (slashed) at slot 60.
+ * @param {Object} config - Settings pointing at the mock node.
+ * @returns {Promise<Object.<number, Object>>} The result's validator entries by index.
+ */
+async function scanExits(config) {
+  const result = await getValidatorPayments(['100', '950', '951'], '2024-01-01', '2024-01-02', { config, useCache: false, logger });
+  return Object.fromEntries(result.validators.map(validator => [validator.index, validator]));
+}
+
+describe('exit withdrawals of a balance above the deposit', () => {
+  let node;
+  before(async () => {
+    node = await startMockNode({ exitedValidators: [950, 951], slashedValidators: [951], withdrawableEpoch: 1, exitBalanceGwei: 32500000000 });
+  });
+  after(() => node.server.close());
+
+  test('skims are income; exits return the deposit as principal and the rest as income', async () => {
+    const validators = await scanExits(node.config);
+    assert.deepEqual(validators[100].withdrawalTypes, { skim: 1, full_exit: 0, slashed_exit: 0 });
+    assert.equal(validators[100].consensus.pls, '0.002');
+    assert.equal(validators[100].principal.pls, '0');
+    assert.equal(validators[100].exitShortfall, null);
+
+    assert.deepEqual(validators[950].withdrawalTypes, { skim: 0, full_exit: 1, slashed_exit: 0 });
+    assert.equal(validators[950].principal.pls, '32');
+    assert.equal(validators[950].consensus.pls, '0.5');
+    assert.equal(validators[950].exitShortfall.pls, '0');
+    assert.equal(validators[950].slashingPenalty, null);
+
+    assert.deepEqual(validators[951].withdrawalTypes, { skim: 0, full_exit: 0, slashed_exit: 1 });
+    assert.equal(validators[951].principal.pls, '32');
+    assert.equal(validators[951].slashingPenalty.pls, '0');
+  });
+});
+
+describe('exit withdrawals of a balance below the deposit', () => {
+  let node;
+  before(async () => {
+    node = await startMockNode({ exitedValidators: [950, 951], slashedValidators: [951], withdrawableEpoch: 1, exitBalanceGwei: 31000000000 });
+  });
+  after(() => node.server.close());
+
+  test('the balance is all principal, and the rest of the deposit is a shortfall or slashing penalty', async () => {
+    const validators = await scanExits(node.config);
+    assert.equal(validators[950].principal.pls, '31');
+    assert.equal(validators[950].consensus.pls, '0');
+    assert.equal(validators[950].exitShortfall.pls, '1');
+
+    assert.equal(validators[951].slashed, true);
+    assert.equal(validators[951].principal.pls, '31');
+    assert.equal(validators[951].consensus.pls, '0');
+    assert.equal(validators[951].slashingPenalty.pls, '1');
+    assert.equal(validators[951].exitShortfall, null);
+  });
+});
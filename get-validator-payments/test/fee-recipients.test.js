@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Execution layer payments for proposals (see `../fetch-validator-payments.js`): how a builder-built
+ * block is told from a locally built one, and how proposals paying an unexpected fee recipient are reported.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { expectedFeeRecipientsFor, getValidatorPayments, paymentsInRecord } from '../fetch-validator-payments.js';
+import { logger, startMockNode } from './mock-chain.js';
+
+const SLOTS_PER_EPOCH = 32;
+const WITHDRAWAL_ADDRESS = '0x1111111111111111111111111111111111111111';
+const OWN_FEE_RECIPIENT = '0x3333333333333333333333333333333333333333';
+const BUILDER = '0xb0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0';
+const OTHER = '0xabababababababababababababababababababab';
+
+/**
+ * Builds a decoded slot record (see `../slot-cache.js`) of a block validator 7 proposed.
+ * @param {string} feeRecipient - The block's fee recipient.
+ * @param {Array|null} proposerPayment - The transfer ending the block from the fee recipient, as `[to, wei]`.
+ * @returns {Object} The record.
+ */
+function proposal(feeRecipient, proposerPayment) {
+  return { slot: 100, proposer: 7, block_number: 17000100, fee_recipient: feeRecipient, withdrawals: [], priority_fees_wei: '1000', proposer_payment: proposerPayment };
+}
+
+/**
+ * Works out the execution layer payment of validator 7's proposal.
+ * @param {Object} record - The decoded slot record (see proposal).
+ * @param {string[]} [feeRecipients] - The expected fee recipients, if given.
+ * @param {Object} [portfolioEntry] - Validator 7's portfolio entry, if any.
+ * @returns {Object} The payment's `{ type, address, income }`.
+ */
+function proposalPayment(record, feeRecipients, portfolioEntry) {
+  const validators = { 7: { withdrawAddress: WITHDRAWAL_ADDRESS, portfolioEntry, withdrawableEpoch: Infinity, principalOutstandingGwei: 32000000000n } };
+  const [{ type, address, income }] = paymentsInRecord(record, validators, expectedFeeRecipientsFor(validators, feeRecipients), SLOTS_PER_EPOCH);
+  return { type, address, income };
+}
+
+describe('builder-built blocks', () => {
+  test('a block paying a builder and ending in its transfer to the proposer is builder-built', () => {
+    assert.deepEqual(proposalPayment(proposal(BUILDER, [WITHDRAWAL_ADDRESS, '5000'])), { type: 'builder_payment', address: WITHDRAWAL_ADDRESS, income: 5000n });
+    assert.deepEqual(proposalPayment(proposal(BUILDER, [WITHDRAWAL_ADDRESS, '5000']), [OTHER]), { type: 'builder_payment', address: WITHDRAWAL_ADDRESS, income: 5000n });
+  });
+
+  test('a block paying the validator\'s own address is locally built, whatever transfer ends it', () => {
+    // Its withdrawal address, even when the expected fee recipients are given and do not include it
+    assert.deepEqual(proposalPayment(proposal(WITHDRAWAL_ADDRESS, [OTHER, '5000']), [OTHER]), { type: 'priority_fees', address: WITHDRAWAL_ADDRESS, income: 1000n });
+    // Its portfolio fee recipient
+    assert.deepEqual(proposalPayment(proposal(OWN_FEE_RECIPIENT, [WITHDRAWAL_ADDRESS, '5000']), undefined, { feeRecipient: OWN_FEE_RECIPIENT }), { type: 'priority_fees', address: OWN_FEE_RECIPIENT, income: 1000n });
+    // One of the expected fee recipients
+    assert.deepEqual(proposalPayment(proposal(OTHER, [WITHDRAWAL_ADDRESS, '5000']), [OTHER]), { type: 'priority_fees', address: OTHER, income: 1000n });
+  });
+
+  test('a block paying another address without a transfer ending it is locally built', () => {
+    assert.deepEqual(proposalPayment(proposal(BUILDER, null)), { type: 'priority_fees', address: BUILDER, income: 1000n });
+  });
+});
+
+describe('fee recipient mismatches', () => {
+  let node;
+  before(async () => {
+    node = await startMockNode({});
+  });
+  after(() => node.server.close());
+
+  /**
+   * Scans the proposals of validators 8 (the tips of slot 8) and 9 (the builder-built slot 9).
+   * @param {string[]} [feeRecipients] - The expected fee recipients, if given.
+   * @returns {Promise<Object>} The result.
+   */
+  function scan(feeRecipients) {
+    return getValidatorPayments(['8', '9'], '2024-01-01', '2024-01-02', { config: node.config, useCache: false, logger, feeRecipients });
+  }
+
+  test('proposals paying the withdrawal addresses are not reported', async () => {
+    const result = await scan();
+    assert.deepEqual(result.feeRecipients, {
+      expected: [WITHDRAWAL_ADDRESS, '0x2222222222222222222222222222222222222222'],
+      mismatches: []
+    });
+    assert.deepEqual(result.validators.map(validator => [validator.index, validator.proposals, validator.builderBlocks, validator.priorityFees.pls, validator.builderPayments.pls]), [
+      [8, 1, 0, '0.000105', '0'],
+      [9, 1, 1, '0', '0.05']
+    ]);
+  });
+
+  test('proposals paying anything but the given fee recipients are reported, and still counted', async () => {
+    const result = await scan([OTHER]);
+    assert.deepEqual(result.feeRecipients.expected, [OTHER]);
+    assert.deepEqual(result.feeRecipients.mismatches.map(({ validatorIndex, address, proposals, firstSlot, lastSlot, amount }) => ({ validatorIndex, address, proposals, firstSlot, lastSlot, amount: amount.wei })), [
+      { validatorIndex: 8, address: WITHDRAWAL_ADDRESS, proposals: 1, firstSlot: 8, lastSlot: 8, amount: '105000000000000' },
+      { validatorIndex: 9, address: '0x2222222222222222222222222222222222222222', proposals: 1, firstSlot: 9, lastSlot: 9, amount: '50000000000000000' }
+    ]);
+    assert.deepEqual(result.validators.map(validator => validator.execution.pls), ['0.000105', '0.05']);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Ledger export (see `../ledger.js`) of the payments of a scan against the mock node (see
+ * `../../mock-node/`): income and returned principal in separate rows, priced or unpriced, in every format.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { getValidatorPayments } from '../fetch-validator-payments.js';
+import { buildLedgerRows, formatLedger, priceLedgerRows } from '../ledger.js';
+import { withLogger } from '../../shared/logger.js';
+import { logger, startMockNode } from './mock-chain.js';
+
+// 0.5 EUR per PLS, except at genesis, where there is no price
+const priceSource = {
+  name: 'test prices',
+  currency: 'EUR',
+  async priceAt({ slot }) {
+    return slot === 0 ? null : 0.5;
+  }
+};
+
+describe('ledger export', () => {
+  let node;
+  let rows;
+  before(async () => {
+    // Validator 8 is skimmed and proposes slot 8 (tips), 9 proposes the builder-built slot 9, and 950 exits with
+    // 32.5 PLS at slot 60
+    node = await startMockNode({ exitedValidators: [950], withdrawableEpoch: 1, exitBalanceGwei: 32500000000 });
+    const result = await getValidatorPayments(['8', '9', '950'], '2024-01-01', '2024-01-02', { config: node.config, events: true, useCache: false, logger });
+    rows = buildLedgerRows(result.events);
+    assert.equal(await withLogger(logger, () => priceLedgerRows(rows, priceSource)), 2);
+  });
+  after(() => node.server.close());
+
+  test('every payment is a row, with an exit split into principal and income', () => {
+    assert.deepEqual(rows.map(row => [row.slot, row.validatorIndex, row.type, row.category, row.amount.pls, row.price, row.value]), [
+      [0, 8, 'skim', 'income', '0.002', null, null],
+      [0, 9, 'skim', 'income', '0.002', null, null],
+      [8, 8, 'priority_fees', 'income', '0.000105', 0.5, 0.000053],
+      [9, 9, 'builder_payment', 'income', '0.05', 0.5, 0.025],
+      [60, 950, 'full_exit', 'principal', '32', 0.5, 16],
+      [60, 950, 'full_exit', 'income', '0.5', 0.5, 0.25]
+    ]);
+  });
+
+  test('csv rows carry every field', () => {
+    const lines = formatLedger(rows, 'csv', 'EUR').trim().split('\n');
+    assert.equal(lines[0], 'timestamp,slot,block_number,validator_index,recipient_address,type,category,amount_pls,amount_wei,price_eur,value_eur');
+    assert.equal(lines[1], '2024-01-01T23:50:00.000Z,0,17000000,8,0x1111111111111111111111111111111111111111,skim,income,0.002,2000000000000000,,');
+    assert.equal(lines[5], '2024-01-02T00:00:00.000Z,60,17000059,950,0x1111111111111111111111111111111111111111,full_exit,principal,32,32000000000000000000,0.5,16');
+    assert.equal(lines.length, 7);
+  });
+
+  test('koinly rows label income as staking and leave principal unlabelled', () => {
+    const lines = formatLedger(rows, 'koinly', 'EUR').trim().split('\n');
+    assert.equal(lines[0], 'Date,Sent Amount,Sent Currency,Received Amount,Received Currency,Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash');
+    assert.equal(lines[1], '2024-01-01 23:50:00 UTC,,,0.002,PLS,,,,,staking,"Consensus layer reward skim, validator 8, slot 0",');
+    assert.equal(lines[4], '2024-01-01 23:51:30 UTC,,,0.05,PLS,,,0.025,EUR,staking,"Execution layer builder/MEV payment (block proposal), validator 9, slot 9",');
+    assert.equal(lines[5], '2024-01-02 00:00:00 UTC,,,32,PLS,,,16,EUR,,"Consensus layer full exit (principal returned), validator 950, slot 60",');
+  });
+
+  test('cointracking rows are Staking or Deposit, with an ID unique per row', () => {
+    const lines = formatLedger(rows, 'cointracking', 'EUR').trim().split('\n');
+    assert.equal(lines[0], 'Type,Buy Amount,Buy Currency,Sell Amount,Sell Currency,Fee,Fee Currency,Exchange,Trade-Group,Comment,Date,Tx-ID,Buy Value in EUR');
+    assert.equal(lines[3], 'Staking,0.000105,PLS,,,,,0x1111111111111111111111111111111111111111,PulseChain validators,"Execution layer priority fees (block proposal), validator 8, slot 8",2024-01-01 23:51:20,pls-8-8-priority_fees-income,0.000053');
+    assert.equal(lines[5], 'Deposit,32,PLS,,,,,0x1111111111111111111111111111111111111111,PulseChain validators,"Consensus layer full exit (principal returned), validator 950, slot 60",2024-01-02 00:00:00,pls-60-950-full_exit-principal,16');
+    assert.equal(new Set(lines.map(line => line.split(',').at(-2))).size, lines.length);
+  });
+
+  test('an unknown format is rejected', () => {
+    assert.throws(() => formatLedger(rows, 'xlsx'), /Invalid ledger format "xlsx"/);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Shared set-up of the tests that scan the mock node (see `../../mock-node/`): its genesis time,
+ * a silent logger, and starting it on a free local port.
+ */
+
+import { createMockNode } from '../../mock-node/mock-node.js';
+import { createConsoleLogger } from '../../shared/logger.js';
+
+// The chain starts ten minutes before 2024-01-02, so the range 2024-01-01 to 2024-01-02 is its first 61 slots
+export const GENESIS_TIME = Date.parse('2024-01-01T23:50:00Z') / 1000;
+
+export const logger = createConsoleLogger({ level: 'silent' });
+
+/**
+ * Starts a mock node on a free local port.
+ * @param {Object} chain - Synthetic chain parameters (see `../../mock-node/chain.js`).
+ * @returns {Promise<{server: Object, config: Object}>} The listening server, and settings pointing at it.
+ */
+export async function startMockNode(chain) {
+  const server = createMockNode({ chain: { genesisTime: GENESIS_TIME, ...chain } });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    server,
+    config: { beacon_urls: [`${base}/beacon-api`], rpc_urls: [base], explorer_api_url: `${base}/api`, concurrency: 8 }
+  };
+}
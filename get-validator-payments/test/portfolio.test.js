@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Reading portfolio files (see `../../shared/portfolio.js`): YAML nulls and empty values, and IDs and
+ * addresses kept as written.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { parse as parseYaml } from 'yaml';
+import { loadPortfolio } from '../../shared/portfolio.js';
+
+const PUBKEY = `0x00${'ab'.repeat(47)}`;
+const ADDRESS = `0x00${'11'.repeat(19)}`;
+
+describe('YAML portfolios', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  /**
+   * Loads a YAML portfolio.
+   * @param {string} text - The file's content.
+   * @returns {Object} The portfolio (see loadPortfolio).
+   */
+  function load(text) {
+    const file = path.join(dir, 'portfolio.yaml');
+    fs.writeFileSync(file, text);
+    return loadPortfolio(file, { parseYaml });
+  }
+
+  test('empty and null values mean none', () => {
+    const portfolio = load([
+      'groups:',
+      'validators:',
+      '  - id: 12345',
+      '    label:',
+      '    group: ~',
+      '    fee_recipient: null'
+    ].join('\n'));
+    assert.deepEqual(portfolio, {
+      groups: {},
+      validators: [{ id: '12345', label: null, group: null, withdrawalAddress: null, feeRecipient: null }]
+    });
+  });
+
+  test('a group with no settings is a group without addresses', () => {
+    const portfolio = load([
+      'groups:',
+      '  acme:',
+      '  beta: ~',
+      'validators:',
+      '  - id: 1',
+      '    group: acme'
+    ].join('\n'));
+    assert.deepEqual(portfolio.groups, {
+      acme: { name: 'acme', withdrawalAddress: null, feeRecipient: null },
+      beta: { name: 'beta', withdrawalAddress: null, feeRecipient: null }
+    });
+  });
+
+  test('IDs and addresses keep their spelling, and other numbers are read as text', () => {
+    const portfolio = load([
+      'validators:',
+      '  - id: 007',
+      '    label: 2024',
+      '    group: 5',
+      `  - id: ${PUBKEY.toUpperCase().replace('0X', '0x')}`,
+      `    withdrawal_address: ${ADDRESS}`,
+      '  - id: "42"'
+    ].join('\n'));
+    assert.deepEqual(portfolio.validators, [
+      { id: '7', label: '2024', group: '5', withdrawalAddress: null, feeRecipient: null },
+      { id: PUBKEY, label: null, group: null, withdrawalAddress: ADDRESS, feeRecipient: null },
+      { id: '42', label: null, group: null, withdrawalAddress: null, feeRecipient: null }
+    ]);
+  });
+
+  test('a validator without an ID is reported', () => {
+    assert.throws(() => load('validators:\n  - id:\n    label: x\n'), /validators\[0\]: "id" must be a validator index or 48-byte public key, got null/);
+  });
+});
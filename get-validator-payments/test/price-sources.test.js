@@ -0,0 +1,44 @@
+/**
+ * @fileoverview The CSV price source (see `../price-sources.js`): the latest price at or before a payment
+ * values it, unless it is older than the maximum age.
+ *
+ * Run via: npm test (node's built-in test runner).
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { createCsvPriceSource } from '../price-sources.js';
+import { withLogger } from '../../shared/logger.js';
+import { logger } from './mock-chain.js';
+
+describe('CSV price source', () => {
+  let dir;
+  let file;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-sources-'));
+    file = path.join(dir, 'prices.csv');
+    // A header, daily prices with 2024-01-03 missing, and a line that cannot be read
+    fs.writeFileSync(file, 'date,price\n2024-01-01,0.0001\n2024-01-02,0.0002\n2024-01-04,0.0004\nnot a date,1\n');
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('the latest price at or before the payment values it', async () => {
+    const source = withLogger(logger, () => createCsvPriceSource(file));
+    assert.equal(await source.priceAt({ timestamp: '2024-01-02T00:00:00.000Z' }), 0.0002);
+    assert.equal(await source.priceAt({ timestamp: '2024-01-02T23:59:59.000Z' }), 0.0002);
+    // Over a missing day, within the default 48 hours
+    assert.equal(await source.priceAt({ timestamp: '2024-01-03T12:00:00.000Z' }), 0.0002);
+    assert.equal(await source.priceAt({ timestamp: '2023-12-31T23:59:59.000Z' }), null);
+  });
+
+  test('payments with no price inside the maximum age are unpriced', async () => {
+    const source = withLogger(logger, () => createCsvPriceSource(file, { maxAgeHours: 24 }));
+    assert.equal(await source.priceAt({ timestamp: '2024-01-02T23:59:59.000Z' }), 0.0002);
+    assert.equal(await source.priceAt({ timestamp: '2024-01-03T12:00:00.000Z' }), null);
+    // Long after the file ends
+    assert.equal(await withLogger(logger, () => createCsvPriceSource(file)).priceAt({ timestamp: '2024-02-01T00:00:00.000Z' }), null);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Scripted scans against the mock node (see `../../mock-node/`): the fast, full and verify scan
+ * modes must agree, and a recorded run must replay to the same result with the node gone.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { getValidatorPayments } from '../fetch-validator-payments.js';
+import { logger, startMockNode } from './mock-chain.js';
+
+const START_DATE = '2024-01-01';
+const END_DATE = '2024-01-02';
+const IDS = ['5', '100', '500', '39999'];
+
+/**
+ * Scans the test range.
+ * @param {Object} config - Settings (see `../../shared/config.js`).
+ * @param {string} mode - Scan mode (see getValidatorPayments).
+ * @returns {Promise<Object>} The result.
+ */
+function scan(config, mode) {
+  return getValidatorPayments(IDS, START_DATE, END_DATE, { config, mode, useCache: false, logger });
+}
+
+describe('scan modes on a network large enough to sample the withdrawal sweep', () => {
+  let node;
+  before(async () => {
+    node = await startMockNode({ validatorCount: 40000 });
+  });
+  after(() => node.server.close());
+
+  test('fast and full scans agree, and verify reports it', async () => {
+    const fast = await scan(node.config, 'fast');
+    const full = await scan(node.config, 'full');
+    assert.deepEqual({ ...fast, integrity: undefined }, { ...full, integrity: undefined });
+    assert.equal(full.integrity.complete, true);
+
+    // Each tracked validator the sweep reached in the range was paid one skim; 39999 was not reached
+    const withdrawals = Object.fromEntries(full.validators.map(validator => [validator.index, validator.withdrawals]));
+    assert.deepEqual(withdrawals, { 5: 1, 100: 1, 500: 1, 39999: 0 });
+
+    const verified = await scan(node.config, 'verify');
+    assert.equal(verified.verification.matches, true);
+    assert.deepEqual(verified.verification.differences, []);
+  });
+
+  test('verify matches validators by index, and reports one only a single scan found', async () => {
+    // The first lookup of validator 100 (the fast scan's) fails, leaving it out of the fast result
+    let failed = false;
+    const fetch = (url, options) => {
+      if (!failed && String(url).endsWith('/validators/100')) {
+        failed = true;
+        return Promise.resolve(new Response('{"code":404,"message":"Not found"}', { status: 404 }));
+      }
+      return globalThis.fetch(url, options);
+    };
+    const verified = await getValidatorPayments(IDS, START_DATE, END_DATE, { config: node.config, mode: 'verify', useCache: false, logger, fetch });
+    assert.equal(verified.verification.matches, false);
+    assert.deepEqual(verified.verification.differences.filter(difference => difference.field.startsWith('validators.')), [
+      { field: 'validators.100', fast: 'missing', full: 'present' }
+    ]);
+  });
+
+  test('a recorded scan replays to the same result without the node', async () => {
+    const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-modes-'));
+    try {
+      const recorded = await scan({ ...node.config, transport: 'record', fixture_dir: fixtureDir }, 'fast');
+      // Endpoints nothing listens on: every answer has to come from the fixtures
+      const offline = { ...node.config, beacon_urls: ['http://127.0.0.1:9/beacon-api'], rpc_urls: ['http://127.0.0.1:9'] };
+      const replayed = await scan({ ...offline, transport: 'replay', fixture_dir: fixtureDir }, 'fast');
+      assert.deepEqual(replayed, recorded);
+    } finally {
+      fs.rmSync(fixtureDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('scan modes on a network small enough for one block to sweep it all', () => {
+  let node;
+  before(async () => {
+    node = await startMockNode({ validatorCount: 2000 });
+  });
+  after(() => node.server.close());
+
+  test('fast mode falls back to scanning every slot, and agrees with the full scan', async () => {
+    const fast = await scan(node.config, 'fast');
+    assert.equal(fast.integrity.scannedSlots, 61);
+    const verified = await scan(node.config, 'verify');
+    assert.equal(verified.verification.matches, true);
+  });
+});
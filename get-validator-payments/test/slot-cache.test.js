@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Scans with the slot cache against the mock node (see `../../mock-node/`): a re-run must be
+ * answered from the cache without appending anything, including the earlier slots it needs beyond its range.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { getValidatorPayments } from '../fetch-validator-payments.js';
+import { logger, startMockNode } from './mock-chain.js';
+
+/**
+ * Counts the lines of every shard file under a cache directory.
+ * @param {string} cacheDir - The cache directory.
+ * @returns {Object.<string, number>} Line counts by shard file path.
+ */
+function shardLineCounts(cacheDir) {
+  const counts = {};
+  for (const file of fs.readdirSync(cacheDir, { recursive: true })) {
+    if (file.endsWith('.jsonl')) {
+      counts[file] = fs.readFileSync(path.join(cacheDir, file), 'utf8').split('\n').filter(Boolean).length;
+    }
+  }
+  return counts;
+}
+
+describe('slot cache', () => {
+  let node;
+  let cacheDir;
+  before(async () => {
+    // Validator 950 is withdrawable from epoch 1 (slot 32) on, and the sweep pays it out at slot 60
+    node = await startMockNode({ exitedValidators: [950], withdrawableEpoch: 1 });
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slot-cache-'));
+  });
+  after(() => {
+    node.server.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('a re-run reads its range and the exit history from the cache without growing the shards', async () => {
+    const config = { ...node.config, cache_dir: cacheDir };
+    // The range is slot 60 alone: splitting its exit withdrawal takes the slots since the validator became
+    // withdrawable, before the range
+    const scan = () => getValidatorPayments(['950'], '2024-01-02', '2024-01-02', { config, useCache: true, logger });
+    const first = await scan();
+    assert.equal(first.validators[0].withdrawalTypes.full_exit, 1);
+    const counts = shardLineCounts(cacheDir);
+    assert.ok(Object.values(counts).reduce((sum, count) => sum + count, 0) > 1);
+
+    const second = await scan();
+    assert.deepEqual(shardLineCounts(cacheDir), counts);
+    assert.deepEqual(second, first);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview The slot finder (see `../slot-finder.js`) against the mock node (see `../../mock-node/`) on a
+ * network whose validator count grows during the scanned range.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { getValidatorPayments } from '../fetch-validator-payments.js';
+import { fetchValidatorCount } from '../slot-finder.js';
+import { createApiClient } from '../../shared/api-client.js';
+import { resolveConfig } from '../../shared/config.js';
+import { logger, startMockNode } from './mock-chain.js';
+
+describe('slot finder on a growing validator set', () => {
+  let node;
+  before(async () => {
+    // 32769 validators at the start of the range, 65537 from epoch 1 (slot 32) on. Each block moves the sweep
+    // on by the most a real one can (16384), so samples spaced for the grown count (4 slots) would let it go
+    // all the way round the validators of the range's first epoch unnoticed
+    node = await startMockNode({ validatorCount: 32769, addedValidators: 32768, additionEpoch: 1, withdrawalsPerBlock: 16384 });
+  });
+  after(() => node.server.close());
+
+  test('the validator count is read at the given slot, not at the finalized state', async () => {
+    const { fetchBeaconJson } = createApiClient(resolveConfig(node.config));
+    assert.equal(await fetchValidatorCount(fetchBeaconJson, 0), 32769);
+    assert.equal(await fetchValidatorCount(fetchBeaconJson, 32), 65537);
+  });
+
+  test('fast and full scans agree across the growth', async () => {
+    // 30000 is paid at every pass of the sweep; 40010 and 65000 only join at slot 32
+    const scan = mode => getValidatorPayments(['30000', '40010', '65000'], '2024-01-01', '2024-01-02', { config: node.config, mode, useCache: false, logger });
+    const fast = await scan('fast');
+    const full = await scan('full');
+    assert.deepEqual({ ...fast, integrity: undefined }, { ...full, integrity: undefined });
+    const withdrawals = Object.fromEntries(full.validators.map(validator => [validator.index, validator.withdrawals]));
+    assert.deepEqual(withdrawals, { 30000: 23, 40010: 7, 65000: 7 });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Validator status report (see `../validator-status.js`) against the mock node (see
+ * `../../mock-node/`): cancelling it, where it reads the sync committee from, and portfolio labels.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { getValidatorStatus } from '../validator-status.js';
+import { normalizePortfolio } from '../../shared/portfolio.js';
+import { logger, startMockNode } from './mock-chain.js';
+
+describe('validator status', () => {
+  let node;
+  before(async () => {
+    node = await startMockNode({});
+  });
+  after(() => node.server.close());
+
+  test('an aborted report stops between batches of epochs', async () => {
+    // Abort once the first batch of attestation rewards has been asked for
+    const controller = new AbortController();
+    const requested = [];
+    const fetch = (url, options) => {
+      if (String(url).includes('/rewards/attestations/')) {
+        requested.push(String(url));
+        controller.abort(new Error('cancelled'));
+      }
+      return globalThis.fetch(url, options);
+    };
+    const config = { ...node.config, concurrency: 1 };
+    await assert.rejects(getValidatorStatus(['8'], '2024-01-01', '2024-01-02', { config, signal: controller.signal, logger, fetch }), /cancelled/);
+    assert.equal(requested.length, 1);
+  });
+
+  test('the sync committee is read from the state at the start of the epoch, or else from the head state', async () => {
+    // The node keeps no state for epoch 0
+    const requested = [];
+    const fetch = (url, options) => {
+      const { pathname, search } = new URL(String(url));
+      if (pathname.endsWith('/sync_committees')) {
+        requested.push(pathname.replace(/^.*\/states\//, '') + search);
+        if (pathname.includes('/states/0/')) {
+          return Promise.resolve(new Response('{"code":404,"message":"State not found"}', { status: 404 }));
+        }
+      }
+      return globalThis.fetch(url, options);
+    };
+    const status = await getValidatorStatus(['8'], '2024-01-01', '2024-01-02', { config: node.config, useCache: false, logger, fetch });
+    assert.deepEqual(requested, ['0/sync_committees?epoch=0', 'head/sync_committees?epoch=0']);
+    assert.equal(status.integrity.failedEpochs.length, 0);
+  });
+
+  test('validators are labelled and grouped as in the portfolio', async () => {
+    const portfolio = normalizePortfolio({ validators: [{ id: '8', label: 'node-1', group: 'acme' }, { id: '9' }] });
+    const status = await getValidatorStatus(['8', '9'], '2024-01-01', '2024-01-02', { config: node.config, useCache: false, portfolio, logger });
+    assert.deepEqual(status.validators.map(({ index, label, group }) => ({ index, label, group })), [
+      { index: 8, label: 'node-1', group: 'acme' },
+      { index: 9, label: null, group: null }
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Follow-head daemon (see `../watch.js`) against the mock node (see `../../mock-node/`), which
+ * serves no event stream: the daemon catches up on the finalized slots and then keeps trying to reconnect.
+ *
+ * Run via: npm test (node's built-in test runner; no network access needed).
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, afterEach, describe, test } from 'node:test';
+import { watchValidators } from '../watch.js';
+import { createJsonLogger } from '../../shared/logger.js';
+import { normalizePortfolio } from '../../shared/portfolio.js';
+import { GENESIS_TIME, startMockNode } from './mock-chain.js';
+
+/**
+ * Creates a logger that calls back on every warning.
+ * @param {Function} onWarn - Called with each warning's message.
+ * @returns {Object} The logger.
+ */
+function warningLogger(onWarn) {
+  return createJsonLogger({ level: 'warn', write: line => onWarn(JSON.parse(line).msg) });
+}
+
+describe('watch daemon', () => {
+  let node;
+  let dir;
+  before(async () => {
+    node = await startMockNode({});
+  });
+  after(() => node.server.close());
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('stopping it cuts short the wait before reconnecting the event stream', async () => {
+    const controller = new AbortController();
+    let abortedAt = null;
+    const logger = warningLogger(message => {
+      if (message.startsWith('Event stream interrupted') && abortedAt === null) {
+        abortedAt = Date.now();
+        controller.abort();
+      }
+    });
+    const state = await watchValidators(['8'], { config: node.config, stateFile: path.join(dir, 'state.json'), notify: async () => {}, signal: controller.signal, logger });
+    assert.ok(Date.now() - abortedAt < 1000);
+    assert.equal(state.validators[8].proposals, 0);
+  });
+
+  test('a notification still being delivered does not hold up counting the finalized slots', async () => {
+    // Resume from a state file 20 slots behind the finalized slot (two epochs behind the head), watching the
+    // proposer of one of those slots (each slot's proposer is the slot number modulo the 2000 validators)
+    const finalizedSlot = Math.floor((Date.now() / 1000 - GENESIS_TIME) / 10) - 64;
+    let proposalSlot = finalizedSlot - 10;
+    if (proposalSlot % 50 === 49) {
+      proposalSlot--; // No block in it
+    }
+    const stateFile = path.join(dir, 'state.json');
+    fs.writeFileSync(stateFile, JSON.stringify({
+      version: 1,
+      genesisTime: GENESIS_TIME,
+      sinceSlot: finalizedSlot - 19,
+      finalizedSlot: finalizedSlot - 20,
+      totals: { consensus: {}, principal: {}, execution: {} },
+      validators: {}
+    }));
+
+    // The first notification is held until the daemon has caught up and gone on to the event stream
+    let release;
+    const held = new Promise(resolve => {
+      release = resolve;
+    });
+    const notified = [];
+    const controller = new AbortController();
+    let pendingAtCatchUp = null;
+    const logger = warningLogger(message => {
+      if (message.startsWith('Event stream interrupted') && pendingAtCatchUp === null) {
+        pendingAtCatchUp = notified.length;
+        controller.abort();
+        release();
+      }
+    });
+    const notify = async notification => {
+      notified.push(notification);
+      if (notified.length === 1) {
+        await held;
+      }
+    };
+    const id = String(proposalSlot % 2000);
+    const portfolio = normalizePortfolio({ validators: [{ id, label: 'node-1', group: 'acme' }] });
+    const state = await watchValidators([id], { config: node.config, stateFile, notify, portfolio, signal: controller.signal, logger });
+
+    assert.equal(pendingAtCatchUp, 1);
+    assert.ok(state.finalizedSlot >= proposalSlot);
+    assert.equal(state.validators[id].proposals, 1);
+    // Named by its portfolio label
+    const proposal = notified.find(notification => notification.type === 'payment' && notification.slot === proposalSlot);
+    assert.deepEqual([proposal.label, proposal.group, proposal.expectedAddress], ['node-1', 'acme', true]);
+    assert.match(proposal.message, new RegExp(`^Validator ${id} \\(node-1\\) was paid`));
+  });
+});
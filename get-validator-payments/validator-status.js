@@ -0,0 +1,413 @@
+/**
+ * @fileoverview Validator performance and health report ("status") for the validator payments calculator.
+ *
+ * For each validator, getValidatorStatus reports:
+ *
+ * - Its current state: status (e.g. 'active_ongoing'), balance and effective balance, from
+ *   `/eth/v1/beacon/states/{state}/validators/{id}`.
+ * - Proposals in the date range: the slots it was assigned (`/eth/v1/validator/duties/proposer/{epoch}`),
+ *   and which of them have no block (missed). Beacon nodes that only serve duties for recent epochs leave
+ *   older epochs unknown; they are listed in the integrity section.
+ * - Attestation rewards and penalties per component (head, target, source, inactivity), summed over the epochs
+ *   in the range (`/eth/v1/beacon/rewards/attestations/{epoch}`), the epochs its attestation was missed or late
+ *   (a source penalty), and its effectiveness: the head, target and source rewards earned as a share of the
+ *   ideal rewards for its current effective balance.
+ * - Sync committee participation, for the sync committee periods it was a member of: the slots in which it
+ *   signed (positive reward) versus missed (`/eth/v1/beacon/rewards/sync_committee/{slot}`, one request per
+ *   slot of such a period).
+ * - Its income in the range (consensus rewards plus execution payments, not returned principal), as computed
+ *   by getValidatorPayments, and the annualised yield that income represents on its deposit.
+ *
+ * Validators falling short of the thresholds below are flagged, and listed in `underperforming`.
+ *
+ * Rewards are only served for epochs whose state the beacon node still has; for ranges older than its
+ * pruning window, use an archive beacon node. Costs two requests per epoch (duties and attestation rewards),
+ * plus one per proposal and per slot of sync committee membership, plus the payments scan (by default in the
+ * fast mode).
+ */
+
+import fetch from 'node-fetch';
+import { depositGweiFor, getValidatorPayments } from './fetch-validator-payments.js';
+import { formatPls, gweiToWei } from './amounts.js';
+import { runBatched } from './slot-finder.js';
+import { loadConfig, resolveConfig } from '../shared/config.js';
+import { createApiClient, currentSignal, withSignal } from '../shared/api-client.js';
+import { log, withLogger } from '../shared/logger.js';
+import { portfolioEntryOf } from '../shared/portfolio.js';
+
+// Epochs per sync committee period (as on Ethereum; PulseChain did not change it)
+const EPOCHS_PER_SYNC_COMMITTEE_PERIOD = 256;
+
+// Seconds per (Julian) year, for annualising yields
+const SECONDS_PER_YEAR = 365.25 * 24 * 3600;
+
+// Below these, a validator is flagged as underperforming
+const THRESHOLDS = {
+  attestationEffectiveness: 0.9,
+  syncParticipation: 0.9
+};
+
+// Attestation reward components summed per validator (`inclusion_delay` only exists before Altair)
+const ATTESTATION_COMPONENTS = ['head', 'target', 'source', 'inclusion_delay', 'inactivity'];
+
+/**
+ * Sums an attestation reward entry's head, target and source rewards.
+ * @param {Object} rewards - A `total_rewards` or `ideal_rewards` entry (gwei as decimal strings).
+ * @returns {bigint} The sum in gwei.
+ */
+function dutyRewards(rewards) {
+  return BigInt(rewards.head) + BigInt(rewards.target) + BigInt(rewards.source);
+}
+
+/**
+ * Works out the flags of a validator's report entry (see getValidatorStatus).
+ * @param {Object} entry - The report entry.
+ * @param {bigint} maxEffectiveBalanceGwei - The maximum effective balance, in gwei.
+ * @returns {string[]} The flags; empty if the validator is performing well.
+ */
+function flagsFor(entry, maxEffectiveBalanceGwei) {
+  const flags = [];
+  if (entry.status !== 'active_ongoing') {
+    flags.push('not_active');
+  }
+  if (BigInt(entry.effectiveBalance.wei) < gweiToWei(maxEffectiveBalanceGwei)) {
+    flags.push('low_effective_balance');
+  }
+  if (entry.proposals.missed > 0) {
+    flags.push('missed_proposals');
+  }
+  if (entry.attestations.effectiveness !== null && entry.attestations.effectiveness < THRESHOLDS.attestationEffectiveness) {
+    flags.push('low_attestation_effectiveness');
+  }
+  if (BigInt(entry.attestations.rewards.wei) < 0n) {
+    flags.push('net_attestation_penalties');
+  }
+  if (entry.syncCommittee.participation !== null && entry.syncCommittee.participation < THRESHOLDS.syncParticipation) {
+    flags.push('low_sync_participation');
+  }
+  return flags;
+}
+
+/**
+ * Fetches the members of the sync committee of an epoch. It is read from the state at the epoch's first slot,
+ * which beacon nodes store (states within an epoch are replayed from it) and serve even when that slot has no
+ * block; failing that, from the head state, which knows the committees of the current and next periods.
+ * @param {Object} api - The API client (see `../shared/api-client.js`).
+ * @param {number} epoch - The epoch.
+ * @param {number} slotsPerEpoch - Slots per epoch.
+ * @returns {Promise<string[]>} The committee's validator indices (with repeats, as in the committee).
+ * @throws {Error} The epoch-start state's error, if neither state serves the committee.
+ */
+async function fetchSyncCommittee(api, epoch, slotsPerEpoch) {
+  try {
+    const { data } = await api.fetchBeaconJson(`/eth/v1/beacon/states/${epoch * slotsPerEpoch}/sync_committees?epoch=${epoch}`);
+    return data.validators;
+  } catch (error) {
+    try {
+      const { data } = await api.fetchBeaconJson(`/eth/v1/beacon/states/head/sync_committees?epoch=${epoch}`);
+      return data.validators;
+    } catch {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Reports the performance and health of validators over a date range (see the file header).
+ * @param {string[]} ids - Validator public keys or indices.
+ * @param {string} startDate - Start date (YYYY-MM-DD, inclusive).
+ * @param {string} endDate - End date (YYYY-MM-DD, exclusive).
+ * @param {Object} [options={}] - Options.
+ * @param {Object} [options.config] - Settings as for getValidatorPayments; read from config.json and `PVA_*`
+ *        environment variables if not given.
+ * @param {string} [options.state='head'] - The beacon state to read the current status and balances at.
+ * @param {string} [options.mode='fast'] - Scan mode of the payments scan for the income (see getValidatorPayments).
+ * @param {boolean} [options.useCache=true] - Whether the payments scan uses the slot cache.
+ * @param {Object} [options.portfolio] - The portfolio the validators belong to, passed on to the payments scan
+ *        (see getValidatorPayments); each validator's report then also has its `label` and `group`.
+ * @param {AbortSignal} [options.signal] - Cancels the report when aborted (checked between validators, between
+ *        batches of epochs and slots, and during the payments scan), aborting its requests in flight (see
+ *        withSignal in `../shared/api-client.js`); the promise then rejects with the signal's reason.
+ * @param {Function} [options.onProgress] - Progress callback of the payments scan (see getValidatorPayments).
+ * @param {Object} [options.logger] - Logger for this call's messages (see getValidatorPayments).
+ * @param {Function} [options.fetch] - The fetch implementation for all requests (see getValidatorPayments).
+ * @returns {Promise<Object>} The report:
+ *          - range: `{ startDate, endDate, startSlot, endSlot, startEpoch, endEpoch }`.
+ *          - validators: per validator, in index order: `index`, `pubkey`, `status`, `balance`,
+ *            `effectiveBalance`, `slashed`; `proposals` (`{ assigned, made, missed, missedSlots }`);
+ *            `attestations` (`{ epochs, missedEpochs, rewards, penalties, components, effectiveness }`, where
+ *            `rewards` is the net total, `penalties` the sum of the negative components and `components` the
+ *            total per component); `syncCommittee` (`{ duties, participated, missed, participation, rewards }`,
+ *            participation null if it was not a member); `income`, `annualisedYieldPercent`; `label` and
+ *            `group` (with a portfolio); and `flags` (see flagsFor), empty if it performs well.
+ *          - underperforming: the indices of the validators with flags.
+ *          - integrity: `{ complete, failedValidators, failedEpochs, failedSlots, unknownDutyEpochs,
+ *            paymentsComplete }`; anything listed there is missing from the counts.
+ *          Amounts are Amounts as in getValidatorPayments (negative for net penalties).
+ */
+export async function getValidatorStatus(ids, startDate, endDate, options = {}) {
+  if (options.logger) {
+    return withLogger(options.logger, () => getValidatorStatus(ids, startDate, endDate, { ...options, logger: undefined }));
+  }
+  if (options.signal && currentSignal() !== options.signal) {
+    return withSignal(options.signal, () => getValidatorStatus(ids, startDate, endDate, options));
+  }
+  const { state = 'head', mode = 'fast', useCache = true, portfolio, signal, onProgress, fetch: fetchImpl = fetch } = options;
+  const config = options.config ? resolveConfig(options.config) : loadConfig();
+  const api = createApiClient(config, { fetch: fetchImpl });
+  const slotsPerEpoch = config.slots_per_epoch;
+
+  const startTs = Math.floor(new Date(startDate + 'T00:00:00Z').getTime() / 1000);
+  const endTs = Math.floor(new Date(endDate + 'T00:00:00Z').getTime() / 1000);
+  if (isNaN(startTs) || isNaN(endTs)) {
+    throw new Error('Invalid date format provided.');
+  }
+  const { genesisTime, maxEffectiveBalanceGwei: specMaxEffectiveBalanceGwei, specError } = await api.verifyNetwork({ rpc: false });
+  const maxEffectiveBalanceGwei = depositGweiFor(config, specMaxEffectiveBalanceGwei, specError);
+  const startSlot = Math.max(0, Math.ceil((startTs - genesisTime) / config.slot_interval_seconds));
+  const endSlot = Math.floor((endTs - genesisTime) / config.slot_interval_seconds);
+  if (startSlot > endSlot) {
+    throw new Error('Start slot is greater than end slot.');
+  }
+  const startEpoch = Math.floor(startSlot / slotsPerEpoch);
+  const endEpoch = Math.floor(endSlot / slotsPerEpoch);
+
+  const failedValidators = [];
+  const failedEpochs = [];
+  const failedSlots = [];
+  const unknownDutyEpochs = [];
+
+  // Current state of each validator
+  const validators = new Map();
+  for (const id of ids) {
+    signal?.throwIfAborted();
+    try {
+      const { data } = await api.fetchBeaconJson(`/eth/v1/beacon/states/${state}/validators/${id}`);
+      validators.set(parseInt(data.index), {
+        pubkey: data.validator.pubkey,
+        status: data.status,
+        balanceGwei: BigInt(data.balance),
+        effectiveBalanceGwei: BigInt(data.validator.effective_balance),
+        slashed: data.validator.slashed,
+        proposals: { assigned: 0, made: 0, missed: 0, missedSlots: [] },
+        attestations: { epochs: 0, missedEpochs: 0, components: Object.fromEntries(ATTESTATION_COMPONENTS.map(component => [component, 0n])), earned: 0n, ideal: 0n },
+        syncCommittee: { duties: 0, participated: 0, missed: 0, rewardGwei: 0n }
+      });
+    } catch (error) {
+      log.error(`Error fetching validator ${id}: ${error.message}`);
+      failedValidators.push({ id, error: error.message });
+    }
+  }
+  if (validators.size === 0) {
+    throw new Error('No valid validators found.');
+  }
+  const indices = [...validators.keys()].sort((a, b) => a - b);
+
+  const epochs = [];
+  for (let epoch = startEpoch; epoch <= endEpoch; epoch++) {
+    epochs.push(epoch);
+  }
+
+  // Proposals: assigned duties in the range, and whether each produced a block
+  log.info(`Checking proposer duties in ${epochs.length} epochs...`);
+  const dutySlots = (await runBatched(epochs, async epoch => {
+    try {
+      const { data } = await api.fetchBeaconJson(`/eth/v1/validator/duties/proposer/${epoch}`);
+      return data
+        .map(duty => ({ slot: parseInt(duty.slot), index: parseInt(duty.validator_index) }))
+        .filter(duty => duty.slot >= startSlot && duty.slot <= endSlot && validators.has(duty.index));
+    } catch (error) {
+      // Without duties a missed proposal leaves no trace, so the epoch's proposals are unknown
+      unknownDutyEpochs.push(epoch);
+      return [];
+    }
+  }, config.concurrency, signal)).flat();
+
+  await runBatched(dutySlots, async ({ slot, index }) => {
+    const proposals = validators.get(index).proposals;
+    try {
+      await api.fetchBeaconJson(`/eth/v1/beacon/headers/${slot}`);
+      proposals.assigned++;
+      proposals.made++;
+    } catch (error) {
+      if (error.status !== 404) {
+        failedSlots.push({ slot, kind: 'proposal', error: error.message });
+        return;
+      }
+      proposals.assigned++;
+      proposals.missed++;
+      proposals.missedSlots.push(slot);
+    }
+  }, config.concurrency, signal);
+
+  // Attestation rewards and penalties, per epoch
+  log.info(`Fetching attestation rewards for ${epochs.length} epochs...`);
+  await runBatched(epochs, async epoch => {
+    let data;
+    try {
+      ({ data } = await api.postBeaconJson(`/eth/v1/beacon/rewards/attestations/${epoch}`, indices.map(String)));
+    } catch (error) {
+      failedEpochs.push({ epoch, kind: 'attestation_rewards', error: error.message });
+      return;
+    }
+    const idealByBalance = new Map(data.ideal_rewards.map(ideal => [BigInt(ideal.effective_balance), ideal]));
+    const highestIdeal = data.ideal_rewards.reduce((best, ideal) => (!best || BigInt(ideal.effective_balance) > BigInt(best.effective_balance) ? ideal : best), null);
+    for (const rewards of data.total_rewards) {
+      const validator = validators.get(parseInt(rewards.validator_index));
+      if (!validator) {
+        continue;
+      }
+      const attestations = validator.attestations;
+      attestations.epochs++;
+      for (const component of ATTESTATION_COMPONENTS) {
+        attestations.components[component] += BigInt(rewards[component] ?? 0);
+      }
+      // A missing or late attestation always costs the source reward
+      if (BigInt(rewards.source) < 0n) {
+        attestations.missedEpochs++;
+      }
+      // The effective balance at the epoch is not known here; the current one is the best approximation
+      const ideal = idealByBalance.get(validator.effectiveBalanceGwei) || highestIdeal;
+      if (ideal) {
+        attestations.earned += dutyRewards(rewards);
+        attestations.ideal += dutyRewards(ideal);
+      }
+    }
+  }, config.concurrency, signal);
+
+  // Sync committee participation, for the periods with one of our validators on the committee
+  const firstPeriod = Math.floor(startEpoch / EPOCHS_PER_SYNC_COMMITTEE_PERIOD);
+  const lastPeriod = Math.floor(endEpoch / EPOCHS_PER_SYNC_COMMITTEE_PERIOD);
+  for (let period = firstPeriod; period <= lastPeriod; period++) {
+    signal?.throwIfAborted();
+    const periodStartSlot = Math.max(startSlot, period * EPOCHS_PER_SYNC_COMMITTEE_PERIOD * slotsPerEpoch);
+    const periodEndSlot = Math.min(endSlot, (period + 1) * EPOCHS_PER_SYNC_COMMITTEE_PERIOD * slotsPerEpoch - 1);
+    const periodStartEpoch = Math.floor(periodStartSlot / slotsPerEpoch);
+    let members;
+    try {
+      const committee = await fetchSyncCommittee(api, periodStartEpoch, slotsPerEpoch);
+      members = [...new Set(committee.map(index => parseInt(index)))].filter(index => validators.has(index));
+    } catch (error) {
+      failedEpochs.push({ epoch: periodStartEpoch, kind: 'sync_committee', error: error.message });
+      continue;
+    }
+    if (members.length === 0) {
+      continue;
+    }
+    log.info(`Validator(s) ${members.join(', ')} on the sync committee in slots ${periodStartSlot} to ${periodEndSlot}; checking participation...`);
+    const slots = [];
+    for (let slot = periodStartSlot; slot <= periodEndSlot; slot++) {
+      slots.push(slot);
+    }
+    await runBatched(slots, async slot => {
+      let data;
+      try {
+        ({ data } = await api.postBeaconJson(`/eth/v1/beacon/rewards/sync_committee/${slot}`, members.map(String)));
+      } catch (error) {
+        if (error.status !== 404) {
+          failedSlots.push({ slot, kind: 'sync_committee_rewards', error: error.message });
+        }
+        return; // No block in this slot, so nothing to sign
+      }
+      for (const { validator_index: index, reward } of data) {
+        const sync = validators.get(parseInt(index)).syncCommittee;
+        sync.duties++;
+        sync.rewardGwei += BigInt(reward);
+        if (BigInt(reward) > 0n) {
+          sync.participated++;
+        } else {
+          sync.missed++;
+        }
+      }
+    }, config.concurrency, signal);
+  }
+
+  // Income and yield, from the payments scan
+  let payments = null;
+  signal?.throwIfAborted();
+  try {
+    payments = await getValidatorPayments(indices.map(String), startDate, endDate, { config, mode, useCache, portfolio, signal, onProgress, fetch: fetchImpl });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    log.warn(`Could not compute income; yields are unknown: ${error.message}`);
+  }
+  const incomeByIndex = new Map((payments?.validators || []).map(summary => [summary.index, {
+    income: BigInt(summary.consensus.wei) + BigInt(summary.execution.wei),
+    deposit: BigInt(summary.depositedPrincipal.wei)
+  }]));
+  const rangeSeconds = (endSlot - startSlot + 1) * config.slot_interval_seconds;
+
+  const report = indices.map(index => {
+    const validator = validators.get(index);
+    const { attestations, syncCommittee } = validator;
+    const attestationNet = Object.values(attestations.components).reduce((sum, amount) => sum + amount, 0n);
+    const attestationPenalties = Object.values(attestations.components).reduce((sum, amount) => sum + (amount < 0n ? amount : 0n), 0n);
+    const income = incomeByIndex.get(index);
+    const entry = {
+      index,
+      pubkey: validator.pubkey,
+      status: validator.status,
+      balance: formatPls(gweiToWei(validator.balanceGwei)),
+      effectiveBalance: formatPls(gweiToWei(validator.effectiveBalanceGwei)),
+      slashed: validator.slashed,
+      proposals: { ...validator.proposals, missedSlots: validator.proposals.missedSlots.sort((a, b) => a - b) },
+      attestations: {
+        epochs: attestations.epochs,
+        missedEpochs: attestations.missedEpochs,
+        rewards: formatPls(gweiToWei(attestationNet)),
+        penalties: formatPls(gweiToWei(attestationPenalties)),
+        components: Object.fromEntries(Object.entries(attestations.components).map(([component, amount]) => [component, formatPls(gweiToWei(amount))])),
+        effectiveness: attestations.ideal > 0n ? Number(attestations.earned * 10000n / attestations.ideal) / 10000 : null
+      },
+      syncCommittee: {
+        duties: syncCommittee.duties,
+        participated: syncCommittee.participated,
+        missed: syncCommittee.missed,
+        participation: syncCommittee.duties > 0 ? syncCommittee.participated / syncCommittee.duties : null,
+        rewards: formatPls(gweiToWei(syncCommittee.rewardGwei))
+      },
+      income: income ? formatPls(income.income) : null,
+      // Income over the deposit, scaled from the range to a year (simple, not compounded)
+      annualisedYieldPercent: income && income.deposit > 0n
+        ? Number(income.income * 1000000n / income.deposit) / 10000 * (SECONDS_PER_YEAR / rangeSeconds)
+        : null
+    };
+    if (portfolio) {
+      const portfolioEntry = portfolioEntryOf(portfolio, index, validator.pubkey);
+      entry.label = portfolioEntry?.label ?? null;
+      entry.group = portfolioEntry?.group ?? null;
+    }
+    entry.flags = flagsFor(entry, maxEffectiveBalanceGwei);
+    return entry;
+  });
+
+  const underperforming = report.filter(entry => entry.flags.length > 0).map(entry => entry.index);
+  for (const entry of report) {
+    const yieldText = entry.annualisedYieldPercent === null ? 'unknown' : `${entry.annualisedYieldPercent.toFixed(2)}%`;
+    log.info(`Validator ${entry.index}${entry.label ? ` (${entry.label})` : ''}: ${entry.status}, balance ${entry.balance.pls} PLS, proposals ${entry.proposals.made}/${entry.proposals.assigned}, attestation effectiveness ${entry.attestations.effectiveness ?? 'unknown'}, annualised yield ${yieldText}${entry.flags.length ? ` -- ${entry.flags.join(', ')}` : ''}`);
+  }
+  if (underperforming.length > 0) {
+    log.warn(`WARNING: ${underperforming.length} validator(s) underperforming: ${underperforming.join(', ')}`);
+  }
+
+  const integrity = {
+    complete: failedValidators.length === 0 && failedEpochs.length === 0 && failedSlots.length === 0 && unknownDutyEpochs.length === 0 && Boolean(payments?.integrity.complete),
+    failedValidators,
+    failedEpochs: failedEpochs.sort((a, b) => a.epoch - b.epoch),
+    failedSlots: failedSlots.sort((a, b) => a.slot - b.slot),
+    unknownDutyEpochs: unknownDutyEpochs.sort((a, b) => a - b),
+    paymentsComplete: payments ? payments.integrity.complete : false
+  };
+  if (!integrity.complete) {
+    log.warn('WARNING: the report is INCOMPLETE; see its "integrity" section.');
+  }
+
+  return {
+    range: { startDate, endDate, startSlot, endSlot, startEpoch, endEpoch },
+    validators: report,
+    underperforming,
+    integrity
+  };
+}
@@ -0,0 +1,593 @@
+/**
+ * @fileoverview Follow-head daemon mode for the validator payments calculator.
+ *
+ * Instead of re-scanning a date range, watchValidators subscribes to the beacon node's event stream
+ * (`/eth/v1/events?topics=head,block,finalized_checkpoint`) and processes every new block with the same
+ * withdrawal and proposal logic as the slot scan of getValidatorPayments (see paymentsInRecord), keeping
+ * running totals and sending notifications (see `./notifications.js`):
+ *
+ * - 'proposal': one of the validators proposed a block (sent at once, so not final yet).
+ * - 'payment': a withdrawal or proposal payment to one of the validators became final.
+ * - 'missed_proposal': a finalized slot assigned to one of the validators has no block from it.
+ * - 'exit': one of the validators was scheduled to exit (or slashed).
+ * - 'reorg': a block of one of the validators seen at the head did not make it into the finalized chain.
+ *
+ * Reorgs: blocks seen at the head are only held as pending. Totals are updated when their slots are finalized
+ * (every `finalized_checkpoint` event): each finalized slot's canonical block is compared with the pending one,
+ * and a pending block that was reorganized away is rolled back (reported, never counted) in favor of the
+ * canonical block. Pending payments are shown separately in the state.
+ *
+ * State: the totals, per-validator state and last finalized slot are saved to a JSON state file after every
+ * finalization. On restart, the daemon resumes from there, first catching up on the slots finalized while it
+ * was down; without a state file, it starts counting from the current finalized slot. The principal returned
+ * to validators that exited before they were watched is worked out from their earlier withdrawals (see
+ * replayExitWithdrawals in `./fetch-validator-payments.js`).
+ *
+ * The event stream is reconnected automatically (over the configured `beacon_urls`) when it drops or goes
+ * quiet; nothing is lost, as the finalized slots are always processed in full.
+ *
+ * Notifications are delivered in the background, one at a time and in order, so that a slow webhook or command
+ * never holds up following the chain; the daemon waits for the last of them before it stops.
+ */
+
+import fs from 'node:fs'; // Built-in Node.js module for file system operations
+import {
+  WITHDRAWAL_TYPES,
+  applyPortfolio,
+  depositGweiFor,
+  expectedFeeRecipientsFor,
+  fetchPaymentRecord,
+  lookupValidators,
+  paymentsInRecord,
+  replayExitWithdrawals
+} from './fetch-validator-payments.js';
+import { formatPls, formatPlsTotals } from './amounts.js';
+import { runBatched } from './slot-finder.js';
+import { loadConfig, resolveConfig } from '../shared/config.js';
+import { createApiClient, currentSignal, parseEpoch, retry, withSignal } from '../shared/api-client.js';
+import { log, withLogger } from '../shared/logger.js';
+import { createNotifier } from './notifications.js';
+import fetch from 'node-fetch';
+
+// Bump this whenever the meaning of a field in the state file changes
+const STATE_VERSION = 1;
+
+// Event stream topics subscribed to
+const TOPICS = ['head', 'block', 'finalized_checkpoint'];
+
+// Reconnect the event stream if it has been silent for this many slots (head events arrive every slot)
+const IDLE_SLOTS = 6;
+
+// Finalized slots processed (and saved) per chunk when catching up
+const CATCH_UP_CHUNK_SLOTS = 1000;
+
+// Per-validator counters kept in the state file (amounts in wei, principal outstanding in gwei)
+const COUNTERS = ['consensus', 'principal', 'execution', 'proposals', 'missedProposals', 'withdrawals'];
+
+/**
+ * Reads the server-sent events of a response body.
+ * @param {AsyncIterable} body - The response body (node-fetch streams it as chunks).
+ * @yields {{event: string, data: Object}} Each event, with its JSON data parsed.
+ */
+async function* readEvents(body) {
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += chunk.toString().replace(/\r\n/g, '\n');
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const raw = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = 'message';
+      let data = '';
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim();
+        }
+      }
+      if (data) {
+        yield { event, data: JSON.parse(data) };
+      }
+    }
+  }
+}
+
+/**
+ * Waits for a while, or until a signal is aborted, whichever comes first.
+ * @param {number} ms - How long to wait, in ms.
+ * @param {AbortSignal} [signal] - Cuts the wait short when aborted.
+ * @returns {Promise<void>} Resolves when the wait is over.
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Loads the state file, if there is one.
+ * @param {string} file - Path of the state file.
+ * @param {number} genesisTime - The beacon chain genesis time, to refuse another network's state.
+ * @returns {Object|null} The saved state, or null if there is none.
+ * @throws {Error} If the file is unreadable or belongs to another network.
+ */
+function loadState(file, genesisTime) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (state.version !== STATE_VERSION || state.genesisTime !== genesisTime) {
+    throw new Error(`State file ${file} is from another network or version; move it away to start afresh.`);
+  }
+  return state;
+}
+
+/**
+ * Saves the state file, replacing it atomically (a crash mid-write never leaves a truncated file).
+ * @param {string} file - Path of the state file.
+ * @param {Object} state - The state.
+ */
+function saveState(file, state) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Follows the chain head and keeps the validators' payment totals up to date, until stopped (see the file
+ * header).
+ * @param {string[]} ids - Validator public keys or indices.
+ * @param {Object} [options={}] - Options.
+ * @param {Object} [options.config] - Settings as for getValidatorPayments; read from config.json and `PVA_*`
+ *        environment variables if not given.
+ * @param {string[]} [options.feeRecipients] - The addresses proposals should pay to (see getValidatorPayments).
+ * @param {Object} [options.portfolio] - The portfolio the validators belong to (see getValidatorPayments): its
+ *        fee recipients are expected too, credentials not paying to its withdrawal addresses are warned about,
+ *        and notifications about its validators name them by label and carry their `label` and `group`.
+ * @param {string} [options.stateFile='watch-state.json'] - Path of the state file.
+ * @param {Function} [options.notify] - Notification sender (see createNotifier); by default notifications
+ *        are only logged. Called in the background (see the file header), once the previous call has settled.
+ * @param {AbortSignal} [options.signal] - Stops the daemon when aborted, aborting its requests in flight (see
+ *        withSignal in `../shared/api-client.js`); the state is saved first.
+ * @param {Object} [options.logger] - Logger for this call's messages (see getValidatorPayments).
+ * @param {Function} [options.fetch] - The fetch implementation for all requests (see getValidatorPayments). The
+ *        event stream is never recorded or replayed (see `../shared/transport.js`), so the daemon needs a live
+ *        transport.
+ * @returns {Promise<Object>} Resolves with the final state once stopped.
+ */
+export async function watchValidators(ids, options = {}) {
+  if (options.logger) {
+    return withLogger(options.logger, () => watchValidators(ids, { ...options, logger: undefined }));
+  }
+  if (options.signal && currentSignal() !== options.signal) {
+    return withSignal(options.signal, () => watchValidators(ids, options));
+  }
+  const { feeRecipients, portfolio, stateFile = 'watch-state.json', notify = createNotifier(), signal, fetch: fetchImpl = fetch } = options;
+  const config = options.config ? resolveConfig(options.config) : loadConfig();
+  const api = createApiClient(config, { fetch: fetchImpl });
+  const slotsPerEpoch = config.slots_per_epoch;
+  const invalidFeeRecipients = (feeRecipients || []).filter(address => !/^0x[0-9a-fA-F]{40}$/.test(address));
+  if (invalidFeeRecipients.length > 0) {
+    throw new Error(`Invalid fee recipient address(es): ${invalidFeeRecipients.join(', ')}`);
+  }
+  if (config.transport === 'replay') {
+    throw new Error('The watch daemon follows the live chain and cannot replay fixtures; use transport "live" or "record".');
+  }
+
+  const { genesisTime, maxEffectiveBalanceGwei, specError } = await api.verifyNetwork();
+  const depositGwei = depositGweiFor(config, maxEffectiveBalanceGwei, specError);
+  const { validators, indicesSet, failedValidators } = await lookupValidators(api, ids, depositGwei, signal);
+  if (indicesSet.size === 0) {
+    throw new Error('No valid validators found.');
+  }
+  if (failedValidators.length > 0) {
+    log.warn(`WARNING: not watching ${failedValidators.length} validator(s) that could not be looked up: ${failedValidators.map(failure => failure.id).join(', ')}`);
+  }
+  const expectedFeeRecipients = expectedFeeRecipientsFor(validators, feeRecipients);
+  if (portfolio) {
+    applyPortfolio(portfolio, validators, expectedFeeRecipients);
+  }
+  // How messages name a validator: its index, and its portfolio label if it has one
+  const named = index => (validators[index]?.portfolioEntry?.label ? `${index} (${validators[index].portfolioEntry.label})` : `${index}`);
+  const slotTime = slot => new Date((genesisTime + slot * config.slot_interval_seconds) * 1000).toISOString();
+
+  // Running totals by address (wei), restored from the state file if there is one
+  const totals = { consensus: {}, principal: {}, execution: {} };
+  for (const validator of Object.values(validators)) {
+    validator.missedProposals = 0;
+  }
+  const saved = loadState(stateFile, genesisTime);
+  let finalizedSlot;
+  let sinceSlot;
+  // Validators whose outstanding principal is restored from the state file
+  const restored = new Set();
+  if (saved) {
+    for (const layer of Object.keys(totals)) {
+      for (const [address, amount] of Object.entries(saved.totals[layer])) {
+        totals[layer][address] = BigInt(amount.wei);
+      }
+    }
+    for (const [index, savedValidator] of Object.entries(saved.validators)) {
+      const validator = validators[index];
+      if (!validator) {
+        continue; // No longer watched
+      }
+      for (const counter of COUNTERS) {
+        validator[counter] = typeof validator[counter] === 'bigint' ? BigInt(savedValidator[counter].wei) : savedValidator[counter];
+      }
+      validator.principalOutstandingGwei = BigInt(savedValidator.principalOutstandingGwei);
+      restored.add(Number(index));
+    }
+    ({ finalizedSlot, sinceSlot } = saved);
+    log.info(`Resuming from state file ${stateFile}: totals since slot ${sinceSlot}, finalized up to slot ${finalizedSlot}.`);
+  } else {
+    const { data } = await api.fetchBeaconJson('/eth/v1/beacon/headers/finalized');
+    finalizedSlot = parseInt(data.header.message.slot);
+    sinceSlot = finalizedSlot + 1;
+    log.info(`No state file ${stateFile}; counting payments from slot ${sinceSlot} on.`);
+  }
+  // For the others, the principal already returned is worked out from their withdrawals up to the finalized
+  // slot, so that a withdrawal after their exit is not taken for principal again
+  await replayExitWithdrawals({
+    validators,
+    indices: [...indicesSet].filter(index => !restored.has(index)),
+    historyEndSlot: finalizedSlot,
+    getRecord: slot => fetchPaymentRecord(config, slot, indicesSet, slot, fetchImpl),
+    fetchBeaconJson: api.fetchBeaconJson,
+    config,
+    signal
+  });
+
+  // Notifications still being delivered, in order: each waits for the one before it
+  let deliveries = Promise.resolve();
+
+  /**
+   * Queues a notification for delivery (see the file header), without waiting for it.
+   * @param {Object} notification - The notification (see createNotifier).
+   */
+  function send(notification) {
+    const entry = validators[notification.validatorIndex]?.portfolioEntry;
+    const sent = entry ? { ...notification, label: entry.label, group: entry.group } : notification;
+    deliveries = deliveries
+      .then(() => notify(sent))
+      .catch(error => log.warn(`Could not deliver a "${notification.type}" notification: ${error.message}`));
+  }
+
+  // Blocks seen at the head but not finalized yet, by slot: `{ root, record }`
+  const pending = new Map();
+  // Proposer duties of the validators, by slot, for the epochs fetched so far
+  const duties = new Map();
+  const dutyEpochs = new Set();
+
+  /**
+   * Returns a copy of the validators' classification state, so pending blocks can be classified without
+   * touching the real one.
+   * @returns {Object.<number, Object>} The copy.
+   */
+  const scratchValidators = () => Object.fromEntries(Object.entries(validators).map(([index, validator]) => [index, { ...validator }]));
+
+  /**
+   * Builds the state to save (and to return when stopped): totals, per-validator state and pending payments.
+   * @returns {Object} The state.
+   */
+  function snapshot() {
+    const scratch = scratchValidators();
+    const pendingTotals = { consensus: {}, principal: {}, execution: {} };
+    for (const slot of [...pending.keys()].sort((a, b) => a - b)) {
+      for (const payment of paymentsInRecord(pending.get(slot).record, scratch, expectedFeeRecipients, slotsPerEpoch)) {
+        const layer = WITHDRAWAL_TYPES.includes(payment.type) ? 'consensus' : 'execution';
+        pendingTotals[layer][payment.address] = (pendingTotals[layer][payment.address] || 0n) + payment.income;
+        if (payment.principal > 0n) {
+          pendingTotals.principal[payment.address] = (pendingTotals.principal[payment.address] || 0n) + payment.principal;
+        }
+      }
+    }
+    return {
+      version: STATE_VERSION,
+      genesisTime,
+      sinceSlot,
+      since: slotTime(sinceSlot),
+      finalizedSlot,
+      updatedAt: new Date().toISOString(),
+      totals: Object.fromEntries(Object.entries(totals).map(([layer, byAddress]) => [layer, formatPlsTotals(byAddress)])),
+      pending: {
+        slots: [...pending.keys()].sort((a, b) => a - b),
+        ...Object.fromEntries(Object.entries(pendingTotals).map(([layer, byAddress]) => [layer, formatPlsTotals(byAddress)]))
+      },
+      validators: Object.fromEntries(Object.entries(validators).map(([index, validator]) => [index, {
+        ...Object.fromEntries(COUNTERS.map(counter => [counter, typeof validator[counter] === 'bigint' ? formatPls(validator[counter]) : validator[counter]])),
+        principalOutstandingGwei: validator.principalOutstandingGwei.toString(),
+        status: validator.status,
+        slashed: validator.slashed,
+        exitEpoch: validator.exitEpoch
+      }]))
+    };
+  }
+
+  /**
+   * Fetches the proposer duties of an epoch, once.
+   * @param {number} epoch - The epoch.
+   */
+  async function ensureDuties(epoch) {
+    if (dutyEpochs.has(epoch)) {
+      return;
+    }
+    try {
+      const { data } = await api.fetchBeaconJson(`/eth/v1/validator/duties/proposer/${epoch}`);
+      for (const duty of data) {
+        if (indicesSet.has(parseInt(duty.validator_index))) {
+          duties.set(parseInt(duty.slot), parseInt(duty.validator_index));
+        }
+      }
+      dutyEpochs.add(epoch);
+    } catch (error) {
+      // A 4xx means the node will not serve the epoch (e.g. too old), so it is not asked again; other errors
+      // are retried on the next event. Either way, a missed proposal in the epoch goes unnoticed until then.
+      if (error.status >= 400 && error.status < 500) {
+        dutyEpochs.add(epoch);
+      }
+      log.warn(`Could not fetch proposer duties for epoch ${epoch}; missed proposals in it are not reported: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handles a new block at the head: holds it as pending, and announces proposals by the validators.
+   * @param {number} slot - The block's slot.
+   * @param {string} root - The block root.
+   */
+  async function onBlock(slot, root) {
+    if (slot <= finalizedSlot || pending.get(slot)?.root === root) {
+      return;
+    }
+    const replaced = pending.get(slot);
+    const record = await fetchPaymentRecord(config, slot, indicesSet, root, fetchImpl);
+    pending.set(slot, { root, record });
+    if (replaced && indicesSet.has(replaced.record.proposer)) {
+      send({ type: 'reorg', validatorIndex: replaced.record.proposer, slot, finalized: false, root: replaced.root, message: `Block ${replaced.root} of validator ${named(replaced.record.proposer)} at slot ${slot} was replaced by ${root} at the head.` });
+    }
+    if (indicesSet.has(record.proposer)) {
+      const [payment] = paymentsInRecord(record, scratchValidators(), expectedFeeRecipients, slotsPerEpoch).filter(p => !WITHDRAWAL_TYPES.includes(p.type));
+      send({
+        type: 'proposal',
+        validatorIndex: record.proposer,
+        slot,
+        finalized: false,
+        root,
+        blockNumber: record.block_number,
+        payment: payment ? { type: payment.type, address: payment.address, amount: formatPls(payment.income) } : null,
+        message: `Validator ${named(record.proposer)} proposed block ${record.block_number} at slot ${slot}${payment ? `, paying ${formatPls(payment.income).pls} PLS (${payment.type}) to ${payment.address}` : ''} (not final yet).`
+      });
+    }
+  }
+
+  /**
+   * Finds the canonical block of a finalized slot, reusing the pending one if it is the same block.
+   * @param {number} slot - The slot.
+   * @returns {Promise<{record: Object, rolledBack: Object|null}>} The slot's record, and the pending block that
+   *          lost out to it, if any.
+   */
+  async function canonicalRecord(slot) {
+    let root = null;
+    try {
+      ({ data: { root } } = await api.fetchBeaconJson(`/eth/v1/beacon/headers/${slot}`));
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+    const seen = pending.get(slot);
+    const rolledBack = seen && seen.root !== root ? seen : null;
+    if (root === null) {
+      return { record: { slot, missing: true }, rolledBack };
+    }
+    if (seen && seen.root === root) {
+      return { record: seen.record, rolledBack };
+    }
+    return { record: await fetchPaymentRecord(config, slot, indicesSet, root, fetchImpl), rolledBack };
+  }
+
+  /**
+   * Counts a finalized slot: its payments, and a missed proposal if one of the validators had the duty.
+   * @param {Object} record - The slot's canonical record.
+   * @param {Object|null} rolledBack - The pending block reorganized away in this slot, if any.
+   */
+  function commitSlot(record, rolledBack) {
+    const { slot } = record;
+    if (rolledBack && indicesSet.has(rolledBack.record.proposer)) {
+      send({ type: 'reorg', validatorIndex: rolledBack.record.proposer, slot, finalized: true, root: rolledBack.root, message: `Block ${rolledBack.root} of validator ${named(rolledBack.record.proposer)} at slot ${slot} was reorganized out of the chain; it is not counted.` });
+    }
+
+    for (const payment of paymentsInRecord(record, validators, expectedFeeRecipients, slotsPerEpoch)) {
+      const validator = validators[payment.validatorIndex];
+      const isWithdrawal = WITHDRAWAL_TYPES.includes(payment.type);
+      const layer = isWithdrawal ? 'consensus' : 'execution';
+      validator[layer] += payment.income;
+      totals[layer][payment.address] = (totals[layer][payment.address] || 0n) + payment.income;
+      if (payment.principal > 0n) {
+        validator.principal += payment.principal;
+        totals.principal[payment.address] = (totals.principal[payment.address] || 0n) + payment.principal;
+      }
+      if (isWithdrawal) {
+        validator.withdrawals++;
+      } else {
+        validator.proposals++;
+      }
+      const amount = formatPls(payment.income + payment.principal);
+      send({
+        type: 'payment',
+        validatorIndex: payment.validatorIndex,
+        slot,
+        finalized: true,
+        blockNumber: payment.blockNumber,
+        paymentType: payment.type,
+        address: payment.address,
+        amount,
+        income: formatPls(payment.income),
+        principal: formatPls(payment.principal),
+        expectedAddress: isWithdrawal || (validator.portfolioEntry?.feeRecipient ? payment.address === validator.portfolioEntry.feeRecipient : expectedFeeRecipients.has(payment.address)),
+        message: `Validator ${named(payment.validatorIndex)} was paid ${amount.pls} PLS (${payment.type}${payment.principal > 0n ? `, ${formatPls(payment.principal).pls} PLS of it principal` : ''}) to ${payment.address} at slot ${slot}.`
+      });
+    }
+
+    const dutyIndex = duties.get(slot);
+    if (dutyIndex !== undefined && (record.missing || record.proposer !== dutyIndex)) {
+      validators[dutyIndex].missedProposals++;
+      send({ type: 'missed_proposal', validatorIndex: dutyIndex, slot, finalized: true, message: `Validator ${named(dutyIndex)} missed its proposal at slot ${slot} (${slotTime(slot)}).` });
+    }
+    duties.delete(slot);
+    pending.delete(slot);
+  }
+
+  /**
+   * Re-reads the validators' exit state, announcing new exits and slashings. Exit epochs also decide how
+   * withdrawals are classified, so they are kept current.
+   */
+  async function refreshExitState() {
+    const indices = [...indicesSet];
+    // The validators are read in batches of ids (one request each) rather than one by one
+    for (let i = 0; i < indices.length; i += 100) {
+      const { data } = await retry(async () => await api.fetchBeaconJson(`/eth/v1/beacon/states/finalized/validators?id=${indices.slice(i, i + 100).join(',')}`), 4, 'fetching the validators\' exit state');
+      for (const valData of data) {
+        const index = parseInt(valData.index);
+        const validator = validators[index];
+        if (!validator) {
+          continue;
+        }
+        const current = {
+          status: valData.status,
+          slashed: valData.validator.slashed,
+          exitEpoch: parseEpoch(valData.validator.exit_epoch),
+          withdrawableEpoch: parseEpoch(valData.validator.withdrawable_epoch)
+        };
+        if ((validator.exitEpoch === null && current.exitEpoch !== null) || (!validator.slashed && current.slashed)) {
+          send({
+            type: 'exit',
+            validatorIndex: index,
+            slot: finalizedSlot,
+            finalized: true,
+            ...current,
+            message: `Validator ${named(index)} ${current.slashed ? 'was slashed and ' : ''}is exiting at epoch ${current.exitEpoch} (status ${current.status}); its principal becomes withdrawable at epoch ${current.withdrawableEpoch}.`
+          });
+        }
+        Object.assign(validator, current);
+      }
+    }
+  }
+
+  /**
+   * Counts every slot up to a newly finalized one, in order, saving the state as it goes. Stops at the first
+   * slot that cannot be fetched; the rest is picked up at the next finalization.
+   * @param {number} toSlot - The newly finalized slot.
+   */
+  async function advanceFinalized(toSlot) {
+    while (finalizedSlot < toSlot && !signal?.aborted) {
+      const slots = [];
+      for (let slot = finalizedSlot + 1; slot <= Math.min(toSlot, finalizedSlot + CATCH_UP_CHUNK_SLOTS); slot++) {
+        slots.push(slot);
+      }
+      if (slots.length > 32) {
+        log.info(`Catching up on finalized slots ${slots[0]} to ${slots[slots.length - 1]} (finalized up to ${toSlot})...`);
+      }
+      for (let epoch = Math.floor(slots[0] / slotsPerEpoch); epoch <= Math.floor(slots[slots.length - 1] / slotsPerEpoch); epoch++) {
+        await ensureDuties(epoch);
+      }
+      const results = await runBatched(slots, slot => canonicalRecord(slot), config.concurrency);
+      for (const [i, result] of results.entries()) {
+        if (result.error) {
+          if (!signal?.aborted) {
+            log.warn(`Could not fetch finalized slot ${slots[i]}; retrying at the next finalization: ${result.error.message}`);
+          }
+          saveState(stateFile, snapshot());
+          return;
+        }
+        commitSlot(result.record, result.rolledBack);
+        finalizedSlot = result.record.slot;
+      }
+      saveState(stateFile, snapshot());
+    }
+    if (!signal?.aborted) {
+      await refreshExitState();
+    }
+    saveState(stateFile, snapshot());
+  }
+
+  /**
+   * Handles one event from the stream.
+   * @param {string} event - The event topic.
+   * @param {Object} data - The event data.
+   */
+  async function onEvent(event, data) {
+    if (event === 'block') {
+      await onBlock(parseInt(data.slot), data.block);
+    } else if (event === 'head') {
+      const epoch = Math.floor(parseInt(data.slot) / slotsPerEpoch);
+      await ensureDuties(epoch);
+      await ensureDuties(epoch + 1);
+    } else if (event === 'finalized_checkpoint') {
+      await advanceFinalized(parseInt(data.epoch) * slotsPerEpoch);
+    }
+  }
+
+  // Catch up on whatever was finalized while stopped, then follow the event stream
+  const { data: finalizedHeader } = await api.fetchBeaconJson('/eth/v1/beacon/headers/finalized');
+  await advanceFinalized(parseInt(finalizedHeader.header.message.slot));
+
+  let body = null;
+  signal?.addEventListener('abort', () => body?.destroy());
+  let failures = 0;
+  while (!signal?.aborted) {
+    let idleTimer = null;
+    try {
+      const res = await api.fetchBeacon(`/eth/v1/events?topics=${TOPICS.join(',')}`, { headers: { Accept: 'text/event-stream' } });
+      if (!res.ok) {
+        throw new Error(`HTTP error! Status: ${res.status} for the event stream`);
+      }
+      body = res.body;
+      log.info(`Following the chain head (topics: ${TOPICS.join(', ')}).`);
+      const resetIdle = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => body.destroy(new Error('event stream went quiet')), IDLE_SLOTS * config.slot_interval_seconds * 1000);
+      };
+      resetIdle();
+      for await (const { event, data } of readEvents(body)) {
+        resetIdle();
+        failures = 0;
+        try {
+          await onEvent(event, data);
+        } catch (error) {
+          // One bad event (e.g. a block that cannot be fetched) must not stop the daemon; finalization catches up
+          log.error(`Error handling "${event}" event: ${error.message}`);
+        }
+      }
+      if (!signal?.aborted) {
+        throw new Error('event stream closed');
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        break;
+      }
+      failures++;
+      const delayMs = Math.min(60000, 1000 * 2 ** failures);
+      log.warn(`Event stream interrupted (${error.message}); reconnecting in ${delayMs / 1000}s...`);
+      await sleep(delayMs, signal);
+    } finally {
+      clearTimeout(idleTimer);
+    }
+  }
+
+  const state = snapshot();
+  saveState(stateFile, state);
+  await deliveries;
+  log.info(`Stopped; state saved to ${stateFile}.`);
+  return state;
+}
@@ -0,0 +1,672 @@
+/**
+ * @fileoverview Synthetic chain answered by the mock node (see `./server.js`): a deterministic beacon chain
+ * and execution chain, computed on the fly from the slot number, so any date range can be scanned without
+ * storing anything.
+ *
+ * The chain:
+ * - Genesis at `genesisTime`, one slot every `secondsPerSlot`; the head is the slot of the current time, and
+ *   the finalized slot two epochs behind it. Later slots do not exist yet.
+ * - `validatorCount` active validators with 0x01 withdrawal credentials, paying to `withdrawalAddresses` in
+ *   turn (validator i to address i modulo their count). Validator i's public key is i in hex, padded to 48
+ *   bytes. From the first slot of `additionEpoch` on, `addedValidators` more are active (0 for none); states
+ *   before it do not have them.
+ * - Slot s is proposed by validator s modulo the validator count at s. Every `missedSlotInterval`-th slot (those with
+ *   s modulo the interval equal to interval - 1) has no block; 'head' and 'finalized' then name the block
+ *   before it, as on a real node.
+ * - Every block pays `withdrawalsPerBlock` skims of `skimGwei` gwei, sweeping the validators in index order,
+ *   wrapping around at the end of the validators there are at the time, as the real withdrawal sweep does.
+ * - The validators in `exitedValidators` (indices) have exited, those also in `slashedValidators` slashed: they
+ *   become withdrawable at `withdrawableEpoch` (their exit epoch is 256 epochs earlier, or 0), and the sweep's
+ *   first pass over them from then on pays their whole balance of `exitBalanceGwei` instead of a skim. Later
+ *   passes leave them out, as they have nothing left (the block then has one withdrawal fewer).
+ * - Execution block numbers follow the blocks, from `firstBlockNumber` at slot 0. Every block has two
+ *   transactions with priority fees (tips) to the fee recipient: an EIP-1559 one and a legacy one.
+ * - Every `builderSlotInterval`-th block (s modulo the interval equal to interval - 1) is builder-built: its
+ *   fee recipient is `builderAddress`, and its last transaction pays the proposer's withdrawal address
+ *   `builderPaymentWei` as a plain transfer. The others pay their tips to the proposer's withdrawal address.
+ * - Every `transferSlotInterval`-th block (s modulo the interval equal to 0; 0 for none) also has a plain
+ *   transfer of `transferWei` from the first withdrawal address to `transferRecipient`, with no tip, so that
+ *   the withdrawal address has an outgoing transaction and gas fee to account for.
+ * - Withdrawal addresses start with `initialBalanceWei`; `eth_getBalance` follows every withdrawal, tip,
+ *   builder payment and transfer above (other addresses are only tracked as far as they receive them).
+ * - Attestation rewards are the same for every validator and epoch; there are no sync committee members.
+ * - Besides the beacon API and JSON-RPC (including `trace_filter`), the chain answers the `txlist` and
+ *   `txlistinternal` queries of an Etherscan-compatible block explorer API (see explorer).
+ *
+ * Amounts are small round numbers, so totals can be worked out by hand in tests.
+ */
+
+import { FAR_FUTURE_EPOCH } from '../shared/api-client.js';
+
+// Gas used by each transaction, and the base fee and tips in wei per gas
+const GAS_USED = 21000n;
+const BASE_FEE_WEI = 1000000000n;
+const TIPS_WEI = [2000000000n, 3000000000n];
+
+// Epochs from an exit to the validator becoming withdrawable (MIN_VALIDATOR_WITHDRAWABILITY_DELAY)
+const WITHDRAWABILITY_DELAY_EPOCHS = 256;
+
+// Default chain parameters (see the file header)
+export const CHAIN_DEFAULTS = {
+  genesisTime: Date.parse('2024-01-01T00:00:00Z') / 1000,
+  secondsPerSlot: 10,
+  slotsPerEpoch: 32,
+  chainId: 369,
+  validatorCount: 2000,
+  addedValidators: 0,
+  additionEpoch: 0,
+  withdrawalAddresses: ['0x1111111111111111111111111111111111111111', '0x2222222222222222222222222222222222222222'],
+  missedSlotInterval: 50,
+  withdrawalsPerBlock: 16,
+  skimGwei: 2000000,
+  firstBlockNumber: 17000000,
+  builderSlotInterval: 10,
+  builderAddress: '0xb0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0',
+  builderPaymentWei: 50000000000000000n,
+  exitedValidators: [],
+  slashedValidators: [],
+  withdrawableEpoch: 0,
+  exitBalanceGwei: 32000000000,
+  transferSlotInterval: 1000,
+  transferWei: 1000000000000000000n,
+  transferRecipient: '0x5555555555555555555555555555555555555555',
+  initialBalanceWei: 1000000000000000000000n
+};
+
+const hex = value => `0x${BigInt(value).toString(16)}`;
+const pad = (value, bytes) => `0x${BigInt(value).toString(16).padStart(bytes * 2, '0')}`;
+
+/**
+ * Creates a synthetic chain.
+ * @param {Object} [options={}] - Chain parameters, overriding CHAIN_DEFAULTS (see the file header).
+ * @returns {{beacon: Function, rpc: Function, explorer: Function, params: Object}} The chain:
+ *          - beacon(method, path, body): answers a beacon API request (`path` from `/eth/` on, with its query
+ *            string; `body` parsed); returns `{ status, body }`.
+ *          - rpc(call): answers one JSON-RPC call; returns the JSON-RPC response.
+ *          - explorer(query): answers a block explorer API query (its parameters by name); returns
+ *            `{ status, body }`.
+ *          - params: the chain parameters in effect.
+ */
+export function createSyntheticChain(options = {}) {
+  const params = { ...CHAIN_DEFAULTS, ...options };
+  const { validatorCount, slotsPerEpoch, missedSlotInterval, withdrawalsPerBlock } = params;
+  const withdrawalAddresses = params.withdrawalAddresses.map(address => address.toLowerCase());
+
+  const headSlot = () => Math.floor((Date.now() / 1000 - params.genesisTime) / params.secondsPerSlot);
+  const finalizedSlot = () => Math.max(0, headSlot() - 2 * slotsPerEpoch);
+  const isMissed = slot => missedSlotInterval > 0 && slot % missedSlotInterval === missedSlotInterval - 1;
+  const isBuilt = slot => params.builderSlotInterval > 0 && slot % params.builderSlotInterval === params.builderSlotInterval - 1;
+  const hasTransfer = slot => params.transferSlotInterval > 0 && slot % params.transferSlotInterval === 0;
+  // Blocks before a slot (every missed slot lowers the count by one)
+  const blocksBefore = slot => slot - (missedSlotInterval > 0 ? Math.floor(slot / missedSlotInterval) : 0);
+  // Validators from the first slot of `additionEpoch`, and the sweep position that slot's block starts at
+  const additionSlot = params.additionEpoch * slotsPerEpoch;
+  const grownCount = validatorCount + params.addedValidators;
+  const additionPosition = blocksBefore(additionSlot) * withdrawalsPerBlock;
+  const validatorCountAt = slot => (slot >= additionSlot ? grownCount : validatorCount);
+  const proposerOf = slot => slot % validatorCountAt(slot);
+  const addressOf = index => withdrawalAddresses[index % withdrawalAddresses.length];
+  const rootOf = slot => pad(slot + 1, 32);
+  // Sweep positions up to and including the block of a slot (each block takes `withdrawalsPerBlock` of them)
+  const positionsThrough = slot => (blocksBefore(slot) + (isMissed(slot) ? 0 : 1)) * withdrawalsPerBlock;
+  const mod = (value, modulus) => ((value % modulus) + modulus) % modulus;
+  // Where the sweep is when the validators are added; from there on it wraps around at the grown count
+  const additionIndex = additionPosition % validatorCount;
+
+  /**
+   * Works out the validator at a sweep position.
+   * @param {number} position - The sweep position (the withdrawal index).
+   * @returns {number} The validator index.
+   */
+  function sweepIndexAt(position) {
+    return position < additionPosition ? position % validatorCount : (additionIndex + position - additionPosition) % grownCount;
+  }
+
+  /**
+   * Finds the first sweep position at or after a given one that reaches a validator.
+   * @param {number} index - The validator index.
+   * @param {number} from - The sweep position to start from.
+   * @returns {number} The sweep position.
+   */
+  function nextPass(index, from) {
+    if (from < additionPosition && index < validatorCount) {
+      const position = from + mod(index - from, validatorCount);
+      if (position < additionPosition) {
+        return position;
+      }
+    }
+    const offset = Math.max(from, additionPosition) - additionPosition;
+    return additionPosition + offset + mod(index - additionIndex - offset, grownCount);
+  }
+
+  /**
+   * Counts the times the sweep reaches a validator in a range of positions.
+   * @param {number} index - The validator index.
+   * @param {number} from - First sweep position (inclusive).
+   * @param {number} to - Last sweep position (exclusive).
+   * @returns {number} The count.
+   */
+  function passes(index, from, to) {
+    // Positions below `count` congruent to `residue` modulo `modulus` (with residue < modulus)
+    const below = (residue, modulus, count) => (count > residue ? Math.floor((count - 1 - residue) / modulus) + 1 : 0);
+    let count = 0;
+    const end = Math.min(to, additionPosition);
+    if (from < end && index < validatorCount) {
+      count += below(index, validatorCount, end) - below(index, validatorCount, from);
+    }
+    const start = Math.max(from, additionPosition);
+    if (start < to) {
+      const residue = mod(index - additionIndex, grownCount);
+      count += below(residue, grownCount, to - additionPosition) - below(residue, grownCount, start - additionPosition);
+    }
+    return count;
+  }
+
+  const exited = new Set(params.exitedValidators);
+  const slashed = new Set(params.slashedValidators);
+  // The sweep position from which an exited validator is withdrawable, and the one paying out its balance
+  const withdrawablePosition = blocksBefore(params.withdrawableEpoch * slotsPerEpoch) * withdrawalsPerBlock;
+  const exitPosition = index => nextPass(index, withdrawablePosition);
+
+  /**
+   * Works out the withdrawal at a sweep position.
+   * @param {number} position - The sweep position (the withdrawal index).
+   * @returns {number|null} The amount in gwei, or null if the validator there has nothing left to withdraw.
+   */
+  function withdrawalAt(position) {
+    const index = sweepIndexAt(position);
+    if (!exited.has(index) || position < withdrawablePosition) {
+      return params.skimGwei;
+    }
+    return position === exitPosition(index) ? params.exitBalanceGwei : null;
+  }
+
+  /**
+   * Finds the slot of an execution block number.
+   * @param {number} blockNumber - The block number.
+   * @returns {number|null} The slot, or null if the block does not exist (yet).
+   */
+  function slotOfBlock(blockNumber) {
+    const k = blockNumber - params.firstBlockNumber;
+    if (k < 0) {
+      return null;
+    }
+    const slot = missedSlotInterval > 0 ? Math.floor(k / (missedSlotInterval - 1)) * missedSlotInterval + (k % (missedSlotInterval - 1)) : k;
+    return slot <= headSlot() ? slot : null;
+  }
+
+  /**
+   * Resolves a beacon block or state ID ('head', 'finalized', 'genesis', a slot or a block root) to a slot.
+   * @param {string} id - The ID.
+   * @returns {number|null} The slot, or null if it does not exist (yet).
+   */
+  function slotOfId(id) {
+    let slot;
+    if (id === 'head') {
+      slot = headSlot();
+    } else if (id === 'finalized' || id === 'justified') {
+      slot = finalizedSlot();
+    } else if (id === 'genesis') {
+      slot = 0;
+    } else if (/^0x[0-9a-fA-F]{64}$/.test(id)) {
+      slot = Number(BigInt(id)) - 1;
+    } else if (/^\d+$/.test(id)) {
+      slot = parseInt(id);
+    } else {
+      return null;
+    }
+    return slot >= 0 && slot <= headSlot() ? slot : null;
+  }
+
+  /**
+   * Resolves a block ID to the slot of its block. 'head', 'finalized' and 'justified' name the latest block at
+   * or before that slot, as on a real node, so they resolve even when their slot was missed; a slot that was
+   * missed has no block.
+   * @param {string} id - The ID (see slotOfId).
+   * @returns {number|null} The slot, or null if there is no such block.
+   */
+  function blockSlotOfId(id) {
+    let slot = slotOfId(id);
+    if (slot !== null && ['head', 'finalized', 'justified'].includes(id)) {
+      while (slot > 0 && isMissed(slot)) {
+        slot--;
+      }
+    }
+    return slot === null || isMissed(slot) ? null : slot;
+  }
+
+  /**
+   * Describes a validator in the state at a slot.
+   * @param {number} index - The validator index.
+   * @param {number} slot - The state's slot.
+   * @returns {Object} The validator, as the beacon API returns it.
+   */
+  function validator(index, slot) {
+    let status = 'active_ongoing';
+    let balance = '32000000000';
+    let exitEpoch = FAR_FUTURE_EPOCH;
+    let withdrawableEpoch = FAR_FUTURE_EPOCH;
+    if (exited.has(index)) {
+      const epoch = Math.floor(slot / slotsPerEpoch);
+      exitEpoch = Math.max(0, params.withdrawableEpoch - WITHDRAWABILITY_DELAY_EPOCHS);
+      withdrawableEpoch = params.withdrawableEpoch;
+      balance = String(params.exitBalanceGwei);
+      if (epoch < exitEpoch) {
+        status = 'active_exiting';
+      } else if (epoch < withdrawableEpoch) {
+        status = slashed.has(index) ? 'exited_slashed' : 'exited_unslashed';
+      } else if (positionsThrough(slot) <= exitPosition(index)) {
+        status = 'withdrawal_possible';
+      } else {
+        status = 'withdrawal_done';
+        balance = '0';
+      }
+    }
+    return {
+      index: String(index),
+      balance,
+      status,
+      validator: {
+        pubkey: pad(index, 48),
+        withdrawal_credentials: `0x01${'00'.repeat(11)}${addressOf(index).slice(2)}`,
+        effective_balance: balance === '0' ? '0' : '32000000000',
+        slashed: slashed.has(index),
+        activation_eligibility_epoch: '0',
+        activation_epoch: '0',
+        exit_epoch: String(exitEpoch),
+        withdrawable_epoch: String(withdrawableEpoch)
+      }
+    };
+  }
+
+  /**
+   * Resolves a validator ID (index or public key) to an index.
+   * @param {string} id - The ID.
+   * @param {number} slot - The slot of the state to look in.
+   * @returns {number|null} The index, or null if there is no such validator.
+   */
+  function validatorIndexOf(id, slot) {
+    const index = /^0x[0-9a-fA-F]{96}$/.test(id) ? Number(BigInt(id)) : /^\d+$/.test(id) ? parseInt(id) : -1;
+    return index >= 0 && index < validatorCountAt(slot) ? index : null;
+  }
+
+  // Transaction i of a block has hash blockNumber x 16 + i: the tipping transactions first, then the wallet
+  // transfer (i = 2), if any, and the builder payment (i = 15) last
+  function transactionHashes(blockNumber) {
+    const slot = slotOfBlock(blockNumber);
+    return TIPS_WEI.map((tip, i) => pad(BigInt(blockNumber) * 16n + BigInt(i), 32)).concat(
+      hasTransfer(slot) ? [pad(BigInt(blockNumber) * 16n + 2n, 32)] : [],
+      isBuilt(slot) ? [pad(BigInt(blockNumber) * 16n + 15n, 32)] : []
+    );
+  }
+
+  // Tip per gas of transaction i (the builder payment and the wallet transfer tip nothing)
+  const tipOf = i => TIPS_WEI[i] ?? 0n;
+
+  function feeRecipientOf(slot) {
+    return isBuilt(slot) ? params.builderAddress.toLowerCase() : addressOf(proposerOf(slot));
+  }
+
+  function executionPayload(slot) {
+    const sweepStart = blocksBefore(slot) * withdrawalsPerBlock;
+    return {
+      block_number: String(params.firstBlockNumber + blocksBefore(slot)),
+      block_hash: pad(BigInt(slot) + 2n ** 128n, 32),
+      fee_recipient: feeRecipientOf(slot),
+      timestamp: String(params.genesisTime + slot * params.secondsPerSlot),
+      base_fee_per_gas: String(BASE_FEE_WEI),
+      withdrawals: Array.from({ length: withdrawalsPerBlock }, (_, k) => {
+        const index = sweepIndexAt(sweepStart + k);
+        const amount = withdrawalAt(sweepStart + k);
+        return amount === null ? null : { index: String(sweepStart + k), validator_index: String(index), address: addressOf(index), amount: String(amount) };
+      }).filter(Boolean)
+    };
+  }
+
+  function block(slot, blinded) {
+    const payload = executionPayload(slot);
+    if (blinded) {
+      delete payload.withdrawals;
+    }
+    return {
+      version: 'deneb',
+      execution_optimistic: false,
+      finalized: slot <= finalizedSlot(),
+      data: {
+        message: {
+          slot: String(slot),
+          proposer_index: String(proposerOf(slot)),
+          parent_root: rootOf(slot - 1),
+          body: { [blinded ? 'execution_payload_header' : 'execution_payload']: payload, bls_to_execution_changes: [] }
+        }
+      }
+    };
+  }
+
+  function transaction(blockNumber, hash) {
+    const slot = slotOfBlock(blockNumber);
+    const i = Number(BigInt(hash) % 16n);
+    const base = { hash, blockNumber: hex(blockNumber), transactionIndex: hex(transactionHashes(blockNumber).indexOf(hash)), from: '0x3333333333333333333333333333333333333333', input: '0x' };
+    if (i === 15) {
+      // The builder's payment to the proposer
+      return { ...base, type: '0x2', from: params.builderAddress.toLowerCase(), to: addressOf(proposerOf(slot)), value: hex(params.builderPaymentWei), maxPriorityFeePerGas: '0x0', maxFeePerGas: hex(BASE_FEE_WEI), gas: hex(GAS_USED) };
+    }
+    if (i === 2) {
+      // The wallet transfer
+      return { ...base, type: '0x2', from: withdrawalAddresses[0], to: params.transferRecipient.toLowerCase(), value: hex(params.transferWei), maxPriorityFeePerGas: '0x0', maxFeePerGas: hex(BASE_FEE_WEI), gas: hex(GAS_USED) };
+    }
+    const tip = TIPS_WEI[i];
+    return i === 0
+      ? { ...base, type: '0x2', to: '0x4444444444444444444444444444444444444444', value: '0x0', maxPriorityFeePerGas: hex(tip), maxFeePerGas: hex(BASE_FEE_WEI * 2n + tip), gas: hex(GAS_USED) }
+      : { ...base, type: '0x0', to: '0x4444444444444444444444444444444444444444', value: '0x0', gasPrice: hex(BASE_FEE_WEI + tip), gas: hex(GAS_USED) };
+  }
+
+  function receipt(blockNumber, hash) {
+    const tx = transaction(blockNumber, hash);
+    const i = Number(BigInt(hash) % 16n);
+    return {
+      transactionHash: hash,
+      blockNumber: hex(blockNumber),
+      from: tx.from,
+      to: tx.to,
+      status: '0x1',
+      gasUsed: hex(GAS_USED),
+      effectiveGasPrice: hex(BASE_FEE_WEI + tipOf(i)),
+      logs: []
+    };
+  }
+
+  function executionBlock(blockNumber, fullTransactions) {
+    const slot = slotOfBlock(blockNumber);
+    const hashes = transactionHashes(blockNumber);
+    return {
+      number: hex(blockNumber),
+      hash: executionPayload(slot).block_hash,
+      timestamp: hex(params.genesisTime + slot * params.secondsPerSlot),
+      miner: feeRecipientOf(slot),
+      baseFeePerGas: hex(BASE_FEE_WEI),
+      gasUsed: hex(GAS_USED * BigInt(hashes.length)),
+      transactions: fullTransactions ? hashes.map(hash => transaction(blockNumber, hash)) : hashes
+    };
+  }
+
+  /**
+   * Works out the balance of an address at the end of a block (see the file header).
+   * @param {string} address - The address, in lower case.
+   * @param {number} blockNumber - The block number (blocks before the first one hold the initial balances).
+   * @returns {bigint} The balance in wei.
+   */
+  function balanceOf(address, blockNumber) {
+    const addressIndex = withdrawalAddresses.indexOf(address);
+    let balance = addressIndex >= 0 ? params.initialBalanceWei : 0n;
+    const lastSlot = blockNumber < params.firstBlockNumber ? -1 : slotOfBlock(blockNumber);
+    if (lastSlot < 0) {
+      return balance;
+    }
+
+    // Withdrawals: the sweep's passes so far over the validators paying to the address; an exited validator's
+    // passes from its withdrawable position on pay its balance once, then nothing
+    if (addressIndex >= 0) {
+      const positions = positionsThrough(lastSlot);
+      let withdrawalsGwei = 0n;
+      for (let index = addressIndex; index < grownCount; index += withdrawalAddresses.length) {
+        if (!exited.has(index)) {
+          withdrawalsGwei += BigInt(passes(index, 0, positions)) * BigInt(params.skimGwei);
+          continue;
+        }
+        withdrawalsGwei += BigInt(passes(index, 0, Math.min(positions, withdrawablePosition))) * BigInt(params.skimGwei);
+        if (positions > exitPosition(index)) {
+          withdrawalsGwei += BigInt(params.exitBalanceGwei);
+        }
+      }
+      balance += withdrawalsGwei * 10n ** 9n;
+    }
+
+    // Tips, builder payments and transfers, block by block
+    const tips = TIPS_WEI.reduce((sum, tip) => sum + tip * GAS_USED, 0n);
+    const transferRecipient = params.transferRecipient.toLowerCase();
+    for (let slot = 0; slot <= lastSlot; slot++) {
+      if (isMissed(slot)) {
+        continue;
+      }
+      if (addressOf(proposerOf(slot)) === address) {
+        balance += isBuilt(slot) ? params.builderPaymentWei : tips;
+      }
+      if (hasTransfer(slot)) {
+        if (address === withdrawalAddresses[0]) {
+          balance -= params.transferWei + BASE_FEE_WEI * GAS_USED;
+        }
+        if (address === transferRecipient) {
+          balance += params.transferWei;
+        }
+      }
+    }
+    return balance;
+  }
+
+  /**
+   * Lists the value transfers of the blocks in a range, as JSON-RPC call traces.
+   * @param {number} fromBlock - First block.
+   * @param {number} toBlock - Last block.
+   * @returns {Object[]} One trace per transaction (they make no internal calls).
+   */
+  function traces(fromBlock, toBlock) {
+    const result = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock && slotOfBlock(blockNumber) !== null; blockNumber++) {
+      transactionHashes(blockNumber).forEach((hash, position) => {
+        const tx = transaction(blockNumber, hash);
+        result.push({
+          action: { callType: 'call', from: tx.from, to: tx.to, value: tx.value, gas: tx.gas, input: tx.input },
+          blockHash: executionPayload(slotOfBlock(blockNumber)).block_hash,
+          blockNumber,
+          result: { gasUsed: '0x0', output: '0x' },
+          subtraces: 0,
+          traceAddress: [],
+          transactionHash: hash,
+          transactionPosition: position,
+          type: 'call'
+        });
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Answers an Etherscan-compatible block explorer API query: `txlist` from the synthetic transactions, and
+   * `txlistinternal` (there are no internal transfers).
+   * @param {Object.<string, string>} query - The query parameters.
+   * @returns {{status: number, body: Object}} The response.
+   */
+  function explorer(query) {
+    const list = result => ({
+      status: 200,
+      body: result.length > 0 ? { status: '1', message: 'OK', result } : { status: '0', message: 'No transactions found', result: [] }
+    });
+    if (query.module !== 'account' || !['txlist', 'txlistinternal'].includes(query.action) || !/^0x[0-9a-fA-F]{40}$/.test(query.address || '')) {
+      return { status: 200, body: { status: '0', message: 'NOTOK', result: 'Unsupported query' } };
+    }
+    if (query.action === 'txlistinternal') {
+      return list([]);
+    }
+    const address = query.address.toLowerCase();
+    const fromBlock = Math.max(params.firstBlockNumber, parseInt(query.startblock ?? 0));
+    const toBlock = Math.min(blockNumberOf('latest'), parseInt(query.endblock ?? Number.MAX_SAFE_INTEGER));
+    const transactions = [];
+    for (const { action, blockNumber, transactionHash } of traces(fromBlock, toBlock)) {
+      if (action.from !== address && action.to !== address) {
+        continue;
+      }
+      const tx = receipt(blockNumber, transactionHash);
+      transactions.push({
+        blockNumber: String(blockNumber),
+        timeStamp: String(params.genesisTime + slotOfBlock(blockNumber) * params.secondsPerSlot),
+        hash: transactionHash,
+        from: action.from,
+        to: action.to,
+        value: BigInt(action.value).toString(),
+        gas: BigInt(action.gas).toString(),
+        gasPrice: BigInt(tx.effectiveGasPrice).toString(),
+        gasUsed: BigInt(tx.gasUsed).toString(),
+        isError: '0',
+        txreceipt_status: '1',
+        input: '0x',
+        contractAddress: ''
+      });
+    }
+    if (query.sort === 'desc') {
+      transactions.reverse();
+    }
+    const offset = parseInt(query.offset ?? 10000);
+    const page = parseInt(query.page ?? 1);
+    return list(transactions.slice((page - 1) * offset, page * offset));
+  }
+
+  /**
+   * Resolves a JSON-RPC block tag or number to a block number.
+   * @param {string} tag - The tag ('latest', 'finalized', ...) or hex number.
+   * @returns {number|null} The block number, or null if it does not exist (yet).
+   */
+  function blockNumberOf(tag) {
+    if (tag === 'latest' || tag === 'pending' || tag === 'safe') {
+      return params.firstBlockNumber + blocksBefore(headSlot());
+    }
+    if (tag === 'finalized') {
+      return params.firstBlockNumber + blocksBefore(finalizedSlot());
+    }
+    if (tag === 'earliest') {
+      return params.firstBlockNumber;
+    }
+    const number = parseInt(tag, 16);
+    return isNaN(number) || slotOfBlock(number) === null ? null : number;
+  }
+
+  const ok = data => ({ status: 200, body: { execution_optimistic: false, finalized: true, data } });
+  const notFound = message => ({ status: 404, body: { code: 404, message } });
+
+  function beacon(method, path, body) {
+    const { pathname, searchParams } = new URL(path, 'http://localhost');
+    let m;
+    if (pathname === '/eth/v1/beacon/genesis') {
+      return ok({ genesis_time: String(params.genesisTime), genesis_validators_root: pad(1, 32), genesis_fork_version: '0x00000369' });
+    }
+    if (pathname === '/eth/v1/config/spec') {
+      return ok({ SECONDS_PER_SLOT: String(params.secondsPerSlot), SLOTS_PER_EPOCH: String(slotsPerEpoch), MAX_EFFECTIVE_BALANCE: '32000000000', DEPOSIT_CHAIN_ID: String(params.chainId) });
+    }
+    if ((m = pathname.match(/^\/eth\/v1\/beacon\/headers\/([^/]+)$/))) {
+      const slot = blockSlotOfId(m[1]);
+      if (slot === null) {
+        return notFound(`No block for ${m[1]}`);
+      }
+      return ok({ root: rootOf(slot), canonical: true, header: { message: { slot: String(slot), proposer_index: String(proposerOf(slot)), parent_root: rootOf(slot - 1) } } });
+    }
+    if ((m = pathname.match(/^\/eth\/v[12]\/beacon\/(blocks|blinded_blocks)\/([^/]+)$/))) {
+      const slot = blockSlotOfId(m[2]);
+      if (slot === null) {
+        return notFound(`No block for ${m[2]}`);
+      }
+      return { status: 200, body: block(slot, m[1] === 'blinded_blocks') };
+    }
+    if ((m = pathname.match(/^\/eth\/v1\/beacon\/states\/([^/]+)\/validators$/))) {
+      if (slotOfId(m[1]) === null) {
+        return notFound(`No state ${m[1]}`);
+      }
+      const slot = slotOfId(m[1]);
+      const ids = method === 'POST' ? body?.ids : searchParams.get('id')?.split(',');
+      const indices = ids ? ids.map(id => validatorIndexOf(id, slot)).filter(index => index !== null) : Array.from({ length: validatorCountAt(slot) }, (_, i) => i);
+      return ok(indices.map(index => validator(index, slot)));
+    }
+    if ((m = pathname.match(/^\/eth\/v1\/beacon\/states\/([^/]+)\/validators\/([^/]+)$/))) {
+      const index = slotOfId(m[1]) === null ? null : validatorIndexOf(m[2], slotOfId(m[1]));
+      if (index === null) {
+        return notFound(`No validator ${m[2]} in state ${m[1]}`);
+      }
+      return ok(validator(index, slotOfId(m[1])));
+    }
+    if ((m = pathname.match(/^\/eth\/v1\/beacon\/states\/([^/]+)\/sync_committees$/))) {
+      return ok({ validators: [], validator_aggregates: [] });
+    }
+    if ((m = pathname.match(/^\/eth\/v1\/validator\/duties\/proposer\/(\d+)$/))) {
+      const epoch = parseInt(m[1]);
+      if (epoch * slotsPerEpoch > headSlot() + slotsPerEpoch) {
+        return { status: 400, body: { code: 400, message: `Epoch ${epoch} is too far in the future` } };
+      }
+      return ok(Array.from({ length: slotsPerEpoch }, (_, k) => {
+        const slot = epoch * slotsPerEpoch + k;
+        return { pubkey: pad(proposerOf(slot), 48), validator_index: String(proposerOf(slot)), slot: String(slot) };
+      }));
+    }
+    if ((m = pathname.match(/^\/eth\/v1\/beacon\/rewards\/attestations\/(\d+)$/)) && method === 'POST') {
+      const indices = (body || []).map(id => validatorIndexOf(id, (parseInt(m[1]) + 1) * slotsPerEpoch - 1)).filter(index => index !== null);
+      return ok({
+        ideal_rewards: [{ effective_balance: '32000000000', head: '10', target: '20', source: '10', inactivity: '0' }],
+        total_rewards: indices.map(index => ({ validator_index: String(index), head: '10', target: '20', source: '10', inactivity: '0' }))
+      });
+    }
+    if ((m = pathname.match(/^\/eth\/v1\/beacon\/rewards\/sync_committee\/([^/]+)$/)) && method === 'POST') {
+      return ok([]);
+    }
+    if (pathname === '/eth/v1/beacon/pool/bls_to_execution_changes') {
+      return ok([]);
+    }
+    return notFound(`Not served by the mock node: ${method} ${pathname}`);
+  }
+
+  function rpc(call) {
+    const { id, method } = call;
+    const args = call.params || [];
+    const result = value => ({ jsonrpc: '2.0', id, result: value });
+    const transactionBlock = hash => {
+      if (typeof hash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+        return null;
+      }
+      const blockNumber = Number(BigInt(hash) / 16n);
+      return slotOfBlock(blockNumber) !== null && transactionHashes(blockNumber).includes(hash.toLowerCase()) ? blockNumber : null;
+    };
+    switch (method) {
+      case 'eth_chainId':
+        return result(hex(params.chainId));
+      case 'eth_blockNumber':
+        return result(hex(blockNumberOf('latest')));
+      case 'eth_getBlockByNumber': {
+        const blockNumber = blockNumberOf(args[0]);
+        return result(blockNumber === null ? null : executionBlock(blockNumber, Boolean(args[1])));
+      }
+      case 'eth_getBlockReceipts': {
+        const blockNumber = blockNumberOf(args[0]);
+        return result(blockNumber === null ? null : transactionHashes(blockNumber).map(hash => receipt(blockNumber, hash)));
+      }
+      case 'eth_getBalance': {
+        // Blocks before the first one exist as far as balances go: they hold the initial balances
+        const number = typeof args[1] === 'string' && args[1].startsWith('0x') ? parseInt(args[1], 16) : NaN;
+        const blockNumber = number >= 0 && number < params.firstBlockNumber ? number : blockNumberOf(args[1] ?? 'latest');
+        if (typeof args[0] !== 'string' || blockNumber === null) {
+          return { jsonrpc: '2.0', id, error: { code: -32000, message: 'header not found' } };
+        }
+        return result(hex(balanceOf(args[0].toLowerCase(), blockNumber)));
+      }
+      case 'trace_filter': {
+        const filter = args[0] || {};
+        const fromBlock = blockNumberOf(filter.fromBlock ?? 'earliest');
+        const toBlock = blockNumberOf(filter.toBlock ?? 'latest');
+        if (fromBlock === null || toBlock === null) {
+          return { jsonrpc: '2.0', id, error: { code: -32000, message: 'block not found' } };
+        }
+        const matches = (list, address) => !list || list.map(item => item.toLowerCase()).includes(address);
+        return result(traces(fromBlock, toBlock).filter(trace => matches(filter.fromAddress, trace.action.from) && matches(filter.toAddress, trace.action.to)));
+      }
+      case 'eth_getTransactionByHash':
+      case 'eth_getTransactionReceipt': {
+        const blockNumber = transactionBlock(args[0]);
+        if (blockNumber === null) {
+          return result(null);
+        }
+        const hash = args[0].toLowerCase();
+        return result(method === 'eth_getTransactionByHash' ? transaction(blockNumber, hash) : receipt(blockNumber, hash));
+      }
+      default:
+        return { jsonrpc: '2.0', id, error: { code: -32601, message: `The method ${method} is not served by the mock node` } };
+    }
+  }
+
+  return { beacon, rpc, explorer, params };
+}
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Mock beacon node and JSON-RPC endpoint (see `./server.js` for the command line).
+ *
+ * Answers the beacon API requests and JSON-RPC calls the tools make, from two sources, in this order:
+ * 1. Fixtures: exchanges recorded with `--transport=record`, or written by hand, in the format of
+ *    `../shared/transport.js`. A recorded run can so be served to any client, e.g. another version of the tools
+ *    or a dashboard, not only replayed in-process.
+ * 2. The synthetic chain (see `./chain.js`), unless disabled: a deterministic chain with blocks, withdrawals,
+ *    builder payments, receipts and validators, for exercising every code path of a scan.
+ * A request neither answers gets a 404 (beacon API) or a "method not found" error (JSON-RPC).
+ *
+ * The beacon API is served from `/eth/...` under any prefix (so `http://127.0.0.1:8555/beacon-api` works as a
+ * beacon URL, like the public endpoints), JSON-RPC by POST to any other path, and the block explorer API by GET
+ * to any other path (e.g. `http://127.0.0.1:8555/api` as `explorer_api_url`). The event stream is not
+ * served, so the watch daemon cannot follow the mock node.
+ */
+
+import http from 'node:http';
+import { createSyntheticChain } from './chain.js';
+import { createFixtureStore, describeRequest, fixtureResponseBody } from '../shared/transport.js';
+
+/**
+ * Creates a mock node.
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.fixtureDir] - Directory of fixtures to serve first, if any.
+ * @param {Object|false} [options.chain={}] - Parameters of the synthetic chain (see `./chain.js`), or false
+ *        to serve fixtures only.
+ * @returns {http.Server} The server, not yet listening.
+ */
+export function createMockNode({ fixtureDir, chain = {} } = {}) {
+  const store = fixtureDir ? createFixtureStore(fixtureDir) : null;
+  const synthetic = chain === false ? null : createSyntheticChain(chain);
+
+  /**
+   * Answers a request from the synthetic chain.
+   * @param {Object} request - The request (see describeRequest in `../shared/transport.js`).
+   * @returns {{status: number, body: any}} The response.
+   */
+  function answer(request) {
+    if (request.rpc) {
+      const calls = Array.isArray(request.body) ? request.body : [request.body];
+      const notServed = call => ({ jsonrpc: '2.0', id: call.id, error: { code: -32601, message: `No fixture for ${call.method}` } });
+      const responses = calls.map(call => (synthetic ? synthetic.rpc(call) : notServed(call)));
+      return { status: 200, body: Array.isArray(request.body) ? responses : responses[0] };
+    }
+    if (!synthetic) {
+      return { status: 404, body: { code: 404, message: `No fixture for ${request.key}` } };
+    }
+    if (!request.path.startsWith('/eth/')) {
+      return synthetic.explorer(Object.fromEntries(new URL(request.path, 'http://localhost').searchParams));
+    }
+    if (request.path.startsWith('/eth/v1/events')) {
+      return { status: 501, body: { code: 501, message: 'The mock node does not serve the event stream' } };
+    }
+    return synthetic.beacon(request.method, request.path, request.body);
+  }
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let status;
+      let text;
+      let contentType = 'application/json';
+      try {
+        const request = describeRequest(req.method, req.url, body || undefined);
+        const fixture = store?.read(request);
+        if (fixture) {
+          status = fixture.response.status;
+          text = fixtureResponseBody(fixture, request);
+          contentType = fixture.response.contentType || contentType;
+        } else if (req.method === 'POST' && !request.rpc && !request.path.startsWith('/eth/')) {
+          status = 400;
+          text = JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid JSON-RPC request' } });
+        } else {
+          const response = answer(request);
+          status = response.status;
+          text = JSON.stringify(response.body, (key, value) => (typeof value === 'bigint' ? `0x${value.toString(16)}` : value));
+        }
+      } catch (error) {
+        status = 500;
+        text = JSON.stringify({ code: 500, message: error.message });
+      }
+      res.writeHead(status, { 'Content-Type': contentType });
+      res.end(text);
+    });
+  });
+}
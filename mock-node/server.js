@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Command line of the mock beacon node and JSON-RPC endpoint, for running the tools with no
+ * public endpoints: serves recorded fixtures (`--fixtures=<dir>`) and, unless `--no-chain` is given, a
+ * synthetic chain. See `./mock-node.js` for what is served.
+ *
+ * Usage:
+ * - Run via: node server.js [--port=8555] [--host=127.0.0.1] [--fixtures=fixtures] [--no-chain]
+ * - Chain parameters can be set as flags, in kebab-case: --genesis-time (Unix time), --seconds-per-slot,
+ *   --validator-count, --added-validators and --addition-epoch, --missed-slot-interval, --withdrawals-per-block,
+ *   --skim-gwei, --builder-slot-interval (0 for none), --transfer-slot-interval (0 for none), --transfer-wei,
+ *   --initial-balance-wei, --chain-id, --withdrawal-addresses (comma-separated), and for exits
+ *   --exited-validators and --slashed-validators (comma-separated indices), --withdrawable-epoch and
+ *   --exit-balance-gwei. See CHAIN_DEFAULTS in `./chain.js`.
+ * - Then point the tools at it, e.g. in config.json:
+ *     { "beacon_urls": ["http://127.0.0.1:8555/beacon-api"], "rpc_urls": ["http://127.0.0.1:8555"],
+ *       "explorer_api_url": "http://127.0.0.1:8555/api", "network": "pulsechain" }
+ *   (the synthetic chain's defaults match the `pulsechain` network profile: chain id 369, 10-second slots).
+ * - Scripts and tests can also start it in-process with createMockNode (see `./mock-node.js`).
+ */
+
+import { CHAIN_DEFAULTS } from './chain.js';
+import { createMockNode } from './mock-node.js';
+
+/**
+ * Parses command-line arguments of the form --key=value (or --flag).
+ * @returns {Object} The arguments by key.
+ */
+function parseArgs() {
+  const params = {};
+  for (const arg of process.argv.slice(2)) {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.slice(2).split('=');
+      params[key] = rest.length > 0 ? rest.join('=') : true;
+    }
+  }
+  return params;
+}
+
+/**
+ * Reads the synthetic chain parameters given as flags.
+ * @param {Object} params - The parsed command-line flags.
+ * @returns {Object} The chain parameters (see CHAIN_DEFAULTS in `./chain.js`).
+ * @throws {Error} If a parameter is not a non-negative number (or, for withdrawal addresses, not addresses; for
+ *         exited and slashed validators, not indices).
+ */
+function chainParams(params) {
+  const chain = {};
+  for (const name of Object.keys(CHAIN_DEFAULTS)) {
+    const flag = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    if (params[flag] === undefined) {
+      continue;
+    }
+    if (name === 'withdrawalAddresses') {
+      chain[name] = String(params[flag]).split(',');
+      if (!chain[name].every(address => /^0x[0-9a-fA-F]{40}$/.test(address))) {
+        throw new Error(`Invalid --${flag}: expected comma-separated addresses.`);
+      }
+    } else if (name === 'exitedValidators' || name === 'slashedValidators') {
+      const indices = String(params[flag]).split(',');
+      if (!indices.every(index => /^\d+$/.test(index))) {
+        throw new Error(`Invalid --${flag}: expected comma-separated validator indices.`);
+      }
+      chain[name] = indices.map(Number);
+    } else if (name === 'builderAddress' || name === 'transferRecipient') {
+      chain[name] = String(params[flag]);
+    } else {
+      const isBigInt = typeof CHAIN_DEFAULTS[name] === 'bigint';
+      if (isBigInt && !/^\d+$/.test(String(params[flag]))) {
+        throw new Error(`Invalid --${flag}: expected a non-negative integer.`);
+      }
+      const value = isBigInt ? BigInt(params[flag]) : Number(params[flag]);
+      if (!isBigInt && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`Invalid --${flag}: expected a non-negative integer.`);
+      }
+      chain[name] = value;
+    }
+  }
+  return chain;
+}
+
+async function main() {
+  const params = parseArgs();
+  const port = params.port === undefined ? 8555 : parseInt(params.port);
+  const host = params.host || '127.0.0.1';
+  if (isNaN(port)) {
+    console.error('Usage: node server.js [--port=8555] [--host=127.0.0.1] [--fixtures=fixtures] [--no-chain] [--validator-count=2000] [--genesis-time=1704067200] ...');
+    console.error('See the file header documentation for file `./server.js` for details.');
+    process.exit(1);
+  }
+  try {
+    const server = createMockNode({
+      fixtureDir: params.fixtures,
+      chain: params['no-chain'] ? false : chainParams(params)
+    });
+    server.listen(port, host, () => {
+      console.error(`Mock node listening on http://${host}:${port}${params.fixtures ? ` (fixtures from ${params.fixtures})` : ''}${params['no-chain'] ? ', fixtures only' : ''}.`);
+    });
+  } catch (error) {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
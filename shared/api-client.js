@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Beacon API and JSON-RPC access shared by the tools in this repository.
+ *
+ * A client is created per resolved configuration (see `./config.js`). It spreads requests over the configured
+ * `beacon_urls` and `rpc_urls` with failover, caps the requests in flight at `concurrency` (adapted to
+ * throttling), and retries failed requests with backoff; see `./endpoint-pool.js`.
+ *
+ * The `fetch` implementation is passed in by each tool (they depend on node-fetch; this directory has no
+ * dependencies of its own), defaulting to the global `fetch` of Node.js 18+. It is wrapped according to the
+ * `transport` setting, to record every exchange to fixtures or replay them with no network (see
+ * `./transport.js`).
+ *
+ * Cancelling: withSignal(signal, fn) aborts every request `fn` makes through any client, including from its
+ * asynchronous work (through AsyncLocalStorage, as withLogger in `./logger.js` does for loggers), once `signal`
+ * is aborted. Clients are shared between calls (e.g. the scans of one configuration), so the signal belongs to
+ * the call, not the client: cancelling one call leaves the others' requests alone. An aborted request fails with
+ * the signal's reason, and is neither retried nor counted against its endpoint.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createConcurrencyLimiter, createEndpointPool, parseRetryAfter } from './endpoint-pool.js';
+import { log } from './logger.js';
+import { createTransport } from './transport.js';
+
+// Hardcoded fetch timeout in ms (can be added to the configuration later if needed)
+const FETCH_TIMEOUT_MS = 30000;
+
+// The epoch value the beacon API reports for "not scheduled" (2^64 - 1), e.g. the exit epoch of an active validator
+export const FAR_FUTURE_EPOCH = '18446744073709551615';
+
+/**
+ * Parses an epoch from the beacon API.
+ * @param {string} epoch - The epoch as a decimal string.
+ * @returns {number|null} The epoch, or null if it is FAR_FUTURE_EPOCH (not scheduled).
+ */
+export function parseEpoch(epoch) {
+  return epoch === FAR_FUTURE_EPOCH ? null : parseInt(epoch);
+}
+
+const scopedSignal = new AsyncLocalStorage();
+
+/**
+ * Runs a function with an abort signal for every request it makes (see the file header).
+ * @param {AbortSignal|undefined} signal - The signal; if not set, the current one (if any) is kept.
+ * @param {Function} fn - The function.
+ * @returns {any} What `fn` returns.
+ */
+export function withSignal(signal, fn) {
+  return signal ? scopedSignal.run(signal, fn) : fn();
+}
+
+/**
+ * The abort signal of the enclosing withSignal call, if any.
+ * @returns {AbortSignal|undefined} The signal.
+ */
+export function currentSignal() {
+  return scopedSignal.getStore();
+}
+
+/**
+ * Waits for a while, or until the current signal (see withSignal) is aborted.
+ * @param {number} ms - How long to wait, in ms.
+ * @returns {Promise<void>} Resolves when the wait is over; rejects with the signal's reason if it is aborted.
+ */
+async function sleep(ms) {
+  const signal = currentSignal();
+  await new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done);
+  });
+  signal?.throwIfAborted();
+}
+
+/**
+ * A utility function to retry an async operation up to a specified number of times.
+ * Logs success after retries if applicable. Errors marked `permanent` (e.g. a replayed request with no
+ * fixture) are thrown at once, as is any error once the current signal (see withSignal) is aborted.
+ * @param {Function} fn - The async function to retry.
+ * @param {number} retries - Number of retries.
+ * @param {string} [context=''] - Optional context for logging (e.g., 'processing slot 123').
+ * @returns {Promise<any>} The result of the function.
+ */
+export async function retry(fn, retries = 4, context = '') {
+  let lastError;
+  let attempt = 1;
+  for (; attempt <= retries + 1; attempt++) {
+    try {
+      const result = await fn();
+      if (attempt > 1) {
+        log.info(`Retry succeeded on attempt ${attempt}${context ? ` for ${context}` : ''}`);
+      }
+      return result;
+    } catch (error) {
+      if (error.permanent || currentSignal()?.aborted) {
+        throw error;
+      }
+      lastError = error;
+      // The full error (with its stack) only at debug level; the message is enough to follow a run
+      log.debug(`Retry attempt ${attempt} error detail`, { error: error.stack || String(error) });
+      log.warn(`Retry attempt ${attempt} failed${context ? ` for ${context}` : ''}: ${error.message}. Retrying...`);
+      // Linear backoff, or longer if the provider asked for it with a Retry-After header
+      await sleep(Math.max(1000 * attempt, error.retryAfterMs || 0));
+    }
+  }
+  // The last error is kept as the cause, so callers can still tell what kind of request failed
+  throw new Error(`Fatal error: Crucial data could not be obtained after ${retries + 1} attempts${context ? ` for ${context}` : ''}. Please check your network connection and API conditions. Last error: ${lastError.message}`, { cause: lastError });
+}
+
+/**
+ * Creates an API client for a resolved configuration.
+ * @param {Object} config - The resolved configuration (see `./config.js`).
+ * @param {Object} [options={}] - Options.
+ * @param {Function} [options.fetch=globalThis.fetch] - The fetch implementation to use for network requests.
+ * @returns {{fetchBeacon: Function, fetchBeaconJson: Function, postBeaconJson: Function, postRpc: Function,
+ *          fetchExplorerJson: Function, verifyNetwork: Function}} The client:
+ *          - fetchBeacon(path[, options]): the raw beacon API response (4xx responses are returned, not thrown).
+ *          - fetchBeaconJson(path): the parsed response, with retries; throws on HTTP errors.
+ *          - postBeaconJson(path, body): likewise, for beacon API endpoints taking a JSON request body.
+ *          - postRpc(body, context): the parsed JSON-RPC response (an array for a batch).
+ *          - fetchExplorerJson(query): the parsed response of the block explorer API (`explorer_api_url`) to a
+ *            query such as `{ module: 'account', action: 'txlist', address }`, with retries.
+ *          - verifyNetwork([options]): checks the endpoints against the configured network; resolves to
+ *            `{ genesisTime, maxEffectiveBalanceGwei }`.
+ */
+export function createApiClient(config, { fetch = globalThis.fetch } = {}) {
+  const transport = createTransport({ mode: config.transport, dir: config.fixture_dir, fetch });
+  // Requests are spread over the configured endpoints, with at most `concurrency` in flight (adapted to throttling)
+  const beaconPool = createEndpointPool('beacon', config.beacon_urls);
+  const rpcPool = createEndpointPool('rpc', config.rpc_urls);
+  const limiter = createConcurrencyLimiter(config.concurrency);
+
+  /**
+   * A utility function to make a fetch request with timeout using AbortController. The request is also aborted
+   * with the current signal (see withSignal).
+   * @param {string} url - The URL to fetch.
+   * @param {Object} [options={}] - Fetch options.
+   * @returns {Promise<Response>} The fetch response.
+   * @throws {any} The signal's reason, if it is aborted before or during the request.
+   */
+  async function fetchWithTimeout(url, options = {}) {
+    const signal = currentSignal();
+    signal?.throwIfAborted();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    const cancel = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', cancel);
+    try {
+      const res = await transport(url, { ...options, signal: controller.signal });
+      return res;
+    } catch (error) {
+      signal?.throwIfAborted();
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Makes a request to the next available endpoint of a pool, through the concurrency limiter.
+   *
+   * HTTP 429 and 5xx responses count as failures of the endpoint (resting it for at least the `Retry-After`
+   * delay, if given) and reduce the concurrency limit; they are thrown as errors carrying `status` and
+   * `retryAfterMs`, so that `retry` tries again, normally on another endpoint. Other responses, including
+   * 4xx errors such as 404, are returned as they are for the caller to handle.
+   * @param {Object} pool - The endpoint pool (see `./endpoint-pool.js`).
+   * @param {string} path - The path to append to the endpoint URL ('' for JSON-RPC).
+   * @param {Object} [options={}] - Fetch options.
+   * @returns {Promise<Response>} The fetch response.
+   */
+  async function fetchFromPool(pool, path, options = {}) {
+    return limiter.run(async () => {
+      const endpoint = await pool.pick();
+      let res;
+      try {
+        res = await fetchWithTimeout(`${endpoint}${path}`, options);
+      } catch (error) {
+        if (!error.permanent && !currentSignal()?.aborted) {
+          pool.markFailure(endpoint);
+        }
+        throw error;
+      }
+      if (res.status === 429 || res.status >= 500) {
+        const retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+        pool.markFailure(endpoint, retryAfterMs);
+        limiter.throttle();
+        const error = new Error(`HTTP error! Status: ${res.status} from ${endpoint}${path}`);
+        error.status = res.status;
+        error.retryAfterMs = retryAfterMs;
+        throw error;
+      }
+      pool.markSuccess(endpoint);
+      return res;
+    });
+  }
+
+  /**
+   * Fetches a path from the beacon API endpoints.
+   * @param {string} path - The API path, e.g. '/eth/v1/beacon/genesis'.
+   * @param {Object} [options={}] - Fetch options, e.g. for a POST request.
+   * @returns {Promise<Response>} The fetch response.
+   */
+  async function fetchBeacon(path, options = {}) {
+    return fetchFromPool(beaconPool, path, options);
+  }
+
+  /**
+   * Fetches a beacon API path, with retries, and parses the JSON response.
+   * @param {string} path - The API path, e.g. '/eth/v1/beacon/genesis'.
+   * @returns {Promise<Object>} The parsed response.
+   * @throws {Error} On HTTP errors, with the status code as the error's `status` property.
+   */
+  async function fetchBeaconJson(path) {
+    const res = await retry(async () => await fetchBeacon(path), 4, `fetching ${path}`);
+    if (!res.ok) {
+      const error = new Error(`HTTP error! Status: ${res.status} for ${path}`);
+      error.status = res.status;
+      throw error;
+    }
+    return res.json();
+  }
+
+  /**
+   * Posts a JSON body to a beacon API path, with retries, and parses the JSON response.
+   * @param {string} path - The API path, e.g. '/eth/v1/beacon/rewards/attestations/1234'.
+   * @param {any} body - The request body, sent as JSON.
+   * @returns {Promise<Object>} The parsed response.
+   * @throws {Error} On HTTP errors, with the status code as the error's `status` property.
+   */
+  async function postBeaconJson(path, body) {
+    const res = await retry(async () => await fetchBeacon(path, {
+      method: 'POST',
+      body: JSON.stringify(body),
+      headers: {'Content-Type': 'application/json'}
+    }), 4, `posting to ${path}`);
+    if (!res.ok) {
+      const error = new Error(`HTTP error! Status: ${res.status} for ${path}`);
+      error.status = res.status;
+      throw error;
+    }
+    return res.json();
+  }
+
+  /**
+   * Posts a JSON-RPC request (single call or batch array) to the execution layer RPC endpoints.
+   * @param {Object|Object[]} body - The JSON-RPC request object, or an array of them for a batch.
+   * @param {string} context - Description of the request, for error messages (e.g., 'block 123').
+   * @returns {Promise<Object|Object[]>} The parsed JSON-RPC response (an array for a batch).
+   */
+  async function postRpc(body, context) {
+    const res = await fetchFromPool(rpcPool, '', {
+      method: 'POST',
+      body: JSON.stringify(body),
+      headers: {'Content-Type': 'application/json'}
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error! Status: ${res.status} for ${context}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * Queries the Etherscan-compatible API of the block explorer (`explorer_api_url`), with retries. The explorer
+   * is a single endpoint, outside the endpoint pools, but shares the concurrency limit.
+   * @param {Object.<string, string|number>} query - The query parameters, e.g. `{ module: 'account', action:
+   *        'txlist', address }`.
+   * @returns {Promise<Object>} The parsed response (`{ status, message, result }`).
+   * @throws {Error} If no explorer is configured, or on HTTP errors (with the status code as `status`).
+   */
+  async function fetchExplorerJson(query) {
+    if (!config.explorer_api_url) {
+      throw new Error(`No block explorer API is configured for network "${config.network}"; set explorer_api_url.`);
+    }
+    const url = `${config.explorer_api_url}?${new URLSearchParams(query)}`;
+    const res = await retry(async () => await limiter.run(async () => {
+      const response = await fetchWithTimeout(url);
+      if (response.status === 429 || response.status >= 500) {
+        limiter.throttle();
+        const error = new Error(`HTTP error! Status: ${response.status} from ${config.explorer_api_url}`);
+        error.status = response.status;
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+      }
+      return response;
+    }), 4, `querying the explorer for ${query.action}`);
+    if (!res.ok) {
+      const error = new Error(`HTTP error! Status: ${res.status} for explorer ${query.action}`);
+      error.status = res.status;
+      throw error;
+    }
+    return res.json();
+  }
+
+  /**
+   * Checks that the endpoints serve the configured network, so that e.g. testnet endpoints left in a mainnet
+   * config file fail loudly instead of producing wrong slot ranges. Compares the beacon node's genesis time
+   * (if `genesis_time` is set), slot time and slots per epoch (if it serves `/eth/v1/config/spec`), and the RPC
+   * chain id (if `chain_id` is set and the endpoint answers `eth_chainId`). Also reads the chain's maximum
+   * effective balance from the spec, for the tools to check `max_effective_balance` against.
+   * @param {Object} [options={}] - Options.
+   * @param {boolean} [options.rpc=true] - Whether to check the RPC endpoints too (tools using only the beacon
+   *        API can skip it).
+   * @returns {Promise<{genesisTime: number, maxEffectiveBalanceGwei: bigint|null, specError: string|null}>} The
+   *          beacon chain genesis time; its MAX_EFFECTIVE_BALANCE in gwei (null if the beacon node's spec does not
+   *          give it, or could not be read); and why the spec could not be read, if it was served but failed
+   *          (e.g. timeouts beyond the retries), as opposed to not served at all.
+   * @throws {Error} If anything does not match, naming the setting and both values.
+   */
+  async function verifyNetwork({ rpc = true } = {}) {
+    const genesisData = await fetchBeaconJson('/eth/v1/beacon/genesis');
+    const genesisTime = parseInt(genesisData.data.genesis_time);
+    const mismatches = [];
+    if (config.genesis_time !== null && config.genesis_time !== genesisTime) {
+      mismatches.push(`genesis_time is ${config.genesis_time}, but the beacon node reports ${genesisTime}`);
+    }
+
+    let spec = null;
+    let maxEffectiveBalanceGwei = null;
+    let specError = null;
+    try {
+      spec = (await fetchBeaconJson('/eth/v1/config/spec')).data;
+    } catch (error) {
+      // A 4xx answer means the node does not serve it; anything else (timeouts, 5xx, throttling) is a failure
+      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+        log.warn(`Beacon node does not serve its spec (${error.message}); slot timing is not checked.`);
+      } else {
+        specError = error.message;
+        log.warn(`Could not read the beacon node's spec (${error.message}); slot timing is not checked.`);
+      }
+    }
+    if (spec) {
+      if (spec.SECONDS_PER_SLOT !== undefined && Number(spec.SECONDS_PER_SLOT) !== config.slot_interval_seconds) {
+        mismatches.push(`slot_interval_seconds is ${config.slot_interval_seconds}, but the beacon node reports SECONDS_PER_SLOT=${spec.SECONDS_PER_SLOT}`);
+      }
+      if (spec.SLOTS_PER_EPOCH !== undefined && Number(spec.SLOTS_PER_EPOCH) !== config.slots_per_epoch) {
+        mismatches.push(`slots_per_epoch is ${config.slots_per_epoch}, but the beacon node reports SLOTS_PER_EPOCH=${spec.SLOTS_PER_EPOCH}`);
+      }
+      if (spec.MAX_EFFECTIVE_BALANCE !== undefined) {
+        maxEffectiveBalanceGwei = BigInt(spec.MAX_EFFECTIVE_BALANCE);
+      }
+    }
+
+    if (rpc && config.chain_id !== null) {
+      const data = await retry(async () => await postRpc({ jsonrpc: '2.0', method: 'eth_chainId', params: [], id: 1 }, 'chain id'), 4, 'fetching chain id');
+      if (data.result !== undefined && parseInt(data.result, 16) !== config.chain_id) {
+        mismatches.push(`chain_id is ${config.chain_id}, but the RPC endpoint reports ${parseInt(data.result, 16)}`);
+      }
+    }
+
+    if (mismatches.length > 0) {
+      throw new Error(`The configured endpoints do not match the "${config.network}" network settings:\n${mismatches.map(mismatch => `  - ${mismatch}`).join('\n')}\nCheck the endpoint URLs and the "network" setting.`);
+    }
+    return { genesisTime, maxEffectiveBalanceGwei, specError };
+  }
+
+  return { fetchBeacon, fetchBeaconJson, postBeaconJson, postRpc, fetchExplorerJson, verifyNetwork };
+}
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Layered configuration loader shared by the tools in this repository.
+ *
+ * Configuration is resolved from these layers, each overriding the one before:
+ *
+ * 1. Built-in defaults (`DEFAULTS` below), on top of which the selected network profile is applied.
+ * 2. The config file: the path given with `--config=<path>`, or else `config.json` in the working directory
+ *    if there is one.
+ * 3. Environment variables: `PVA_` followed by the upper-cased key, e.g. `PVA_CONCURRENCY=20` or
+ *    `PVA_RPC_URLS=https://a.example,https://b.example` (lists are comma-separated). Other `PVA_` variables are
+ *    ignored with a warning rather than rejected, as the environment is shared with whatever else runs there.
+ * 4. Command-line flags: the key in kebab-case, e.g. `--concurrency=20` or `--rpc-urls=https://a.example`.
+ *
+ * The `network` key (in any layer) selects a named network profile (see `NETWORKS`), which bundles the chain
+ * id, slot timing and public endpoints of that network. Values set explicitly in the config file, environment
+ * or command line still override the profile's.
+ *
+ * The resolved configuration is validated against `SCHEMA`; every problem is reported at once, naming the
+ * layer it came from.
+ *
+ * Library users can skip the file/environment/command-line layers entirely and call resolveConfig with a plain
+ * object, which is applied on top of the defaults and network profile.
+ *
+ * `log_level` and `log_format` select how the command-line tools log (e.g. `--log-level=warn` or
+ * `--log-format=json`); library users plug in their own logger instead (see `./logger.js`).
+ *
+ * `max_effective_balance` (in PLS, the principal returned by a validator's exit) is read from the beacon node's
+ * spec; set it only for nodes that do not serve one. If it is set anyway, it must match the node's.
+ *
+ * `explorer_api_url` is the Etherscan-compatible API of a block explorer (the network's public one by default),
+ * used to list the transactions of wallets when reconciling their balances; set it to null to do without.
+ *
+ * `transport` ('live', 'record' or 'replay') and `fixture_dir` record every beacon API and JSON-RPC exchange
+ * to a fixture directory, or replay a recorded run with no network access (e.g. `--transport=replay
+ * --fixture-dir=fixtures/report-2025-03`); see `./transport.js`.
+ */
+
+import fs from 'node:fs'; // Built-in Node.js module for file system operations
+import path from 'node:path';
+import { LOG_FORMATS, LOG_LEVELS, log } from './logger.js';
+import { TRANSPORT_MODES } from './transport.js';
+
+// Named network profiles. Genesis time is not pinned here: it is read from the beacon node, and checked
+// against `genesis_time` only if that is set explicitly.
+export const NETWORKS = {
+  pulsechain: {
+    chain_id: 369,
+    slot_interval_seconds: 10,
+    slots_per_epoch: 32,
+    beacon_urls: ['https://rpc-pulsechain.g4mm4.io/beacon-api'],
+    rpc_urls: ['https://rpc-pulsechain.g4mm4.io', 'https://rpc.pulsechain.com', 'https://pulsechain-rpc.publicnode.com'],
+    // PulseX WPLS/DAI pair, for pricing PLS in USD (DAI bridged from Ethereum, taken as 1 USD)
+    wpls_address: '0xa1077a294dde1b09bb078844df40758a5d0f9a27',
+    price_pair_address: '0xe56043671df55de5cdf8459710433c10324de0ae',
+    // Etherscan-compatible API of the block explorer, for listing wallet transactions (see reconciliation)
+    explorer_api_url: 'https://api.scan.pulsechain.com/api'
+  },
+  'pulsechain-testnet-v4': {
+    chain_id: 943,
+    slot_interval_seconds: 10,
+    slots_per_epoch: 32,
+    beacon_urls: ['https://rpc-testnet-pulsechain.g4mm4.io/beacon-api'],
+    rpc_urls: ['https://rpc-testnet-pulsechain.g4mm4.io', 'https://rpc.v4.testnet.pulsechain.com'],
+    // Testnet tokens have no market price
+    wpls_address: null,
+    price_pair_address: null,
+    explorer_api_url: 'https://api.scan.v4.testnet.pulsechain.com/api'
+  }
+};
+
+// Built-in defaults, below the network profile
+export const DEFAULTS = {
+  network: 'pulsechain',
+  genesis_time: null,
+  max_effective_balance: null,
+  concurrency: 90,
+  cache_dir: '.cache',
+  sweep_sample_slots: 64,
+  log_level: 'info',
+  log_format: 'text',
+  transport: 'live',
+  fixture_dir: 'fixtures'
+};
+
+// Prefix of the environment variables read by loadConfig
+const ENV_PREFIX = 'PVA_';
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isUrl = value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+const isUrlOrNull = value => value === null || isUrl(value);
+const isAddressOrNull = value => value === null || (typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value));
+
+// Every accepted key: its type (for parsing environment variables and flags), a check, and what it must be
+const SCHEMA = {
+  network: { type: 'string', check: value => Object.hasOwn(NETWORKS, value), expected: `one of: ${Object.keys(NETWORKS).join(', ')}` },
+  chain_id: { type: 'number', check: value => value === null || isPositiveInteger(value), expected: 'a positive integer or null' },
+  genesis_time: { type: 'number', check: value => value === null || isPositiveInteger(value), expected: 'a Unix timestamp or null' },
+  beacon_urls: { type: 'list', check: value => Array.isArray(value) && value.length > 0 && value.every(isUrl), expected: 'a non-empty list of http(s) URLs' },
+  rpc_urls: { type: 'list', check: value => Array.isArray(value) && value.length > 0 && value.every(isUrl), expected: 'a non-empty list of http(s) URLs' },
+  slot_interval_seconds: { type: 'number', check: value => typeof value === 'number' && value > 0, expected: 'a positive number' },
+  slots_per_epoch: { type: 'number', check: isPositiveInteger, expected: 'a positive integer' },
+  max_effective_balance: { type: 'number', check: value => value === null || isPositiveInteger(value), expected: 'a positive integer or null' },
+  concurrency: { type: 'number', check: isPositiveInteger, expected: 'a positive integer' },
+  cache_dir: { type: 'string', check: value => typeof value === 'string' && value.length > 0, expected: 'a non-empty path' },
+  sweep_sample_slots: { type: 'number', check: isPositiveInteger, expected: 'a positive integer' },
+  wpls_address: { type: 'address', check: isAddressOrNull, expected: 'a 20-byte hex address or null' },
+  price_pair_address: { type: 'address', check: isAddressOrNull, expected: 'a 20-byte hex address or null' },
+  explorer_api_url: { type: 'url', check: isUrlOrNull, expected: 'an http(s) URL or null' },
+  log_level: { type: 'string', check: value => LOG_LEVELS.includes(value), expected: `one of: ${LOG_LEVELS.join(', ')}` },
+  log_format: { type: 'string', check: value => LOG_FORMATS.includes(value), expected: `one of: ${LOG_FORMATS.join(', ')}` },
+  transport: { type: 'string', check: value => TRANSPORT_MODES.includes(value), expected: `one of: ${TRANSPORT_MODES.join(', ')}` },
+  fixture_dir: { type: 'string', check: value => typeof value === 'string' && value.length > 0, expected: 'a non-empty path' }
+};
+
+// Older config files used a single `beacon_url` / `rpc_url`; they are still accepted
+const LEGACY_KEYS = { beacon_url: 'beacon_urls', rpc_url: 'rpc_urls' };
+
+// Settings that are no longer configurable, with the one value older config files may still give them (amounts
+// are converted with fixed units, see `../get-validator-payments/amounts.js`)
+const RETIRED_KEYS = { gwei_to_pls: 1000000000 };
+
+/**
+ * Thrown when the configuration is invalid; `problems` lists every issue found.
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Normalizes one configuration layer: renames legacy keys, drops retired ones and flags unknown ones.
+ * @param {Object} layer - The layer's values.
+ * @param {string} source - Where the layer came from, for error messages.
+ * @param {string[]} problems - Problems found are appended here.
+ * @returns {Object} The normalized layer, with the source of each key in `sources`.
+ */
+function normalizeLayer(layer, source, problems) {
+  const values = {};
+  for (const [rawKey, value] of Object.entries(layer)) {
+    if (Object.hasOwn(RETIRED_KEYS, rawKey)) {
+      if (Number(value) !== RETIRED_KEYS[rawKey]) {
+        problems.push(`"${rawKey}" (from ${source}) is no longer a setting, and can only be ${RETIRED_KEYS[rawKey]}; remove it.`);
+      }
+      continue;
+    }
+    const key = LEGACY_KEYS[rawKey] || rawKey;
+    if (!Object.hasOwn(SCHEMA, key)) {
+      problems.push(`Unknown setting "${rawKey}" (from ${source}).`);
+      continue;
+    }
+    values[key] = LEGACY_KEYS[rawKey] && !Array.isArray(value) ? [value] : value;
+  }
+  return values;
+}
+
+/**
+ * Parses a string value from an environment variable or command-line flag according to the key's type.
+ * @param {string} key - The setting.
+ * @param {string} raw - The string value.
+ * @returns {any} The parsed value (left as a string if it does not parse, for validation to report).
+ */
+function parseValue(key, raw) {
+  switch (SCHEMA[key].type) {
+    case 'number':
+      return raw === 'null' ? null : (raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw);
+    case 'list':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    case 'address':
+    case 'url':
+      return raw === 'null' ? null : raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Merges configuration layers over the defaults and the selected network profile, and validates the result.
+ * @param {Array<{source: string, values: Object}>} layers - The layers, lowest precedence first.
+ * @returns {Object} The resolved configuration.
+ * @throws {ConfigError} If any layer has unknown keys or the result has invalid values.
+ */
+function mergeLayers(layers) {
+  const problems = [];
+  const normalized = layers.map(({ source, values }) => ({ source, values: normalizeLayer(values, source, problems) }));
+
+  // The profile sits right above the defaults, so the network can be chosen in any layer
+  const network = normalized.reduce((name, { values }) => values.network ?? name, DEFAULTS.network);
+  const all = [
+    { source: 'defaults', values: DEFAULTS },
+    { source: `network profile "${network}"`, values: NETWORKS[network] || {} },
+    ...normalized
+  ];
+
+  const config = {};
+  const sources = {};
+  for (const { source, values } of all) {
+    for (const [key, value] of Object.entries(values)) {
+      config[key] = value;
+      sources[key] = source;
+    }
+  }
+
+  for (const [key, rule] of Object.entries(SCHEMA)) {
+    if (config[key] === undefined) {
+      // With an unknown network, settings missing for lack of its profile would only bury the real problem
+      if (Object.hasOwn(NETWORKS, network)) {
+        problems.push(`Missing setting "${key}" (expected ${rule.expected}).`);
+      }
+    } else if (!rule.check(config[key])) {
+      problems.push(`Invalid "${key}" from ${sources[key]}: ${JSON.stringify(config[key])} (expected ${rule.expected}).`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+/**
+ * Resolves a configuration object given directly (e.g. by a library user) over the defaults and network
+ * profile. Resolving an already-resolved configuration again gives the same result.
+ * @param {Object} [values={}] - Settings to apply; any subset of the keys in `SCHEMA`.
+ * @returns {Object} The resolved configuration.
+ * @throws {ConfigError} If the configuration is invalid.
+ */
+export function resolveConfig(values = {}) {
+  return mergeLayers([{ source: 'config object', values }]);
+}
+
+/**
+ * Loads the configuration for a command-line tool from all layers: defaults and network profile, config
+ * file, environment variables and command-line flags.
+ * @param {Object} [params={}] - Parsed command-line flags (`--key=value` as `{ key: value }`); `config` selects
+ *        the config file, and flags that are not settings (e.g. `ids`) are ignored.
+ * @param {Object} [env=process.env] - The environment.
+ * @returns {Object} The resolved configuration.
+ * @throws {ConfigError} If the config file cannot be read or the configuration is invalid.
+ */
+export function loadConfig(params = {}, env = process.env) {
+  const layers = [];
+
+  const file = params.config || (fs.existsSync('config.json') ? 'config.json' : null);
+  if (file) {
+    let values;
+    try {
+      values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new ConfigError([`Cannot read config file ${path.resolve(file)}: ${error.message}`]);
+    }
+    layers.push({ source: `config file ${file}`, values });
+  }
+
+  const envValues = {};
+  for (const [name, raw] of Object.entries(env)) {
+    if (name.startsWith(ENV_PREFIX)) {
+      const key = name.slice(ENV_PREFIX.length).toLowerCase();
+      if (!Object.hasOwn(SCHEMA, key) && !Object.hasOwn(LEGACY_KEYS, key) && !Object.hasOwn(RETIRED_KEYS, key)) {
+        log.warn(`Ignoring environment variable ${name}: "${key}" is not a setting.`);
+        continue;
+      }
+      envValues[key] = Object.hasOwn(SCHEMA, key) ? parseValue(key, raw) : raw;
+    }
+  }
+  layers.push({ source: 'environment', values: envValues });
+
+  const flagValues = {};
+  for (const [flag, raw] of Object.entries(params)) {
+    const key = flag.replace(/-/g, '_');
+    if (Object.hasOwn(SCHEMA, key)) {
+      flagValues[key] = typeof raw === 'string' ? parseValue(key, raw) : raw;
+    }
+  }
+  layers.push({ source: 'command line', values: flagValues });
+
+  return mergeLayers(layers);
+}
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Decoding of validator withdrawal credentials.
+ *
+ * The first byte of the 32-byte withdrawal credentials tells how a validator is paid:
+ *
+ * - 0x00 (BLS): no execution address yet. The remaining 31 bytes are the last 31 bytes of the SHA-256 hash of the
+ *   BLS withdrawal public key, which can sign a one-time `BLSToExecutionChange` to switch to 0x01. Until then,
+ *   the validator receives no withdrawals at all.
+ * - 0x01 (execution): withdrawals go to the execution address in the last 20 bytes.
+ * - 0x02 (compounding): likewise paid to the execution address in the last 20 bytes, but the effective balance
+ *   may grow above the usual maximum, so only the excess over the compounding maximum is skimmed.
+ */
+
+// Known credential prefixes and what they are called in output
+export const CREDENTIAL_TYPES = {
+  '0x00': 'bls',
+  '0x01': 'execution',
+  '0x02': 'compounding'
+};
+
+/**
+ * Decodes withdrawal credentials.
+ * @param {string} credentials - The credentials as a 0x-prefixed 32-byte hex string.
+ * @returns {{prefix: string, type: string, address: string|null, blsPubkeyHash: string|null}} The prefix (e.g.
+ *          '0x01'); the type ('bls', 'execution', 'compounding' or 'unknown'); the execution address withdrawals
+ *          go to (null for BLS and unknown credentials); and for BLS credentials, the 31-byte hash of the BLS
+ *          withdrawal public key (otherwise null).
+ */
+export function decodeWithdrawalCredentials(credentials) {
+  const hex = credentials.toLowerCase();
+  const prefix = hex.slice(0, 4);
+  const type = CREDENTIAL_TYPES[prefix] || 'unknown';
+  return {
+    prefix,
+    type,
+    address: type === 'execution' || type === 'compounding' ? '0x' + hex.slice(-40) : null,
+    blsPubkeyHash: type === 'bls' ? '0x' + hex.slice(4) : null
+  };
+}
+
+/**
+ * Describes decoded withdrawal credentials in words, for console output.
+ * @param {Object} decoded - As returned by decodeWithdrawalCredentials.
+ * @returns {string} The description.
+ */
+export function describeWithdrawalCredentials(decoded) {
+  switch (decoded.type) {
+    case 'execution':
+      return decoded.address;
+    case 'compounding':
+      return `${decoded.address} (0x02 compounding credentials)`;
+    case 'bls':
+      return `Not set: BLS withdrawal credentials (0x00), BLS withdrawal pubkey hash ${decoded.blsPubkeyHash}`;
+    default:
+      return `Unknown withdrawal credentials type ${decoded.prefix}`;
+  }
+}
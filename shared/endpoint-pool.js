@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Multi-endpoint failover pool and adaptive concurrency limiter for API requests.
+ *
+ * Endpoint pool: requests are spread round-robin over a list of equivalent endpoints (e.g. several beacon API or
+ * JSON-RPC providers, such as those listed in the top-level `README.md`). An endpoint that fails repeatedly
+ * (network errors, HTTP 429 or 5xx) is marked unhealthy and avoided for a cooldown period, which doubles
+ * each time it fails again, up to a maximum. After the cooldown it gets another chance; one success makes it
+ * healthy again. The cooldown is a preference, not a ban: if no healthy endpoint is left, the unhealthy one
+ * closest to the end of its cooldown is used rather than stalling. An HTTP 429 with a `Retry-After` header,
+ * on the other hand, is honored strictly: the endpoint is not used again until that delay has passed.
+ *
+ * Concurrency limiter: caps the number of requests in flight. The limit is halved whenever a provider signals
+ * overload (HTTP 429 or 5xx) and grows back by one after each run of successes as long as the current limit,
+ * up to the configured maximum (additive increase, multiplicative decrease). This replaces hand-tuning the
+ * `concurrency` setting (see `./config.js`), which now only sets the upper bound.
+ */
+
+import { log } from './logger.js';
+
+// Consecutive failures after which an endpoint is marked unhealthy
+const FAILURE_THRESHOLD = 3;
+
+// Cooldown for an unhealthy endpoint: starts at the base, doubles on each further failure, up to the maximum
+const BASE_COOLDOWN_MS = 30000;
+const MAX_COOLDOWN_MS = 600000;
+
+// Minimum time between two halvings of the concurrency limit, so a burst of simultaneous 429s counts once
+const THROTTLE_WINDOW_MS = 2000;
+
+/**
+ * Parses an HTTP `Retry-After` header value (either seconds or an HTTP date).
+ * @param {string|null} value - The header value.
+ * @returns {number} The delay in ms, or 0 if absent or unparseable.
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return 0;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Creates a failover pool over a list of equivalent endpoint URLs.
+ * @param {string} name - Name of the pool for log messages (e.g. 'beacon').
+ * @param {string[]} urls - The endpoint base URLs.
+ * @returns {{pick: Function, markSuccess: Function, markFailure: Function, status: Function}} The pool:
+ *          - pick(): Promise resolving to the URL to use next; waits only if every endpoint sent a Retry-After.
+ *          - markSuccess(url) / markFailure(url, [retryAfterMs]): report the outcome of a request.
+ *          - status(): the current state of every endpoint, for diagnostics.
+ */
+export function createEndpointPool(name, urls) {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new Error(`No ${name} endpoints configured.`);
+  }
+  const endpoints = urls.map(url => ({ url, failures: 0, healthy: true, retryAfterUntil: 0, cooldownUntil: 0, cooldownMs: BASE_COOLDOWN_MS }));
+  let next = 0;
+
+  async function pick() {
+    for (;;) {
+      const now = Date.now();
+      for (let i = 0; i < endpoints.length; i++) {
+        const endpoint = endpoints[(next + i) % endpoints.length];
+        if (endpoint.retryAfterUntil <= now && endpoint.cooldownUntil <= now) {
+          next = (next + i + 1) % endpoints.length;
+          return endpoint.url;
+        }
+      }
+      // No endpoint is fully available: fall back to the usable one whose cooldown ends first
+      const usable = endpoints.filter(endpoint => endpoint.retryAfterUntil <= now);
+      if (usable.length > 0) {
+        return usable.reduce((a, b) => (b.cooldownUntil < a.cooldownUntil ? b : a)).url;
+      }
+      // Every endpoint asked us to back off (Retry-After): wait for the first one to allow requests again
+      const wakeAt = Math.min(...endpoints.map(endpoint => endpoint.retryAfterUntil));
+      await new Promise(resolve => setTimeout(resolve, wakeAt - now));
+    }
+  }
+
+  function find(url) {
+    return endpoints.find(endpoint => endpoint.url === url);
+  }
+
+  function markSuccess(url) {
+    const endpoint = find(url);
+    if (!endpoint.healthy) {
+      log.info(`${name} endpoint ${url} is healthy again.`);
+    }
+    endpoint.failures = 0;
+    endpoint.healthy = true;
+    endpoint.cooldownMs = BASE_COOLDOWN_MS;
+  }
+
+  function markFailure(url, retryAfterMs = 0) {
+    const endpoint = find(url);
+    const now = Date.now();
+    endpoint.failures++;
+    endpoint.retryAfterUntil = Math.max(endpoint.retryAfterUntil, now + retryAfterMs);
+    // Only start a new cooldown once the previous one is over, so a burst of failures counts once
+    if (endpoint.failures >= FAILURE_THRESHOLD && endpoint.cooldownUntil <= now) {
+      if (endpoint.healthy) {
+        log.warn(`${name} endpoint ${url} marked unhealthy after ${endpoint.failures} consecutive failures; retrying it in ${endpoint.cooldownMs / 1000}s.`);
+      }
+      endpoint.healthy = false;
+      endpoint.cooldownUntil = now + endpoint.cooldownMs;
+      endpoint.cooldownMs = Math.min(endpoint.cooldownMs * 2, MAX_COOLDOWN_MS);
+    }
+  }
+
+  function status() {
+    const now = Date.now();
+    return endpoints.map(({ url, healthy, failures, retryAfterUntil, cooldownUntil }) => {
+      const until = Math.max(retryAfterUntil, cooldownUntil);
+      return { url, healthy, failures, restingUntil: until > now ? new Date(until).toISOString() : null };
+    });
+  }
+
+  return { pick, markSuccess, markFailure, status };
+}
+
+/**
+ * Creates an adaptive concurrency limiter.
+ * @param {number} maxConcurrency - The upper bound (and starting value) for requests in flight.
+ * @returns {{run: Function, throttle: Function, limit: Function}} The limiter:
+ *          - run(fn): runs the async function once a slot is free, resolving to its result.
+ *          - throttle(): signals provider overload; halves the limit.
+ *          - limit(): the current limit.
+ */
+export function createConcurrencyLimiter(maxConcurrency) {
+  let limit = maxConcurrency;
+  let active = 0;
+  let successes = 0;
+  let lastThrottle = 0;
+  const waiting = [];
+
+  function release() {
+    active--;
+    while (active < limit && waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  }
+
+  async function run(fn) {
+    if (active < limit) {
+      active++;
+    } else {
+      await new Promise(resolve => waiting.push(resolve));
+    }
+    try {
+      const result = await fn();
+      // Ramp back up: one more slot after as many successes as there currently are slots
+      if (limit < maxConcurrency && ++successes >= limit) {
+        successes = 0;
+        limit++;
+      }
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  function throttle() {
+    const now = Date.now();
+    if (now - lastThrottle < THROTTLE_WINDOW_MS) {
+      return;
+    }
+    lastThrottle = now;
+    successes = 0;
+    const previous = limit;
+    limit = Math.max(1, Math.floor(limit / 2));
+    if (limit !== previous) {
+      log.warn(`Provider overloaded; reducing concurrency from ${previous} to ${limit}.`);
+    }
+  }
+
+  return { run, throttle, limit: () => limit };
+}
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Leveled logging for the tools in this repository.
+ *
+ * The library code never writes to the console directly: it logs through `log` (below), which forwards to the
+ * current logger. A logger is any object with `debug`, `info`, `warn` and `error` methods taking
+ * `(message, fields)`, where `message` is a human-readable line and `fields` an optional object of structured
+ * details (e.g. `{ slot, attempt }`), so applications embedding the tools can plug in their own (pino, winston,
+ * or a wrapper around their logging) and control where output goes.
+ *
+ * Two loggers are provided:
+ * - createConsoleLogger: what the command-line tools use by default; plain text on stderr, with the fields (if
+ *   any) appended. Logs never go to stdout, which is left to results (e.g. JSON output, `--ids-only` lists).
+ * - createJsonLogger: one JSON object per line, `{ time, level, msg, ...fields }`, written to stderr (or any
+ *   `write` function), for log collectors.
+ * Either takes a `level` ('debug', 'info', 'warn', 'error' or 'silent'); messages below it are dropped.
+ *
+ * Which logger is current:
+ * - setLogger(logger) replaces the default console logger for the whole process.
+ * - withLogger(logger, fn) uses a logger for everything `fn` does, including its asynchronous work (through
+ *   AsyncLocalStorage), so that concurrent calls in one process can each log their own way. The library
+ *   functions taking a `logger` option use this.
+ *
+ * The `log_level` and `log_format` settings (see `./config.js`) select the command-line tools' logger; see
+ * createLoggerFromConfig.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { inspect } from 'node:util';
+
+// Log levels, in increasing severity; 'silent' drops everything
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Output formats of the built-in loggers
+export const LOG_FORMATS = ['text', 'json'];
+
+/**
+ * Returns a check of whether a message level passes a logger's level.
+ * @param {string} level - The logger's level.
+ * @returns {Function} enabled(messageLevel): true if a message of that level is logged.
+ * @throws {Error} If the level is unknown.
+ */
+function levelFilter(level) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold < 0) {
+    throw new Error(`Invalid log level "${level}"; expected one of: ${LOG_LEVELS.join(', ')}.`);
+  }
+  return messageLevel => LOG_LEVELS.indexOf(messageLevel) >= threshold;
+}
+
+/**
+ * Builds a logger from a write function.
+ * @param {string} level - The logger's level.
+ * @param {Function} write - write(messageLevel, message, fields): outputs a message that passed the level.
+ * @returns {Object} The logger.
+ */
+function makeLogger(level, write) {
+  const enabled = levelFilter(level);
+  const logger = {};
+  for (const messageLevel of LOG_LEVELS.slice(0, -1)) {
+    logger[messageLevel] = (message, fields) => {
+      if (enabled(messageLevel)) {
+        write(messageLevel, message, fields);
+      }
+    };
+  }
+  return logger;
+}
+
+/**
+ * Creates a plain-text logger writing to the console (stderr).
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.level='info'] - The lowest level logged.
+ * @returns {Object} The logger.
+ */
+export function createConsoleLogger({ level = 'info' } = {}) {
+  return makeLogger(level, (messageLevel, message, fields) => {
+    console.error(fields && Object.keys(fields).length > 0 ? `${message} ${inspect(fields, { depth: 4 })}` : message);
+  });
+}
+
+/**
+ * Creates a logger writing one JSON object per line.
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.level='info'] - The lowest level logged.
+ * @param {Function} [options.write] - Called with each line (newline included); writes to stderr by default.
+ * @returns {Object} The logger.
+ */
+export function createJsonLogger({ level = 'info', write = line => process.stderr.write(line) } = {}) {
+  return makeLogger(level, (messageLevel, message, fields) => {
+    // BigInt amounts (wei) are written as decimal strings, and errors by their message
+    write(JSON.stringify({ time: new Date().toISOString(), level: messageLevel, msg: message, ...fields }, (key, value) => {
+      if (typeof value === 'bigint') {
+        return value.toString();
+      }
+      return value instanceof Error ? value.message : value;
+    }) + '\n');
+  });
+}
+
+/**
+ * Creates the logger selected by the `log_level` and `log_format` settings.
+ * @param {Object} config - The resolved configuration (see `./config.js`).
+ * @returns {Object} The logger.
+ */
+export function createLoggerFromConfig(config) {
+  const options = { level: config.log_level };
+  return config.log_format === 'json' ? createJsonLogger(options) : createConsoleLogger(options);
+}
+
+let processLogger = createConsoleLogger();
+const scopedLogger = new AsyncLocalStorage();
+
+/**
+ * Replaces the process-wide logger.
+ * @param {Object} logger - The logger.
+ */
+export function setLogger(logger) {
+  processLogger = logger;
+}
+
+/**
+ * Runs a function with a logger for everything it does (see the file header).
+ * @param {Object|undefined} logger - The logger; if not set, the current one is kept.
+ * @param {Function} fn - The function.
+ * @returns {any} What `fn` returns.
+ */
+export function withLogger(logger, fn) {
+  return logger ? scopedLogger.run(logger, fn) : fn();
+}
+
+/**
+ * The current logger: the one of the enclosing withLogger call, if any, else the process-wide one.
+ */
+export const log = Object.fromEntries(LOG_LEVELS.slice(0, -1).map(level => [
+  level,
+  (message, fields) => (scopedLogger.getStore() || processLogger)[level](message, fields)
+]));
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Validator portfolio files: the validators an operator runs, with labels, owner/client groups
+ * and the addresses they are expected to pay to, for the tools to take instead of long `--ids` lists and to
+ * report per party.
+ *
+ * A portfolio is a YAML or JSON file:
+ *
+ *   groups:                       # optional; defaults for the validators of each group
+ *     acme:
+ *       name: Acme Holdings Ltd   # optional display name
+ *       withdrawal_address: 0x1111111111111111111111111111111111111111
+ *       fee_recipient: 0x1111111111111111111111111111111111111111
+ *   validators:
+ *     - id: 12345                 # index or public key
+ *       label: acme-node-1        # optional; several validators may share a label (e.g. one per machine)
+ *       group: acme               # optional
+ *     - id: 0xabc...
+ *       label: own-1
+ *       withdrawal_address: 0x2222222222222222222222222222222222222222   # overrides the group's
+ *
+ * `withdrawal_address` is the address the validator's withdrawal credentials should pay to; a validator whose
+ * on-chain credentials differ (another address, or still BLS) is warned about. `fee_recipient` is the address
+ * its proposals should pay their priority fees to (see the `feeRecipients` option of getValidatorPayments).
+ * Both are optional, per validator or per group. Groups used by validators need not be listed under `groups`.
+ *
+ * Files are checked when loaded: unknown keys, invalid IDs and addresses and duplicate validators are all
+ * reported at once.
+ *
+ * YAML is read with the `yaml` package, which each tool passes in (this directory has no dependencies of its
+ * own, see `./api-client.js`), with its core schema: empty values and `~` are null, so e.g. an empty `groups:`
+ * or `label:` means none. Hex numbers are left as strings, so addresses and public keys keep their exact
+ * spelling; decimal IDs are read as numbers and turned back into strings.
+ */
+
+import fs from 'node:fs';
+
+// Keys accepted per validator entry and per group
+const VALIDATOR_KEYS = ['id', 'label', 'group', 'withdrawal_address', 'fee_recipient'];
+const GROUP_KEYS = ['name', 'withdrawal_address', 'fee_recipient'];
+
+const isAddress = value => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+const isValidatorId = value => /^(\d+|0x[0-9a-fA-F]{96})$/.test(value);
+
+// Options for the `yaml` package's parse: the core schema without its hex integers (see the file header)
+const YAML_OPTIONS = { schema: 'core', customTags: tags => tags.filter(tag => tag.format !== 'HEX') };
+
+/**
+ * Validates and normalizes a parsed portfolio.
+ * @param {any} raw - The parsed file.
+ * @param {string} [source='portfolio'] - Name of the file, for error messages.
+ * @returns {{groups: Object.<string, Object>, validators: Object[]}} The portfolio: `groups` by name as
+ *          `{ name, withdrawalAddress, feeRecipient }`, and `validators` in file order as `{ id, label, group,
+ *          withdrawalAddress, feeRecipient }`, with the group's addresses filled in where the validator has none.
+ *          IDs are strings (public keys in lower case), addresses in lower case, and missing values null.
+ * @throws {Error} Listing every problem found.
+ */
+export function normalizePortfolio(raw, source = 'portfolio') {
+  const problems = [];
+  const address = (value, where) => {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (!isAddress(value)) {
+      problems.push(`${where}: ${JSON.stringify(value)} is not a 20-byte hex address.`);
+      return null;
+    }
+    return value.toLowerCase();
+  };
+  const unknownKeys = (object, allowed, where) => {
+    for (const key of Object.keys(object)) {
+      if (!allowed.includes(key)) {
+        problems.push(`${where}: unknown key "${key}" (expected: ${allowed.join(', ')}).`);
+      }
+    }
+  };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid portfolio ${source}: expected a mapping with a "validators" list.`);
+  }
+  unknownKeys(raw, ['groups', 'validators'], source);
+
+  const groups = {};
+  if (raw.groups !== undefined && raw.groups !== null) {
+    if (typeof raw.groups !== 'object' || Array.isArray(raw.groups)) {
+      problems.push('"groups" must be a mapping of group names to their settings.');
+    } else {
+      for (const [name, settings] of Object.entries(raw.groups)) {
+        const group = settings || {};
+        if (typeof group !== 'object' || Array.isArray(group)) {
+          problems.push(`groups.${name}: expected a mapping.`);
+          continue;
+        }
+        unknownKeys(group, GROUP_KEYS, `groups.${name}`);
+        groups[name] = {
+          name: group.name === undefined || group.name === null ? name : String(group.name),
+          withdrawalAddress: address(group.withdrawal_address, `groups.${name}.withdrawal_address`),
+          feeRecipient: address(group.fee_recipient, `groups.${name}.fee_recipient`)
+        };
+      }
+    }
+  }
+
+  const validators = [];
+  if (!Array.isArray(raw.validators) || raw.validators.length === 0) {
+    problems.push('"validators" must be a non-empty list.');
+  } else {
+    const seen = new Set();
+    raw.validators.forEach((entry, i) => {
+      const where = `validators[${i}]`;
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        problems.push(`${where}: expected a mapping with an "id".`);
+        return;
+      }
+      unknownKeys(entry, VALIDATOR_KEYS, where);
+      const id = entry.id === undefined || entry.id === null ? '' : String(entry.id).toLowerCase();
+      if (!isValidatorId(id)) {
+        problems.push(`${where}: "id" must be a validator index or 48-byte public key, got ${JSON.stringify(entry.id)}.`);
+        return;
+      }
+      if (seen.has(id)) {
+        problems.push(`${where}: validator ${id} is listed more than once.`);
+        return;
+      }
+      seen.add(id);
+      const group = entry.group === undefined || entry.group === null ? null : String(entry.group);
+      if (group !== null && !groups[group]) {
+        groups[group] = { name: group, withdrawalAddress: null, feeRecipient: null };
+      }
+      validators.push({
+        id,
+        label: entry.label === undefined || entry.label === null ? null : String(entry.label),
+        group,
+        withdrawalAddress: address(entry.withdrawal_address, `${where}.withdrawal_address`) ?? groups[group]?.withdrawalAddress ?? null,
+        feeRecipient: address(entry.fee_recipient, `${where}.fee_recipient`) ?? groups[group]?.feeRecipient ?? null
+      });
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid portfolio ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return { groups, validators };
+}
+
+/**
+ * Reads a portfolio file: JSON if its name ends in `.json`, YAML otherwise.
+ * @param {string} file - The path.
+ * @param {Object} [options={}] - Options.
+ * @param {Function} [options.parseYaml] - The `parse` function of the `yaml` package; without it, only JSON
+ *        portfolios can be read.
+ * @returns {Object} The portfolio (see normalizePortfolio).
+ * @throws {Error} If the file cannot be read or parsed, or is invalid.
+ */
+export function loadPortfolio(file, { parseYaml } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Portfolio file ${file} could not be read: ${error.message}`);
+  }
+  let raw;
+  if (file.toLowerCase().endsWith('.json')) {
+    try {
+      raw = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Portfolio file ${file} is not valid JSON: ${error.message}`);
+    }
+  } else {
+    if (!parseYaml) {
+      throw new Error(`Portfolio file ${file} is YAML, which this tool cannot read; use a JSON portfolio (ending in .json).`);
+    }
+    try {
+      raw = parseYaml(text, YAML_OPTIONS);
+    } catch (error) {
+      throw new Error(`Portfolio file ${file} is not valid YAML: ${error.message}`);
+    }
+  }
+  return normalizePortfolio(raw, file);
+}
+
+/**
+ * Finds the portfolio entry of a validator.
+ * @param {Object} portfolio - The portfolio (see normalizePortfolio).
+ * @param {number} index - The validator index.
+ * @param {string} [pubkey] - The validator public key, if known.
+ * @returns {Object|null} The entry, or null if the validator is not in the portfolio.
+ */
+export function portfolioEntryOf(portfolio, index, pubkey) {
+  return portfolio.validators.find(entry => entry.id === String(index) || (pubkey && entry.id === pubkey.toLowerCase())) || null;
+}
+
+/**
+ * Compares validators' on-chain withdrawal credentials with the addresses the portfolio expects.
+ * @param {Object} portfolio - The portfolio (see normalizePortfolio).
+ * @param {Object[]} validators - `{ index, pubkey, credentials }` per validator, with the decoded credentials
+ *        (see `./credentials.js`).
+ * @returns {Object[]} One entry per validator whose credentials do not pay to its expected withdrawal address:
+ *          `{ validatorIndex, label, group, expected, actual, credentialsType }`, where `actual` is null for BLS
+ *          credentials (not paid at all yet).
+ */
+export function credentialMismatches(portfolio, validators) {
+  const mismatches = [];
+  for (const { index, pubkey, credentials } of validators) {
+    const entry = portfolioEntryOf(portfolio, index, pubkey);
+    if (!entry?.withdrawalAddress || credentials.address === entry.withdrawalAddress) {
+      continue;
+    }
+    mismatches.push({
+      validatorIndex: index,
+      label: entry.label,
+      group: entry.group,
+      expected: entry.withdrawalAddress,
+      actual: credentials.address,
+      credentialsType: credentials.type
+    });
+  }
+  return mismatches;
+}
+
+/**
+ * Describes a credential mismatch (see credentialMismatches) in one line, for warnings.
+ * @param {Object} mismatch - The mismatch.
+ * @returns {string} The description.
+ */
+export function describeCredentialMismatch({ validatorIndex, label, expected, actual, credentialsType }) {
+  const name = label ? `Validator ${validatorIndex} (${label})` : `Validator ${validatorIndex}`;
+  return actual
+    ? `${name} pays its withdrawals to ${actual}, but the portfolio expects ${expected}.`
+    : `${name} still has ${credentialsType === 'bls' ? 'BLS (0x00)' : 'unknown'} withdrawal credentials, so it is not paid to ${expected} as the portfolio expects.`;
+}
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Record/replay transport: a `fetch` wrapper that saves beacon API and JSON-RPC exchanges to a
+ * fixture directory, or serves them back from it without any network access.
+ *
+ * Every request of the tools goes through the `fetch` of an API client (see `./api-client.js`), which wraps it
+ * with createTransport according to the `transport` setting (see `./config.js`):
+ * - 'live' (default): requests go to the network as they are.
+ * - 'record': requests go to the network, and every answered exchange is also written to `fixture_dir`.
+ *   HTTP 429 and 5xx responses are not recorded (they are retried), nor is the beacon node's event stream.
+ * - 'replay': requests are answered from `fixture_dir` only. A request with no fixture fails at once (it is
+ *   not retried), naming the fixture file expected, so a replayed run either reproduces the recorded one
+ *   exactly or reports what was not recorded (e.g. in the `integrity` section of a payments result).
+ *
+ * Fixtures are identified by what was asked, not where: beacon API requests by their method, their path from
+ * `/eth/` on and their body, JSON-RPC requests by the method and parameters of each call (not their `id`,
+ * which is mapped back onto the replayed response), and other requests (e.g. to the block explorer API) by
+ * their method, path and query. A run recorded against one set of endpoints therefore replays under any other,
+ * and several endpoints answering the same request share one fixture.
+ *
+ * Each fixture is one JSON file, named after the request (e.g. `beacon-eth_v2_beacon_blocks_123-<hash>.json`,
+ * `rpc-eth_getBlockByNumber-<hash>.json`, `http-api_module_account_action_txlist_...-<hash>.json`), holding
+ * `{ request: { method, path, body }, response: { status, contentType, body } }`, with JSON bodies stored parsed. Fixtures can therefore also be written by hand or
+ * edited to set up a scenario; the mock node (`../mock-node`) serves the same files over HTTP.
+ *
+ * Responses are buffered in memory while being recorded or replayed, so a recorded run should not include
+ * requests for the full validator set of mainnet unless there is memory to spare.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Transport modes (the `transport` setting)
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Describes a request the way fixtures identify it (see the file header).
+ * @param {string} method - The HTTP method.
+ * @param {string} url - The request URL (or just its path).
+ * @param {string} [body] - The request body, if any.
+ * @returns {{key: string, name: string, method: string, path: string, body: any, rpc: boolean}} `key`
+ *          identifies the request; `name` is the fixture file name; `method`, `path` and `body` (parsed if JSON)
+ *          are what is stored in the fixture; `rpc` tells whether it is a JSON-RPC request.
+ */
+export function describeRequest(method, url, body) {
+  let parsed = body;
+  if (typeof body === 'string' && body.length > 0) {
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      // Not JSON: kept as a string
+    }
+  }
+
+  const calls = Array.isArray(parsed) ? parsed : [parsed];
+  const rpc = method === 'POST' && calls.length > 0 && calls.every(call => call && typeof call === 'object' && typeof call.method === 'string' && 'jsonrpc' in call);
+  if (rpc) {
+    const key = JSON.stringify(calls.map(call => [call.method, call.params ?? []]));
+    const label = Array.isArray(parsed) ? `batch${calls.length}-${calls[0].method}` : parsed.method;
+    return { key: `RPC ${key}`, name: `rpc-${label}-${hash(key)}.json`, method, path: '', body: parsed, rpc };
+  }
+
+  // Beacon API endpoints may be mounted under a prefix (e.g. `/beacon-api`): only the path from `/eth/` counts
+  const { pathname, search } = new URL(url, 'http://localhost');
+  const apiPath = pathname.includes('/eth/') ? pathname.slice(pathname.indexOf('/eth/')) + search : pathname + search;
+  const key = `${method} ${apiPath}${body ? ` ${typeof parsed === 'string' ? parsed : JSON.stringify(parsed)}` : ''}`;
+  const label = apiPath.replace(/^\//, '').replace(/[^A-Za-z0-9]+/g, '_').slice(0, 80);
+  const prefix = pathname.includes('/eth/') ? 'beacon' : 'http';
+  return { key, name: `${prefix}-${label}-${hash(key)}.json`, method, path: apiPath, body: body ? parsed : null, rpc };
+}
+
+/**
+ * Hashes a fixture key for its file name.
+ * @param {string} key - The key.
+ * @returns {string} The first 16 hex digits of its SHA-256.
+ */
+function hash(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Opens a fixture directory.
+ * @param {string} dir - The directory (created on the first write).
+ * @returns {{read: Function, write: Function, dir: string}} The store:
+ *          - read(request): the fixture of a request (see describeRequest), or null if there is none.
+ *          - write(request, response): saves a fixture; `response` is `{ status, contentType, body }` with the
+ *            body as text.
+ */
+export function createFixtureStore(dir) {
+  function read(request) {
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(path.join(dir, request.name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Invalid fixture ${path.join(dir, request.name)}: ${error.message}`);
+    }
+    return fixture;
+  }
+
+  function write(request, { status, contentType, body }) {
+    let storedBody = body;
+    if (contentType && contentType.includes('json')) {
+      try {
+        storedBody = JSON.parse(body);
+      } catch {
+        // Kept as text if it does not parse after all
+      }
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    const fixture = {
+      request: { method: request.method, path: request.path, body: request.body },
+      response: { status, contentType, body: storedBody }
+    };
+    // Written to a temporary file first, so an interrupted run never leaves a truncated fixture
+    const file = path.join(dir, request.name);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(fixture) + '\n');
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return { read, write, dir };
+}
+
+/**
+ * Builds the response body of a fixture for a request, with the JSON-RPC ids of the request put back.
+ * @param {Object} fixture - The fixture.
+ * @param {Object} request - The request (see describeRequest).
+ * @returns {string} The body.
+ */
+export function fixtureResponseBody(fixture, request) {
+  const { body } = fixture.response;
+  if (!request.rpc || body === null || typeof body !== 'object') {
+    return typeof body === 'string' ? body : JSON.stringify(body);
+  }
+  // The responses of a batch may come in any order: they are matched to the recorded calls by id
+  const recordedCalls = Array.isArray(fixture.request.body) ? fixture.request.body : [fixture.request.body];
+  const calls = Array.isArray(request.body) ? request.body : [request.body];
+  const idMap = new Map(recordedCalls.map((call, i) => [JSON.stringify(call.id), calls[i]?.id]));
+  const withId = item => (item && typeof item === 'object' && idMap.has(JSON.stringify(item.id)) ? { ...item, id: idMap.get(JSON.stringify(item.id)) } : item);
+  return JSON.stringify(Array.isArray(body) ? body.map(withId) : withId(body));
+}
+
+/**
+ * Creates a transport: a function with the signature of `fetch` (for the URL and the `method`, `headers`,
+ * `body` and `signal` options the API client uses), recording or replaying as configured.
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.mode='live'] - 'live', 'record' or 'replay' (see the file header).
+ * @param {string} [options.dir='fixtures'] - The fixture directory.
+ * @param {Function} [options.fetch=globalThis.fetch] - The fetch implementation for network requests.
+ * @returns {Function} The transport.
+ * @throws {Error} If the mode is unknown.
+ */
+export function createTransport({ mode = 'live', dir = 'fixtures', fetch = globalThis.fetch } = {}) {
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Invalid transport mode "${mode}"; expected one of: ${TRANSPORT_MODES.join(', ')}.`);
+  }
+  if (mode === 'live') {
+    return fetch;
+  }
+  const store = createFixtureStore(dir);
+
+  // The event stream never ends, so it cannot be buffered into a fixture
+  const isEventStream = options => /text\/event-stream/i.test(new Headers(options.headers).get('accept') || '');
+
+  return async function transport(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const request = describeRequest(method, String(url), options.body);
+
+    if (mode === 'replay') {
+      options.signal?.throwIfAborted();
+      const fixture = isEventStream(options) ? null : store.read(request);
+      if (!fixture) {
+        const error = new Error(`Replay: no fixture for ${request.key.slice(0, 200)} (expected ${path.join(dir, request.name)}).`);
+        // Retrying cannot help: see retry in ./api-client.js
+        error.permanent = true;
+        throw error;
+      }
+      return new Response(fixtureResponseBody(fixture, request), {
+        status: fixture.response.status,
+        headers: fixture.response.contentType ? { 'Content-Type': fixture.response.contentType } : {}
+      });
+    }
+
+    const res = await fetch(url, options);
+    if (isEventStream(options) || res.status === 429 || res.status >= 500) {
+      return res;
+    }
+    const body = await res.text();
+    const contentType = res.headers.get('content-type');
+    store.write(request, { status: res.status, contentType, body });
+    return new Response(body, { status: res.status, headers: contentType ? { 'Content-Type': contentType } : {} });
+  };
+}
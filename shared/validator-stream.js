@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Streaming scan of the full validator set from the beacon API.
+ *
+ * `/eth/v1/beacon/states/{state}/validators` returns every validator of the network in one response, which on
+ * PulseChain mainnet is far too large to buffer and parse whole comfortably. The response is therefore parsed
+ * incrementally: each entry of its `data` array is decoded on its own as it arrives, and only the entries a
+ * caller is interested in are kept.
+ */
+
+import { retry } from './api-client.js';
+import { log } from './logger.js';
+
+// How often (in validators) to log progress while scanning
+const PROGRESS_INTERVAL = 100000;
+
+/**
+ * Yields the entries of the top-level `data` array of a streamed beacon API JSON response, one parsed object at a
+ * time, without ever holding the whole response in memory.
+ * @param {AsyncIterable<Uint8Array>} body - The response body (node-fetch and the global fetch both qualify).
+ */
+async function* streamDataItems(body) {
+  const decoder = new TextDecoder();
+  let depth = 0; // Nesting of objects and arrays: 1 is the response object, 2 its `data` array, 3 an entry
+  let inString = false;
+  let escaped = false;
+  let item = null; // Text of the entry being read, once it has started
+
+  for await (const chunk of body) {
+    const text = decoder.decode(chunk, { stream: true });
+    let start = item !== null ? 0 : -1;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (c === '\\') {
+          escaped = true;
+        } else if (c === '"') {
+          inString = false;
+        }
+      } else if (c === '"') {
+        inString = true;
+      } else if (c === '{' || c === '[') {
+        depth++;
+        if (depth === 3 && c === '{') {
+          item = '';
+          start = i;
+        }
+      } else if (c === '}' || c === ']') {
+        depth--;
+        if (depth === 2 && item !== null) {
+          yield JSON.parse(item + text.slice(start, i + 1));
+          item = null;
+          start = -1;
+        }
+      }
+    }
+    // Carry the unfinished entry over to the next chunk
+    if (item !== null) {
+      item += text.slice(start);
+    }
+  }
+}
+
+/**
+ * Scans every validator at a beacon state and returns those matching a predicate.
+ * The scan is retried as a whole if the download breaks off, so no validator is ever returned twice.
+ * @param {Object} api - The API client (see `./api-client.js`).
+ * @param {string} state - The state: 'finalized', 'head', a slot number or a state root.
+ * @param {Function} predicate - Called with each validator entry as returned by the API
+ *        (`{ index, balance, status, validator: { pubkey, withdrawal_credentials, ... } }`); truthy to keep it.
+ * @returns {Promise<{validators: Object[], scanned: number}>} The matching entries and the number of validators
+ *          scanned.
+ * @throws {Error} If the validator set could not be fetched, with the HTTP status as `status` where known.
+ */
+export async function findValidators(api, state, predicate) {
+  const result = await retry(async () => {
+    const res = await api.fetchBeacon(`/eth/v1/beacon/states/${state}/validators`);
+    if (!res.ok) {
+      return { status: res.status }; // E.g. an unknown state; trying again would not help
+    }
+    const validators = [];
+    let scanned = 0;
+    for await (const entry of streamDataItems(res.body)) {
+      if (predicate(entry)) {
+        validators.push(entry);
+      }
+      if (++scanned % PROGRESS_INTERVAL === 0) {
+        log.info(`Scanned ${scanned} validators, ${validators.length} matching so far...`);
+      }
+    }
+    return { validators, scanned };
+  }, 4, `scanning validators at state ${state}`);
+
+  if (result.status) {
+    const error = new Error(`HTTP error! Status: ${result.status} for validators at state ${state}`);
+    error.status = result.status;
+    throw error;
+  }
+  return result;
+}